@@ -20,6 +20,7 @@ async function initDatabase() {
     const schema = fs.readFileSync(schemaPath, 'utf8');
     
     await pool.query(schema);
+    await runMigrations();
     console.log('Database schema initialized successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -27,6 +28,36 @@ async function initDatabase() {
   }
 }
 
+// Apply the files in db/migrations that have not run yet, in name order,
+// each in its own transaction
+async function runMigrations() {
+  const migrationsPath = path.join(__dirname, 'migrations');
+  if (!fs.existsSync(migrationsPath)) return;
+
+  const applied = await pool.query('SELECT name FROM schema_migrations');
+  const appliedNames = new Set(applied.rows.map(row => row.name));
+  const files = fs.readdirSync(migrationsPath).filter(file => file.endsWith('.sql')).sort();
+
+  for (const file of files) {
+    if (appliedNames.has(file)) continue;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(fs.readFileSync(path.join(migrationsPath, file), 'utf8'));
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+      await client.query('COMMIT');
+      console.log(`Applied migration ${file}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Error applying migration ${file}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
 module.exports = {
   pool,
   initDatabase,
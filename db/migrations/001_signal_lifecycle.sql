@@ -0,0 +1,80 @@
+-- Signal lifecycle: one trading_signals row per episode of a condition,
+-- opened when it first triggers and closed with a reason when it stops
+
+ALTER TABLE trading_signals
+    ADD COLUMN IF NOT EXISTS reason TEXT,
+    ADD COLUMN IF NOT EXISTS state VARCHAR(10) NOT NULL DEFAULT 'active',
+    ADD COLUMN IF NOT EXISTS opened_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS close_reason VARCHAR(20);
+
+-- Collapse the rows every analysis run inserted. Consecutive rows of a signal
+-- type with the same action and less than four days apart (a weekend plus a
+-- holiday) are one episode, kept as its first row.
+CREATE TEMP TABLE signal_episodes ON COMMIT DROP AS
+WITH ordered AS (
+    SELECT id, symbol, signal_type, recommended_action, timestamp, signal_strength,
+           confidence_level, risk_score, volatility_regime,
+           CASE
+               WHEN LAG(recommended_action) OVER w IS DISTINCT FROM recommended_action
+                 OR timestamp - LAG(timestamp) OVER w > INTERVAL '4 days'
+               THEN 1 ELSE 0
+           END AS starts_episode
+    FROM trading_signals
+    WINDOW w AS (PARTITION BY symbol, signal_type ORDER BY timestamp, id)
+),
+numbered AS (
+    SELECT *, SUM(starts_episode) OVER (PARTITION BY symbol, signal_type ORDER BY timestamp, id) AS episode
+    FROM ordered
+),
+episodes AS (
+    SELECT symbol,
+           signal_type,
+           episode,
+           (ARRAY_AGG(id ORDER BY timestamp, id))[1] AS first_id,
+           MIN(timestamp) AS opened_at,
+           MAX(timestamp) AS last_seen_at,
+           (ARRAY_AGG(signal_strength ORDER BY timestamp DESC, id DESC))[1] AS signal_strength,
+           (ARRAY_AGG(confidence_level ORDER BY timestamp DESC, id DESC))[1] AS confidence_level,
+           (ARRAY_AGG(risk_score ORDER BY timestamp DESC, id DESC))[1] AS risk_score,
+           (ARRAY_AGG(volatility_regime ORDER BY timestamp DESC, id DESC))[1] AS volatility_regime
+    FROM numbered
+    GROUP BY symbol, signal_type, episode
+)
+SELECT e.*,
+       LEAD(opened_at) OVER (PARTITION BY symbol, signal_type ORDER BY episode) AS next_opened_at,
+       MAX(last_seen_at) OVER (PARTITION BY symbol) AS latest_run_at
+FROM episodes e;
+
+-- The latest episode of a type stays active if the last analysis run still
+-- emitted it. An episode followed within four days by another with a
+-- different action was superseded; otherwise its condition cleared.
+UPDATE trading_signals t SET
+    opened_at = e.opened_at,
+    last_seen_at = e.last_seen_at,
+    signal_strength = e.signal_strength,
+    confidence_level = e.confidence_level,
+    risk_score = e.risk_score,
+    volatility_regime = e.volatility_regime,
+    state = CASE
+        WHEN e.next_opened_at IS NULL AND e.last_seen_at >= e.latest_run_at - INTERVAL '1 minute' THEN 'active'
+        ELSE 'closed'
+    END,
+    closed_at = CASE
+        WHEN e.next_opened_at IS NULL AND e.last_seen_at >= e.latest_run_at - INTERVAL '1 minute' THEN NULL
+        WHEN e.next_opened_at - e.last_seen_at <= INTERVAL '4 days' THEN e.next_opened_at
+        ELSE e.last_seen_at
+    END,
+    close_reason = CASE
+        WHEN e.next_opened_at IS NULL AND e.last_seen_at >= e.latest_run_at - INTERVAL '1 minute' THEN NULL
+        WHEN e.next_opened_at - e.last_seen_at <= INTERVAL '4 days' THEN 'superseded'
+        ELSE 'cleared'
+    END
+FROM signal_episodes e
+WHERE t.id = e.first_id;
+
+DELETE FROM trading_signals t
+WHERE NOT EXISTS (SELECT 1 FROM signal_episodes e WHERE e.first_id = t.id);
+
+CREATE INDEX IF NOT EXISTS idx_trading_signals_symbol_state ON trading_signals(symbol, state, signal_type);
@@ -0,0 +1,27 @@
+-- The built-in HAR rules compared the one-day HAR forecast with annualized
+-- realized volatility, so har_divergence fired on every run. Stored copies
+-- nobody has edited move to har_forecast_annualized as a new version.
+
+CREATE TEMP TABLE har_rule_upgrades ON COMMIT DROP AS
+SELECT *,
+       CASE name
+           WHEN 'volatility_mean_reversion' THEN
+               '{"all": [{"eq": [{"var": "regime"}, "extreme"]}, {"lt": [{"var": "har_forecast_annualized"}, {"var": "realized_volatility"}]}]}'::jsonb
+           ELSE
+               '{"gt": [{"abs": {"sub": [{"var": "har_forecast_annualized"}, {"var": "realized_volatility"}]}}, {"mul": [{"var": "realized_volatility"}, 0.2]}]}'::jsonb
+       END AS new_condition
+FROM signal_rules
+WHERE retired_at IS NULL
+  AND (
+      (name = 'volatility_mean_reversion' AND condition =
+          '{"all": [{"eq": [{"var": "regime"}, "extreme"]}, {"lt": [{"var": "har_forecast"}, {"var": "realized_volatility"}]}]}'::jsonb)
+   OR (name = 'har_divergence' AND condition =
+          '{"gt": [{"abs": {"sub": [{"var": "har_forecast"}, {"var": "realized_volatility"}]}}, {"mul": [{"var": "realized_volatility"}, 0.2]}]}'::jsonb)
+  );
+
+UPDATE signal_rules SET retired_at = CURRENT_TIMESTAMP
+WHERE id IN (SELECT id FROM har_rule_upgrades);
+
+INSERT INTO signal_rules (name, version, description, condition, action, strength, reason, enabled)
+SELECT name, version + 1, description, new_condition, action, strength, reason, enabled
+FROM har_rule_upgrades;
@@ -14,6 +14,33 @@ CREATE TABLE IF NOT EXISTS market_data (
     UNIQUE(symbol, timestamp)
 );
 
+-- Intraday bars table (used for realized variance)
+CREATE TABLE IF NOT EXISTS intraday_data (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    timestamp TIMESTAMP NOT NULL,
+    interval VARCHAR(10) NOT NULL,
+    open DECIMAL(10, 2),
+    high DECIMAL(10, 2),
+    low DECIMAL(10, 2),
+    close DECIMAL(10, 2),
+    volume BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(symbol, timestamp, interval)
+);
+
+-- Daily realized variance (intraday returns, or a range-based estimator as fallback)
+CREATE TABLE IF NOT EXISTS realized_variance (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    date DATE NOT NULL,
+    realized_variance DOUBLE PRECISION NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    observations INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(symbol, date)
+);
+
 -- Volatility indicators table
 CREATE TABLE IF NOT EXISTS volatility_indicators (
     id SERIAL PRIMARY KEY,
@@ -44,6 +71,12 @@ CREATE TABLE IF NOT EXISTS trading_signals (
     recommended_action VARCHAR(20),
     confidence_level DECIMAL(5, 2),
     risk_score DECIMAL(5, 2),
+    reason TEXT,
+    state VARCHAR(10) NOT NULL DEFAULT 'active',
+    opened_at TIMESTAMP,
+    last_seen_at TIMESTAMP,
+    closed_at TIMESTAMP,
+    close_reason VARCHAR(20),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -61,8 +94,286 @@ CREATE TABLE IF NOT EXISTS har_model_params (
     UNIQUE(symbol, updated_at)
 );
 
+-- HAR-CJ model parameters table (continuous / jump split of HAR-RV)
+CREATE TABLE IF NOT EXISTS har_cj_model_params (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    updated_at TIMESTAMP NOT NULL,
+    intercept DOUBLE PRECISION,
+    continuous_daily_coef DECIMAL(12, 6),
+    continuous_weekly_coef DECIMAL(12, 6),
+    continuous_monthly_coef DECIMAL(12, 6),
+    jump_daily_coef DECIMAL(12, 6),
+    jump_weekly_coef DECIMAL(12, 6),
+    jump_monthly_coef DECIMAL(12, 6),
+    r_squared DECIMAL(10, 6),
+    mse DOUBLE PRECISION,
+    jump_days INTEGER,
+    jump_contribution DECIMAL(10, 6),
+    UNIQUE(symbol, updated_at)
+);
+
+-- GARCH model parameters table
+CREATE TABLE IF NOT EXISTS garch_model_params (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    updated_at TIMESTAMP NOT NULL,
+    model_type VARCHAR(20) NOT NULL,
+    distribution VARCHAR(10) NOT NULL,
+    omega DOUBLE PRECISION,
+    alpha DECIMAL(10, 6),
+    beta DECIMAL(10, 6),
+    nu DECIMAL(10, 4),
+    persistence DECIMAL(10, 6),
+    half_life DECIMAL(12, 4),
+    unconditional_variance DOUBLE PRECISION,
+    log_likelihood DECIMAL(14, 4),
+    aic DECIMAL(14, 4),
+    bic DECIMAL(14, 4),
+    observations INTEGER,
+    UNIQUE(symbol, updated_at, model_type, distribution)
+);
+
+-- HAR-RV is fitted on daily variance, whose intercept and MSE are far below DECIMAL(10, 6) precision
+ALTER TABLE har_model_params ALTER COLUMN intercept TYPE DOUBLE PRECISION;
+ALTER TABLE har_model_params ALTER COLUMN mse TYPE DOUBLE PRECISION;
+
+-- HAR fit diagnostics: Newey-West coefficient inference, information criteria,
+-- conditioning of X'X and Ljung-Box test on residuals
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS adj_r_squared DECIMAL(10, 6);
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS aic DECIMAL(14, 4);
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS bic DECIMAL(14, 4);
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS condition_number DOUBLE PRECISION;
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS near_singular BOOLEAN DEFAULT FALSE;
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS newey_west_lags INTEGER;
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS coefficient_stats JSONB;
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS ljung_box_stat DECIMAL(14, 4);
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS ljung_box_p_value DECIMAL(10, 6);
+ALTER TABLE har_model_params ADD COLUMN IF NOT EXISTS observations INTEGER;
+
+-- Jump decomposition of realized variance (bipower variation and ratio jump test)
+ALTER TABLE realized_variance ADD COLUMN IF NOT EXISTS bipower_variation DOUBLE PRECISION;
+ALTER TABLE realized_variance ADD COLUMN IF NOT EXISTS jump_statistic DOUBLE PRECISION;
+ALTER TABLE realized_variance ADD COLUMN IF NOT EXISTS continuous_variance DOUBLE PRECISION;
+ALTER TABLE realized_variance ADD COLUMN IF NOT EXISTS jump_variance DOUBLE PRECISION;
+ALTER TABLE realized_variance ADD COLUMN IF NOT EXISTS is_jump BOOLEAN DEFAULT FALSE;
+
+-- Leverage term for asymmetric GARCH models (GJR, EGARCH)
+ALTER TABLE garch_model_params ADD COLUMN IF NOT EXISTS gamma DECIMAL(10, 6);
+
+-- Forecast ledger: every stored variance forecast, scored once its target date arrives
+CREATE TABLE IF NOT EXISTS forecast_ledger (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    model VARCHAR(20) NOT NULL,
+    horizon INTEGER NOT NULL,
+    issued_at TIMESTAMP NOT NULL,
+    base_date DATE NOT NULL,
+    target_date DATE NOT NULL,
+    forecast_variance DOUBLE PRECISION NOT NULL,
+    realized_variance DOUBLE PRECISION,
+    error DOUBLE PRECISION,
+    squared_error DOUBLE PRECISION,
+    qlike DOUBLE PRECISION,
+    scored_at TIMESTAMP,
+    UNIQUE(symbol, model, horizon, base_date)
+);
+
+-- Daily volatility regime labels, rebuildable from market_data
+CREATE TABLE IF NOT EXISTS regime_history (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    date DATE NOT NULL,
+    method VARCHAR(20) NOT NULL,
+    regime VARCHAR(20) NOT NULL,
+    volatility DOUBLE PRECISION,
+    probability DOUBLE PRECISION,
+    close DOUBLE PRECISION NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(symbol, date, method)
+);
+
+-- Daily Value-at-Risk and Expected Shortfall (positive log-return losses)
+CREATE TABLE IF NOT EXISTS risk_metrics (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    date DATE NOT NULL,
+    volatility_model VARCHAR(20) NOT NULL,
+    method VARCHAR(30) NOT NULL,
+    confidence DOUBLE PRECISION NOT NULL,
+    horizon INTEGER NOT NULL,
+    value_at_risk DOUBLE PRECISION,
+    expected_shortfall DOUBLE PRECISION,
+    forecast_variance DOUBLE PRECISION,
+    window_size INTEGER,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(symbol, date, volatility_model, method, confidence, horizon)
+);
+
+-- VaR backtest breaches: days whose loss exceeded that day's 1-day VaR
+CREATE TABLE IF NOT EXISTS var_breaches (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    date DATE NOT NULL,
+    volatility_model VARCHAR(20) NOT NULL,
+    method VARCHAR(30) NOT NULL,
+    confidence DOUBLE PRECISION NOT NULL,
+    realized_return DOUBLE PRECISION NOT NULL,
+    value_at_risk DOUBLE PRECISION NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(symbol, date, volatility_model, method, confidence)
+);
+
+-- Variance risk premium: VIX-implied minus HAR-forecast realized variance (annualized)
+CREATE TABLE IF NOT EXISTS variance_risk_premium (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    date DATE NOT NULL,
+    vix DOUBLE PRECISION NOT NULL,
+    implied_variance DOUBLE PRECISION NOT NULL,
+    forecast_variance DOUBLE PRECISION NOT NULL,
+    premium DOUBLE PRECISION NOT NULL,
+    volatility_spread DOUBLE PRECISION NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(symbol, date)
+);
+
+-- Daily VIX term structure (VIX9D, VIX, VIX3M, VIX6M) and its shape
+CREATE TABLE IF NOT EXISTS vix_term_structure (
+    id SERIAL PRIMARY KEY,
+    date DATE NOT NULL UNIQUE,
+    vix9d DOUBLE PRECISION,
+    vix DOUBLE PRECISION NOT NULL,
+    vix3m DOUBLE PRECISION NOT NULL,
+    vix6m DOUBLE PRECISION,
+    slope DOUBLE PRECISION NOT NULL,
+    curvature DOUBLE PRECISION,
+    ratio DOUBLE PRECISION NOT NULL,
+    state VARCHAR(20) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Forward returns and realized volatility after each stored trading signal
+CREATE TABLE IF NOT EXISTS signal_outcomes (
+    id SERIAL PRIMARY KEY,
+    signal_id INTEGER NOT NULL REFERENCES trading_signals(id) ON DELETE CASCADE,
+    horizon INTEGER NOT NULL,
+    base_date DATE NOT NULL,
+    target_date DATE NOT NULL,
+    base_close DOUBLE PRECISION NOT NULL,
+    target_close DOUBLE PRECISION NOT NULL,
+    forward_return DOUBLE PRECISION NOT NULL,
+    forward_volatility DOUBLE PRECISION NOT NULL,
+    direction SMALLINT,
+    hit BOOLEAN,
+    recorded_at TIMESTAMP NOT NULL,
+    UNIQUE(signal_id, horizon)
+);
+
+-- Declarative signal rules; every change adds a version and retires the
+-- previous one, so the current version of a rule has no retired_at
+CREATE TABLE IF NOT EXISTS signal_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    description TEXT,
+    condition JSONB NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    strength JSONB NOT NULL,
+    reason TEXT NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP,
+    UNIQUE(name, version)
+);
+
+-- User-defined alerts, checked after every analysis run; last_value is the
+-- tracked value from the previous run for crossing and change detection
+CREATE TABLE IF NOT EXISTS alerts (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    symbol VARCHAR(10) NOT NULL,
+    alert_type VARCHAR(30) NOT NULL,
+    params JSONB NOT NULL DEFAULT '{}',
+    channel VARCHAR(10) NOT NULL,
+    target TEXT NOT NULL,
+    cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    last_value JSONB,
+    last_triggered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Alert notifications and their delivery attempts, one row per alert event
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+    event_key VARCHAR(100) NOT NULL,
+    channel VARCHAR(10) NOT NULL,
+    target TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    message TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(10) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP,
+    UNIQUE(alert_id, event_key)
+);
+
+-- Events pushed to /api/stream subscribers; the id is the SSE event id
+-- clients resume from, so it must only ever increase
+CREATE TABLE IF NOT EXISTS stream_events (
+    id BIGSERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    event_type VARCHAR(20) NOT NULL,
+    data JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Daily bars rejected by the data quality checks; prices are kept as sent,
+-- so any value a provider returns fits
+CREATE TABLE IF NOT EXISTS market_data_quarantine (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(10) NOT NULL,
+    timestamp TIMESTAMP,
+    open DOUBLE PRECISION,
+    high DOUBLE PRECISION,
+    low DOUBLE PRECISION,
+    close DOUBLE PRECISION,
+    volume DOUBLE PRECISION,
+    reason VARCHAR(30) NOT NULL,
+    details TEXT,
+    quarantined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(symbol, timestamp, reason)
+);
+
+-- Files from db/migrations already applied to this database
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    name VARCHAR(255) PRIMARY KEY,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indices for better query performance
 CREATE INDEX IF NOT EXISTS idx_market_data_symbol_timestamp ON market_data(symbol, timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_volatility_indicators_symbol_timestamp ON volatility_indicators(symbol, timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_trading_signals_symbol_timestamp ON trading_signals(symbol, timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_har_model_params_symbol ON har_model_params(symbol, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_intraday_data_symbol_timestamp ON intraday_data(symbol, interval, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_realized_variance_symbol_date ON realized_variance(symbol, date DESC);
+CREATE INDEX IF NOT EXISTS idx_har_cj_model_params_symbol ON har_cj_model_params(symbol, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_garch_model_params_symbol ON garch_model_params(symbol, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_forecast_ledger_pending ON forecast_ledger(symbol, target_date) WHERE scored_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_regime_history_symbol_date ON regime_history(symbol, method, date DESC);
+CREATE INDEX IF NOT EXISTS idx_risk_metrics_symbol_date ON risk_metrics(symbol, volatility_model, date DESC);
+CREATE INDEX IF NOT EXISTS idx_var_breaches_symbol_date ON var_breaches(symbol, date DESC);
+CREATE INDEX IF NOT EXISTS idx_variance_risk_premium_symbol_date ON variance_risk_premium(symbol, date DESC);
+CREATE INDEX IF NOT EXISTS idx_signal_outcomes_base_date ON signal_outcomes(base_date DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_signal_rules_current ON signal_rules(name) WHERE retired_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_retrying ON alert_deliveries(next_attempt_at) WHERE status = 'retrying';
+CREATE INDEX IF NOT EXISTS idx_stream_events_symbol_type ON stream_events(symbol, event_type, id);
+CREATE INDEX IF NOT EXISTS idx_market_data_quarantine_symbol_seen ON market_data_quarantine(symbol, last_seen_at DESC);
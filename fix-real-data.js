@@ -2,6 +2,7 @@
 require('dotenv').config();
 const YahooFinanceService = require('./services/yahooFinanceService');
 const VolatilityAnalysisService = require('./services/volatilityAnalysisService');
+const MarketDataService = require('./services/marketDataService');
 const { initDatabase } = require('./db/database');
 
 async function fixRealData() {
@@ -13,6 +14,7 @@ async function fixRealData() {
     // Initialize services
     const yahooService = new YahooFinanceService();
     const volatilityService = new VolatilityAnalysisService();
+    const marketDataService = new MarketDataService();
     
     // Initialize database
     console.log('\n1. Initializing database...');
@@ -37,6 +39,8 @@ async function fixRealData() {
     if (vix) {
       console.log(`   ✅ VIX: ${vix.value.toFixed(2)} (${vix.changePercent.toFixed(2)}%)`);
     }
+    const vixHistory = await marketDataService.refreshVIXData();
+    console.log(`   ✅ Stored ${vixHistory.count} days of VIX closes`);
     
     // Recalculate all volatility indicators with real data
     console.log('\n5. Recalculating volatility indicators with real data...');
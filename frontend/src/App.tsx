@@ -1,16 +1,26 @@
 import React, { useState, useEffect } from 'react';
 import { RefreshCw, Activity, TrendingUp, AlertCircle, Loader2 } from 'lucide-react';
-import MarketAPI, { MarketAnalysis, HistoricalData } from './services/api';
+import MarketAPI, { MarketAnalysis, HistoricalData, ForecastAccuracy, RegimeHistory, VaRBacktest, VolatilityConeData, PositionSizing, SignalPerformance } from './services/api';
 import VolatilityRegime from './components/VolatilityRegime';
 import HARModelChart from './components/HARModelChart';
 import TradingSignals from './components/TradingSignals';
 import VolatilityMetrics from './components/VolatilityMetrics';
 import HistoricalChart from './components/HistoricalChart';
 import MarketSummary from './components/MarketSummary';
+import ModelAccuracy from './components/ModelAccuracy';
+import VaRBacktestPanel from './components/VaRBacktestPanel';
+import VolatilityCone from './components/VolatilityCone';
+import OptionCalculator from './components/OptionCalculator';
 
 function App() {
   const [marketData, setMarketData] = useState<MarketAnalysis | null>(null);
   const [historicalData, setHistoricalData] = useState<HistoricalData[]>([]);
+  const [forecastAccuracy, setForecastAccuracy] = useState<ForecastAccuracy[]>([]);
+  const [regimeHistory, setRegimeHistory] = useState<RegimeHistory | null>(null);
+  const [varBacktest, setVarBacktest] = useState<VaRBacktest | null>(null);
+  const [volatilityCone, setVolatilityCone] = useState<VolatilityConeData | null>(null);
+  const [positionSizing, setPositionSizing] = useState<PositionSizing | null>(null);
+  const [signalPerformance, setSignalPerformance] = useState<SignalPerformance | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [lastUpdate, setLastUpdate] = useState<Date>(new Date());
@@ -33,13 +43,23 @@ function App() {
       }
 
       // Fetch all data in parallel
-      const [analysis, historical] = await Promise.all([
+      const [analysis, historical, accuracy, regimes, cone, sizing, performance] = await Promise.all([
         MarketAPI.getMarketAnalysis(),
-        MarketAPI.getHistoricalData('SPY')
+        MarketAPI.getHistoricalData('SPY'),
+        MarketAPI.getForecastAccuracy('SPY').catch(() => []),
+        MarketAPI.getRegimeHistory('SPY').catch(() => null),
+        MarketAPI.getVolatilityCone('SPY').catch(() => null),
+        MarketAPI.getPositionSize('SPY').catch(() => null),
+        MarketAPI.getSignalPerformance('SPY').catch(() => null)
       ]);
 
       setMarketData(analysis);
       setHistoricalData(historical);
+      setForecastAccuracy(accuracy);
+      setRegimeHistory(regimes);
+      setVolatilityCone(cone);
+      setPositionSizing(sizing);
+      setSignalPerformance(performance);
       setLastUpdate(new Date());
     } catch (err) {
       console.error('Error fetching data:', err);
@@ -67,13 +87,31 @@ function App() {
 
   useEffect(() => {
     fetchData();
-    
-    // Set up auto-refresh every 5 minutes
-    const interval = setInterval(() => {
-      fetchData(false);
-    }, 5 * 60 * 1000);
 
-    return () => clearInterval(interval);
+    // The backtest refits the volatility model across the history, so load it once
+    MarketAPI.getVaRBacktest('SPY')
+      .then(setVarBacktest)
+      .catch((err) => console.error('Error fetching VaR backtest:', err));
+    
+    // The backend pushes each new analysis (after any new bars), so there is nothing to poll.
+    // Pushes only update what they carry; the other panels reload on refresh or a stream reset.
+    const unsubscribe = MarketAPI.subscribeToUpdates(['SPY'], {
+      onBar: (event) => {
+        const bar = event.data;
+        setHistoricalData((bars) => [
+          ...bars.filter((existing) => existing.timestamp !== bar.timestamp),
+          { ...bar, date: bar.timestamp }
+        ]);
+      },
+      onAnalysis: (event) => {
+        setMarketData(event.data);
+        setLastUpdate(new Date());
+      },
+      onReset: () => fetchData(false),
+      onConnectionChange: setApiHealth
+    });
+
+    return unsubscribe;
   }, []);
 
   if (loading && !marketData) {
@@ -155,19 +193,37 @@ function App() {
               <VolatilityRegime 
                 regime={marketData.volatility_regime}
                 currentVolatility={marketData.volatility_indicators.realized_volatility}
+                history={regimeHistory}
+              />
+              <TradingSignals
+                signals={marketData.signals}
+                sizing={positionSizing}
+                performance={signalPerformance}
               />
-              <TradingSignals signals={marketData.signals} />
             </div>
 
             {/* HAR Model Visualization */}
             <HARModelChart 
               volatilityIndicators={marketData.volatility_indicators}
               harModel={marketData.har_model}
+              forecastCurve={marketData.har_forecast_curve}
             />
 
+            {/* Live Forecast Accuracy */}
+            <ModelAccuracy stats={forecastAccuracy} />
+
+            {/* VaR Backtest */}
+            <VaRBacktestPanel backtest={varBacktest} />
+
             {/* Volatility Metrics */}
             <VolatilityMetrics indicators={marketData.volatility_indicators} />
 
+            {/* Volatility Cone */}
+            <VolatilityCone cone={volatilityCone} />
+
+            {/* Option Calculator */}
+            <OptionCalculator spot={parseFloat(marketData.market_summary.last_close)} />
+
             {/* Historical Chart */}
             {historicalData.length > 0 && (
               <HistoricalChart data={historicalData} />
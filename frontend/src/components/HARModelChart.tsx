@@ -13,14 +13,15 @@ import {
   ComposedChart,
   Area
 } from 'recharts';
-import { VolatilityIndicators, HARModel } from '../services/api';
+import { VolatilityIndicators, HARModel, HARForecastPoint } from '../services/api';
 
 interface HARModelChartProps {
   volatilityIndicators: VolatilityIndicators;
   harModel: HARModel;
+  forecastCurve?: HARForecastPoint[] | null;
 }
 
-const HARModelChart: React.FC<HARModelChartProps> = ({ volatilityIndicators, harModel }) => {
+const HARModelChart: React.FC<HARModelChartProps> = ({ volatilityIndicators, harModel, forecastCurve }) => {
   const forecastData = [
     {
       name: 'Daily',
@@ -42,6 +43,14 @@ const HARModelChart: React.FC<HARModelChartProps> = ({ volatilityIndicators, har
     }
   ];
 
+  const termStructureData = (forecastCurve || []).map((point) => ({
+    name: `${point.horizon}d`,
+    Forecast: point.volatility * 100,
+    Interval: point.volatilityLower !== null && point.volatilityUpper !== null
+      ? [point.volatilityLower * 100, point.volatilityUpper * 100]
+      : null
+  }));
+
   const coefficientData = [
     { name: 'Daily', value: harModel.dailyCoef, fill: '#3b82f6' },
     { name: 'Weekly', value: harModel.weeklyCoef, fill: '#8b5cf6' },
@@ -55,8 +64,10 @@ const HARModelChart: React.FC<HARModelChartProps> = ({ volatilityIndicators, har
           <p className="text-white font-semibold">{label}</p>
           {payload.map((entry: any, index: number) => (
             <p key={index} className="text-sm" style={{ color: entry.color }}>
-              {entry.name}: {entry.value.toFixed(3)}
-              {entry.name === 'Forecast' ? '%' : ''}
+              {entry.name}: {Array.isArray(entry.value)
+                ? entry.value.map((v: number) => v.toFixed(3)).join(' - ')
+                : entry.value.toFixed(3)}
+              {entry.name === 'Forecast' || entry.name === 'Interval' ? '%' : ''}
             </p>
           ))}
         </div>
@@ -70,19 +81,52 @@ const HARModelChart: React.FC<HARModelChartProps> = ({ volatilityIndicators, har
       {/* HAR Volatility Forecasts */}
       <div className="bg-slate-900/50 backdrop-blur-sm rounded-lg p-6 border border-slate-700">
         <h3 className="text-lg font-semibold mb-4 text-white">HAR Model Forecasts</h3>
-        <ResponsiveContainer width="100%" height={250}>
-          <BarChart data={forecastData}>
-            <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-            <XAxis dataKey="name" stroke="#94a3b8" />
-            <YAxis stroke="#94a3b8" label={{ value: 'Volatility (%)', angle: -90, position: 'insideLeft', style: { fill: '#94a3b8' } }} />
-            <Tooltip content={<CustomTooltip />} />
-            <Bar dataKey="forecast" fill="#3b82f6" radius={[8, 8, 0, 0]}>
-              {forecastData.map((entry, index) => (
-                <Bar key={`cell-${index}`} fill={entry.color} />
-              ))}
-            </Bar>
-          </BarChart>
-        </ResponsiveContainer>
+        {termStructureData.length > 0 ? (
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={termStructureData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="name" stroke="#94a3b8" interval={3} />
+              <YAxis stroke="#94a3b8" label={{ value: 'Daily Volatility (%)', angle: -90, position: 'insideLeft', style: { fill: '#94a3b8' } }} />
+              <Tooltip content={<CustomTooltip />} />
+              <Legend />
+              <Area
+                type="monotone"
+                dataKey="Interval"
+                stroke="none"
+                fill="#8b5cf6"
+                fillOpacity={0.2}
+                name="Interval"
+              />
+              <Line
+                type="monotone"
+                dataKey="Forecast"
+                stroke="#3b82f6"
+                strokeWidth={2}
+                dot={false}
+                name="Forecast"
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        ) : (
+          <ResponsiveContainer width="100%" height={250}>
+            <BarChart data={forecastData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="name" stroke="#94a3b8" />
+              <YAxis stroke="#94a3b8" label={{ value: 'Volatility (%)', angle: -90, position: 'insideLeft', style: { fill: '#94a3b8' } }} />
+              <Tooltip content={<CustomTooltip />} />
+              <Bar dataKey="forecast" fill="#3b82f6" radius={[8, 8, 0, 0]}>
+                {forecastData.map((entry, index) => (
+                  <Bar key={`cell-${index}`} fill={entry.color} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+        {termStructureData.length > 0 && (
+          <p className="mt-2 text-xs text-gray-500">
+            Iterated 1-22 day forecasts with 90% prediction interval
+          </p>
+        )}
         
         <div className="mt-4 space-y-2">
           <div className="flex justify-between text-sm">
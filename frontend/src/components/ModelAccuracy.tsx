@@ -0,0 +1,91 @@
+import React from 'react';
+import { Target, AlertTriangle, CheckCircle } from 'lucide-react';
+import { ForecastAccuracy } from '../services/api';
+
+interface ModelAccuracyProps {
+  stats: ForecastAccuracy[];
+}
+
+const MODEL_LABELS: Record<string, string> = {
+  har: 'HAR-RV',
+  har_cj: 'HAR-CJ',
+  garch: 'GARCH',
+  gjr: 'GJR-GARCH',
+  egarch: 'EGARCH'
+};
+
+const ModelAccuracy: React.FC<ModelAccuracyProps> = ({ stats }) => {
+  const getStatus = (ratio: number | null) => {
+    if (ratio === null) return { label: 'N/A', color: 'text-gray-400', icon: null };
+    if (ratio > 1.5) {
+      return { label: 'DEGRADED', color: 'text-red-400', icon: <AlertTriangle className="w-4 h-4" /> };
+    }
+    if (ratio > 1.1) {
+      return { label: 'WATCH', color: 'text-yellow-400', icon: <AlertTriangle className="w-4 h-4" /> };
+    }
+    return { label: 'OK', color: 'text-green-400', icon: <CheckCircle className="w-4 h-4" /> };
+  };
+
+  const formatNumber = (value: number | null, digits: number = 3) =>
+    value === null || value === undefined ? 'N/A' : value.toFixed(digits);
+
+  return (
+    <div className="bg-slate-900/50 backdrop-blur-sm rounded-lg p-6 border border-slate-700">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">Model Accuracy</h3>
+        <div className="flex items-center space-x-2 text-xs text-gray-400">
+          <Target className="w-4 h-4" />
+          <span>Live forecasts scored against realized variance</span>
+        </div>
+      </div>
+
+      {stats.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <Target className="w-12 h-12 mx-auto mb-3 opacity-50" />
+          <p>No scored forecasts yet</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400 border-b border-slate-700">
+                <th className="text-left py-2">Model</th>
+                <th className="text-right py-2">Horizon</th>
+                <th className="text-right py-2">Scored</th>
+                <th className="text-right py-2">Recent QLIKE</th>
+                <th className="text-right py-2">Long-run QLIKE</th>
+                <th className="text-right py-2">Bias</th>
+                <th className="text-right py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.map((row) => {
+                const status = getStatus(row.degradation_ratio);
+                return (
+                  <tr key={`${row.model}-${row.horizon}`} className="border-b border-slate-800">
+                    <td className="py-2 text-white">{MODEL_LABELS[row.model] || row.model}</td>
+                    <td className="py-2 text-right text-gray-300 font-mono">{row.horizon}d</td>
+                    <td className="py-2 text-right text-gray-300 font-mono">{row.scored_count}</td>
+                    <td className="py-2 text-right text-white font-mono">{formatNumber(row.recent_qlike)}</td>
+                    <td className="py-2 text-right text-gray-300 font-mono">{formatNumber(row.baseline_qlike)}</td>
+                    <td className="py-2 text-right text-gray-300 font-mono">
+                      {row.recent_bias === null ? 'N/A' : `${(row.recent_bias * 100).toFixed(1)}%`}
+                    </td>
+                    <td className="py-2">
+                      <div className={`flex items-center justify-end space-x-1 text-xs font-medium ${status.color}`}>
+                        {status.icon}
+                        <span>{status.label}</span>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelAccuracy;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { Calculator, Loader2 } from 'lucide-react';
+import MarketAPI, { OptionPricing, VolatilitySource } from '../services/api';
+
+interface OptionCalculatorProps {
+  spot: number;
+}
+
+const SOURCE_LABELS: Record<VolatilitySource, string> = {
+  har: 'HAR',
+  garch: 'GARCH',
+  parkinson: 'Parkinson',
+  garman_klass: 'Garman-Klass'
+};
+
+const OptionCalculator: React.FC<OptionCalculatorProps> = ({ spot }) => {
+  const [strike, setStrike] = useState(Math.round(spot).toString());
+  const [days, setDays] = useState('30');
+  const [source, setSource] = useState<VolatilitySource>('har');
+  const [marketPrice, setMarketPrice] = useState('');
+  const [pricing, setPricing] = useState<OptionPricing | null>(null);
+  const [calculating, setCalculating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleCalculate = async () => {
+    setCalculating(true);
+    setError(null);
+
+    try {
+      const result = await MarketAPI.priceOptions('SPY', {
+        strike: strike ? parseFloat(strike) : undefined,
+        days: parseInt(days),
+        volatilitySource: source,
+        marketPrice: marketPrice ? parseFloat(marketPrice) : undefined
+      });
+      setPricing(result);
+    } catch (err) {
+      console.error('Error pricing options:', err);
+      setError('Failed to price options');
+    } finally {
+      setCalculating(false);
+    }
+  };
+
+  const inputClass = 'w-full bg-slate-800 border border-slate-700 rounded px-3 py-1.5 text-sm text-white focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="bg-slate-900/50 backdrop-blur-sm rounded-lg p-6 border border-slate-700">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">Option Calculator</h3>
+        {pricing && (
+          <span className="text-xs text-gray-400">
+            Spot ${pricing.spot.toFixed(2)} • {SOURCE_LABELS[pricing.volatility_source as VolatilitySource] || pricing.volatility_source} vol{' '}
+            {(pricing.volatility * 100).toFixed(2)}%
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+        <label className="text-xs text-gray-400">
+          Strike
+          <input type="number" value={strike} onChange={(e) => setStrike(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-400">
+          Days to expiry
+          <input type="number" min="1" value={days} onChange={(e) => setDays(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-400">
+          Volatility
+          <select value={source} onChange={(e) => setSource(e.target.value as VolatilitySource)} className={inputClass}>
+            {Object.entries(SOURCE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-400">
+          Market straddle
+          <input
+            type="number"
+            placeholder="optional"
+            value={marketPrice}
+            onChange={(e) => setMarketPrice(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <div className="flex items-end">
+          <button
+            onClick={handleCalculate}
+            disabled={calculating || !days}
+            className="w-full flex items-center justify-center space-x-2 px-3 py-1.5 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {calculating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Calculator className="w-4 h-4" />}
+            <span>Price</span>
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {!pricing ? (
+        <div className="text-center py-6 text-gray-500">
+          <p>Enter a strike and expiry to price with a model volatility</p>
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-400 border-b border-slate-700">
+                  <th className="text-left py-2"></th>
+                  <th className="text-right py-2">Price</th>
+                  <th className="text-right py-2">Delta</th>
+                  <th className="text-right py-2">Gamma</th>
+                  <th className="text-right py-2">Vega</th>
+                  <th className="text-right py-2">Theta</th>
+                  <th className="text-right py-2">Rho</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(['call', 'put', 'straddle'] as const).map((leg) => (
+                  <tr key={leg} className="border-b border-slate-800">
+                    <td className="py-2 text-white capitalize">{leg}</td>
+                    <td className="py-2 text-right text-white font-mono">{pricing[leg].price.toFixed(2)}</td>
+                    <td className="py-2 text-right text-gray-300 font-mono">{pricing[leg].delta.toFixed(3)}</td>
+                    <td className="py-2 text-right text-gray-300 font-mono">{pricing[leg].gamma.toFixed(4)}</td>
+                    <td className="py-2 text-right text-gray-300 font-mono">{pricing[leg].vega.toFixed(3)}</td>
+                    <td className="py-2 text-right text-gray-300 font-mono">{pricing[leg].theta.toFixed(3)}</td>
+                    <td className="py-2 text-right text-gray-300 font-mono">{pricing[leg].rho.toFixed(3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-4">
+            {pricing.expected_move.map((move) => (
+              <div key={move.sigmas} className="bg-slate-800/50 rounded p-3">
+                <p className="text-xs text-gray-400">
+                  {move.sigmas}σ move ({(move.probability * 100).toFixed(0)}%)
+                </p>
+                <p className="text-white font-mono">±${move.move.toFixed(2)}</p>
+                <p className="text-xs text-gray-400 font-mono">
+                  {move.lower.toFixed(2)} – {move.upper.toFixed(2)}
+                </p>
+              </div>
+            ))}
+            {pricing.market && (
+              <div className="bg-slate-800/50 rounded p-3">
+                <p className="text-xs text-gray-400">Model vs. market straddle</p>
+                <p className={`font-mono ${pricing.market.edge >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {pricing.market.edge >= 0 ? '+' : ''}{pricing.market.edge.toFixed(2)}
+                </p>
+                <p className="text-xs text-gray-400 font-mono">
+                  Implied vol{' '}
+                  {pricing.market.implied_volatility !== null
+                    ? `${(pricing.market.implied_volatility * 100).toFixed(2)}%`
+                    : 'N/A'}
+                </p>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OptionCalculator;
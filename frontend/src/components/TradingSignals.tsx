@@ -1,13 +1,47 @@
 import React from 'react';
 import { ArrowUpCircle, ArrowDownCircle, AlertCircle, TrendingUp, Shield, DollarSign } from 'lucide-react';
-import { Signal } from '../services/api';
+import { Signal, PositionSizing, SignalPerformance } from '../services/api';
 import { format } from 'date-fns';
 
 interface TradingSignalsProps {
   signals: Signal[];
+  sizing?: PositionSizing | null;
+  performance?: SignalPerformance | null;
 }
 
-const TradingSignals: React.FC<TradingSignalsProps> = ({ signals }) => {
+// Horizon of the historical hit rate shown next to each signal
+const HIT_RATE_HORIZON = 5;
+
+const TradingSignals: React.FC<TradingSignalsProps> = ({ signals, sizing, performance }) => {
+  const getHitRate = (type: string) => {
+    const stats = performance?.signal_type.find(
+      (s) => s.signal_type === type && s.horizon === HIT_RATE_HORIZON
+    );
+    if (!stats || stats.hit_rate === null) return null;
+    return { rate: stats.hit_rate, count: stats.directional_count };
+  };
+
+  // Vol-target exposure scaled by signal strength; hedges size the notional to
+  // protect, wait/hold signals carry no size
+  const getSuggestedSize = (signal: Signal) => {
+    if (!sizing) return null;
+    const exposure = sizing.exposure * signal.strength;
+    const shares = Math.floor(exposure / sizing.price);
+    switch (signal.action.toLowerCase()) {
+      case 'buy':
+      case 'prepare_to_buy':
+        return { label: 'Size', exposure, shares };
+      case 'sell':
+      case 'prepare_to_sell':
+        return { label: 'Size', exposure: -exposure, shares: -shares };
+      case 'hedge':
+      case 'reduce_exposure':
+        return { label: 'Hedge', exposure, shares };
+      default:
+        return null;
+    }
+  };
+
   const getSignalIcon = (action: string) => {
     switch (action.toLowerCase()) {
       case 'buy':
@@ -70,12 +104,19 @@ const TradingSignals: React.FC<TradingSignalsProps> = ({ signals }) => {
         <div className="flex items-center space-x-2 text-xs text-gray-400">
           <DollarSign className="w-4 h-4" />
           <span>{signals.length} Active</span>
+          {sizing && (
+            <span>
+              • {(sizing.target_volatility * 100).toFixed(0)}% vol target: {sizing.leverage.toFixed(2)}x
+            </span>
+          )}
         </div>
       </div>
 
       <div className="space-y-3 max-h-96 overflow-y-auto">
         {signals.map((signal, index) => {
           const strengthInfo = getStrengthLabel(signal.strength);
+          const suggestedSize = getSuggestedSize(signal);
+          const hitRate = getHitRate(signal.type);
           
           return (
             <div
@@ -121,11 +162,36 @@ const TradingSignals: React.FC<TradingSignalsProps> = ({ signals }) => {
                           </span>
                         </div>
                       </div>
+
+                      {hitRate && (
+                        <div className="flex items-center space-x-1">
+                          <span className="text-xs text-gray-500">Hit rate ({HIT_RATE_HORIZON}d):</span>
+                          <span
+                            className={`text-xs font-mono ${hitRate.rate >= 0.5 ? 'text-green-400' : 'text-red-400'}`}
+                          >
+                            {(hitRate.rate * 100).toFixed(0)}%
+                          </span>
+                          <span className="text-xs text-gray-500">(n={hitRate.count})</span>
+                        </div>
+                      )}
+
+                      {suggestedSize && (
+                        <div className="flex items-center space-x-1">
+                          <span className="text-xs text-gray-500">{suggestedSize.label}:</span>
+                          <span className="text-xs text-gray-300 font-mono">
+                            ${suggestedSize.exposure.toLocaleString(undefined, { maximumFractionDigits: 0 })} ({suggestedSize.shares} sh)
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
 
-                {signal.timestamp && (
+                {signal.opened_at ? (
+                  <span className="text-xs text-gray-500">
+                    Since {format(new Date(signal.opened_at), 'MMM d HH:mm')}
+                  </span>
+                ) : signal.timestamp && (
                   <span className="text-xs text-gray-500">
                     {format(new Date(signal.timestamp), 'HH:mm')}
                   </span>
@@ -0,0 +1,107 @@
+import React from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { VaRBacktest } from '../services/api';
+
+interface VaRBacktestPanelProps {
+  backtest: VaRBacktest | null;
+}
+
+const METHOD_LABELS: Record<string, string> = {
+  historical: 'Historical',
+  normal: 'Normal',
+  student_t: 'Student-t',
+  filtered_historical: 'Filtered HS'
+};
+
+const ZONE_STYLES: Record<string, string> = {
+  green: 'bg-green-500/20 text-green-400 border-green-500/50',
+  yellow: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/50',
+  red: 'bg-red-500/20 text-red-400 border-red-500/50'
+};
+
+const VaRBacktestPanel: React.FC<VaRBacktestPanelProps> = ({ backtest }) => {
+  const formatPValue = (value: number) => (
+    <span className={value < 0.05 ? 'text-red-400' : 'text-gray-300'}>{value.toFixed(3)}</span>
+  );
+
+  return (
+    <div className="bg-slate-900/50 backdrop-blur-sm rounded-lg p-6 border border-slate-700">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">VaR Backtest</h3>
+        {backtest && (
+          <div className="text-xs text-gray-400">
+            {(backtest.confidence * 100).toFixed(0)}% 1-day VaR • {backtest.volatility_model.toUpperCase()} •{' '}
+            {backtest.start_date} to {backtest.end_date}
+          </div>
+        )}
+      </div>
+
+      {!backtest ? (
+        <div className="text-center py-8 text-gray-500">
+          <ShieldAlert className="w-12 h-12 mx-auto mb-3 opacity-50" />
+          <p>Backtest not available</p>
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-400 border-b border-slate-700">
+                  <th className="text-left py-2">Method</th>
+                  <th className="text-right py-2">Breaches</th>
+                  <th className="text-right py-2">Expected</th>
+                  <th className="text-right py-2">Kupiec p</th>
+                  <th className="text-right py-2">Indep. p</th>
+                  <th className="text-right py-2">Cond. cov. p</th>
+                  <th className="text-right py-2">Basel (250d)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(backtest.methods).map(([method, result]) => (
+                  <tr key={method} className="border-b border-slate-800">
+                    <td className="py-2 text-white">{METHOD_LABELS[method] || method}</td>
+                    <td className="py-2 text-right text-white font-mono">
+                      {result.breaches}/{result.observations}
+                    </td>
+                    <td className="py-2 text-right text-gray-300 font-mono">{result.expected_breaches.toFixed(1)}</td>
+                    <td className="py-2 text-right font-mono">{formatPValue(result.kupiec.pValue)}</td>
+                    <td className="py-2 text-right font-mono">{formatPValue(result.independence.pValue)}</td>
+                    <td className="py-2 text-right font-mono">{formatPValue(result.conditional_coverage.pValue)}</td>
+                    <td className="py-2 text-right">
+                      <span className={`px-2 py-0.5 rounded border text-xs font-medium uppercase ${ZONE_STYLES[result.traffic_light.zone]}`}>
+                        {result.traffic_light.zone} ({result.traffic_light.breaches})
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-4">
+            <p className="text-xs text-gray-400 mb-2">Recent breaches</p>
+            {backtest.breaches.length === 0 ? (
+              <p className="text-sm text-gray-500">No breaches in the backtest period</p>
+            ) : (
+              <div className="max-h-40 overflow-y-auto space-y-1">
+                {backtest.breaches.slice(0, 20).map((breach) => (
+                  <div
+                    key={`${breach.date}-${breach.method}`}
+                    className="flex items-center justify-between text-xs bg-slate-800/50 rounded px-3 py-1.5"
+                  >
+                    <span className="text-gray-300 font-mono">{breach.date}</span>
+                    <span className="text-gray-400">{METHOD_LABELS[breach.method] || breach.method}</span>
+                    <span className="text-red-400 font-mono">{(breach.return * 100).toFixed(2)}%</span>
+                    <span className="text-gray-400 font-mono">VaR {(breach.value_at_risk * 100).toFixed(2)}%</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VaRBacktestPanel;
@@ -0,0 +1,104 @@
+import React from 'react';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
+import { VolatilityConeData } from '../services/api';
+
+interface VolatilityConeProps {
+  cone: VolatilityConeData | null;
+}
+
+const VolatilityCone: React.FC<VolatilityConeProps> = ({ cone }) => {
+  const chartData = (cone?.cone || []).map((point) => ({
+    name: `${point.window}d`,
+    Range: [point.min * 100, point.max * 100],
+    Interquartile: [point.q25 * 100, point.q75 * 100],
+    Median: point.median * 100,
+    Current: point.current * 100
+  }));
+
+  const getValuation = (percentile: number) => {
+    if (percentile <= 25) return { label: 'CHEAP', color: 'text-green-400' };
+    if (percentile >= 75) return { label: 'RICH', color: 'text-red-400' };
+    return { label: 'FAIR', color: 'text-gray-300' };
+  };
+
+  const CustomTooltip = ({ active, payload, label }: any) => {
+    if (active && payload && payload.length) {
+      const point = cone?.cone.find((p) => `${p.window}d` === label);
+      if (!point) return null;
+      return (
+        <div className="bg-slate-800 border border-slate-700 p-3 rounded shadow-lg text-sm">
+          <p className="text-white font-medium mb-1">{label} window</p>
+          <p className="text-gray-400">Max: {(point.max * 100).toFixed(2)}%</p>
+          <p className="text-gray-400">75th: {(point.q75 * 100).toFixed(2)}%</p>
+          <p className="text-gray-400">Median: {(point.median * 100).toFixed(2)}%</p>
+          <p className="text-gray-400">25th: {(point.q25 * 100).toFixed(2)}%</p>
+          <p className="text-gray-400">Min: {(point.min * 100).toFixed(2)}%</p>
+          <p className="text-yellow-400 mt-1">
+            Current: {(point.current * 100).toFixed(2)}% ({point.percentile.toFixed(0)}th pct)
+          </p>
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="bg-slate-900/50 backdrop-blur-sm rounded-lg p-6 border border-slate-700">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">Volatility Cone</h3>
+        {cone && (
+          <span className="text-xs text-gray-400">
+            Annualized realized vol, {cone.start_date} to {cone.end_date}
+          </span>
+        )}
+      </div>
+
+      {!cone || cone.cone.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <p>Volatility cone not available</p>
+        </div>
+      ) : (
+        <>
+          <ResponsiveContainer width="100%" height={300}>
+            <ComposedChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="name" stroke="#94a3b8" />
+              <YAxis stroke="#94a3b8" label={{ value: 'Volatility (%)', angle: -90, position: 'insideLeft', style: { fill: '#94a3b8' } }} />
+              <Tooltip content={<CustomTooltip />} />
+              <Legend />
+              <Area type="monotone" dataKey="Range" stroke="none" fill="#64748b" fillOpacity={0.2} name="Min-Max" />
+              <Area type="monotone" dataKey="Interquartile" stroke="none" fill="#3b82f6" fillOpacity={0.3} name="25th-75th" />
+              <Line type="monotone" dataKey="Median" stroke="#94a3b8" strokeDasharray="5 5" dot={false} name="Median" />
+              <Line type="monotone" dataKey="Current" stroke="#facc15" strokeWidth={2} name="Current" />
+            </ComposedChart>
+          </ResponsiveContainer>
+
+          <div className="grid grid-cols-3 md:grid-cols-6 gap-2 mt-4">
+            {cone.cone.map((point) => {
+              const valuation = getValuation(point.percentile);
+              return (
+                <div key={point.window} className="bg-slate-800/50 rounded p-2 text-center">
+                  <p className="text-xs text-gray-400">{point.window}d</p>
+                  <p className="text-sm text-white font-mono">{point.percentile.toFixed(0)}th</p>
+                  <p className={`text-xs font-medium ${valuation.color}`}>{valuation.label}</p>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VolatilityCone;
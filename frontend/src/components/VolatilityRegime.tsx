@@ -1,12 +1,21 @@
 import React from 'react';
 import { AlertTriangle, TrendingUp, Activity, Shield } from 'lucide-react';
+import { RegimeHistory, RegimeLabel } from '../services/api';
 
 interface VolatilityRegimeProps {
-  regime: 'low' | 'normal' | 'elevated' | 'extreme';
+  regime: RegimeLabel;
   currentVolatility?: number;
+  history?: RegimeHistory | null;
 }
 
-const VolatilityRegime: React.FC<VolatilityRegimeProps> = ({ regime, currentVolatility }) => {
+const REGIME_COLORS: Record<RegimeLabel, string> = {
+  extreme: 'bg-red-600',
+  elevated: 'bg-orange-500',
+  normal: 'bg-blue-500',
+  low: 'bg-green-500'
+};
+
+const VolatilityRegime: React.FC<VolatilityRegimeProps> = ({ regime, currentVolatility, history }) => {
   const getRegimeConfig = () => {
     switch (regime) {
       case 'extreme':
@@ -84,16 +93,37 @@ const VolatilityRegime: React.FC<VolatilityRegimeProps> = ({ regime, currentVola
           <div
             key={level}
             className={`flex-1 h-2 rounded-full ${
-              level === regime
-                ? level === 'extreme' ? 'bg-red-600' :
-                  level === 'elevated' ? 'bg-orange-500' :
-                  level === 'normal' ? 'bg-blue-500' :
-                  'bg-green-500'
-                : 'bg-slate-700'
+              level === regime ? REGIME_COLORS[level as RegimeLabel] : 'bg-slate-700'
             }`}
           />
         ))}
       </div>
+
+      {history && history.timeline.length > 0 && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+            <span>Regime timeline</span>
+            {history.current && (
+              <span>
+                {history.current.regime} for {history.current.length} days
+              </span>
+            )}
+          </div>
+          <div className="flex h-4 rounded overflow-hidden">
+            {history.timeline.map((point) => (
+              <div
+                key={point.date}
+                className={`flex-1 ${REGIME_COLORS[point.regime]}`}
+                title={`${point.date}: ${point.regime}`}
+              />
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1 font-mono">
+            <span>{history.timeline[0].date}</span>
+            <span>{history.timeline[history.timeline.length - 1].date}</span>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -2,6 +2,9 @@ import axios from 'axios';
 
 const API_BASE_URL = 'https://backend-morphvm-elaa2g3p.http.cloud.morph.so/api';
 
+// Wait before reopening a stream the server refused
+const STREAM_RETRY_MS = 10000;
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
@@ -15,12 +18,35 @@ export interface VolatilityIndicators {
   har_forecast_weekly: number;
   har_forecast_monthly: number;
   garch_forecast: number;
+  vix_correlation?: number | null;
   atr_14: number;
   bollinger_band_width: number;
   parkinson_volatility: number;
   garman_klass_volatility: number;
 }
 
+export interface VarianceRiskPremium {
+  date: string;
+  vix: number;
+  implied_variance: number;
+  forecast_variance: number;
+  premium: number;
+  volatility_spread: number;
+}
+
+export interface VIXTermStructure {
+  date: string;
+  vix9d: number | null;
+  vix: number;
+  vix3m: number;
+  vix6m: number | null;
+  slope: number;
+  curvature: number | null;
+  ratio: number;
+  state: 'contango' | 'backwardation';
+  previous_ratio?: number | null;
+}
+
 export interface HARModel {
   dailyCoef: number;
   weeklyCoef: number;
@@ -29,6 +55,17 @@ export interface HARModel {
   intercept?: number;
 }
 
+export interface HARForecastPoint {
+  horizon: number;
+  variance: number;
+  lower: number | null;
+  upper: number | null;
+  cumulativeVariance: number;
+  volatility: number;
+  volatilityLower: number | null;
+  volatilityUpper: number | null;
+}
+
 export interface Signal {
   id?: string;
   type: string;
@@ -36,6 +73,7 @@ export interface Signal {
   strength: number;
   reason: string;
   timestamp?: string;
+  opened_at?: string;
 }
 
 export interface MarketSummary {
@@ -50,6 +88,9 @@ export interface MarketAnalysis {
   symbol: string;
   volatility_indicators: VolatilityIndicators;
   har_model: HARModel;
+  har_forecast_curve?: HARForecastPoint[] | null;
+  variance_risk_premium?: VarianceRiskPremium | null;
+  vix_term_structure?: VIXTermStructure | null;
   volatility_regime: 'low' | 'normal' | 'elevated' | 'extreme';
   signals: Signal[];
   market_summary: MarketSummary;
@@ -77,6 +118,219 @@ export interface VolatilityHistory {
   atr_14?: number;
 }
 
+export interface ForecastAccuracy {
+  model: string;
+  horizon: number;
+  scored_count: number;
+  recent_count: number;
+  recent_qlike: number | null;
+  baseline_qlike: number | null;
+  recent_rmse: number | null;
+  recent_bias: number | null;
+  degradation_ratio: number | null;
+  last_base_date: string | null;
+}
+
+export type RegimeLabel = 'low' | 'normal' | 'elevated' | 'extreme';
+
+export interface RegimeTimelinePoint {
+  date: string;
+  regime: RegimeLabel;
+  volatility: number | null;
+  probability: number | null;
+}
+
+export interface RegimeHistory {
+  symbol: string;
+  method: 'quantile' | 'hmm';
+  current: { regime: RegimeLabel; since: string; length: number } | null;
+  timeline: RegimeTimelinePoint[];
+  runs: { regime: RegimeLabel; start: string; end: string; length: number }[];
+  run_lengths: Record<string, { runs: number; mean: number; median: number; max: number }>;
+  transition_matrix: { states: RegimeLabel[]; counts: number[][]; probabilities: (number | null)[][] };
+  forward_returns: Record<string, Record<string, { count: number; mean?: number; stdDev?: number | null; hitRate?: number }>>;
+}
+
+export interface CoverageTest {
+  statistic: number;
+  pValue: number;
+}
+
+export interface VaRBacktestMethod {
+  observations: number;
+  breaches: number;
+  expected_breaches: number;
+  breach_rate: number;
+  kupiec: CoverageTest;
+  independence: CoverageTest;
+  conditional_coverage: CoverageTest;
+  traffic_light: {
+    zone: 'green' | 'yellow' | 'red';
+    breaches: number;
+    observations: number;
+    cumulativeProbability: number;
+  };
+}
+
+export interface VaRBreach {
+  date: string;
+  method: string;
+  return: number;
+  value_at_risk: number;
+}
+
+export interface VaRBacktest {
+  symbol: string;
+  confidence: number;
+  volatility_model: string;
+  window: number;
+  refit_every: number;
+  start_date: string;
+  end_date: string;
+  methods: Record<string, VaRBacktestMethod>;
+  breaches: VaRBreach[];
+}
+
+export interface VolatilityConePoint {
+  window: number;
+  min: number;
+  q25: number;
+  median: number;
+  q75: number;
+  max: number;
+  current: number;
+  percentile: number;
+  observations: number;
+}
+
+export interface VolatilityConeData {
+  symbol: string;
+  start_date: string;
+  end_date: string;
+  observations: number;
+  cone: VolatilityConePoint[];
+}
+
+export type VolatilitySource = 'har' | 'garch' | 'parkinson' | 'garman_klass';
+
+export interface OptionGreeks {
+  price: number;
+  delta: number;
+  gamma: number;
+  vega: number;
+  theta: number;
+  rho: number;
+}
+
+export interface ExpectedMove {
+  sigmas: number;
+  move: number;
+  lower: number;
+  upper: number;
+  probability: number;
+}
+
+export interface OptionPricingRequest {
+  strike?: number;
+  days: number;
+  volatilitySource: VolatilitySource;
+  marketPrice?: number;
+}
+
+export interface OptionPricing {
+  symbol: string;
+  date: string;
+  spot: number;
+  strike: number;
+  days_to_expiry: number;
+  trading_days: number;
+  time_to_expiry: number;
+  rate: number;
+  dividend_yield: number;
+  volatility_source: VolatilitySource | 'custom';
+  volatility: number;
+  call: OptionGreeks;
+  put: OptionGreeks;
+  straddle: OptionGreeks;
+  expected_move: ExpectedMove[];
+  market: {
+    straddle_price: number;
+    implied_volatility: number | null;
+    edge: number;
+  } | null;
+}
+
+export interface PositionSizing {
+  symbol: string;
+  date: string;
+  volatility_model: string;
+  target_volatility: number;
+  equity: number;
+  max_leverage: number;
+  price: number;
+  forecast_volatility: number;
+  leverage: number;
+  exposure: number;
+  shares: number;
+}
+
+export interface SignalOutcomeStats {
+  horizon: number;
+  signal_count: number;
+  directional_count: number;
+  hit_rate: number | null;
+  average_return: number | null;
+  average_edge: number | null;
+  average_forward_volatility: number | null;
+}
+
+export interface SignalPerformance {
+  symbol: string;
+  horizons: number[];
+  signal_type: (SignalOutcomeStats & { signal_type: string })[];
+  regime: (SignalOutcomeStats & { regime: string })[];
+  strength: (SignalOutcomeStats & { strength: string })[];
+}
+
+export type StreamEventType = 'bar' | 'analysis' | 'regime_change' | 'signal' | 'reset';
+
+export interface StreamBar {
+  timestamp: string;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+}
+
+export interface StreamRegimeChange {
+  previous_regime: string;
+  regime: string;
+  realized_volatility: number;
+}
+
+export interface StreamReset {
+  reason: 'replay_truncated';
+  symbols: string[];
+}
+
+export interface StreamEvent<T> {
+  id: number;
+  type: StreamEventType;
+  symbol: string;
+  created_at: string;
+  data: T;
+}
+
+export interface StreamHandlers {
+  onBar?: (event: StreamEvent<StreamBar>) => void;
+  onAnalysis?: (event: StreamEvent<MarketAnalysis>) => void;
+  onRegimeChange?: (event: StreamEvent<StreamRegimeChange>) => void;
+  onSignal?: (event: StreamEvent<Signal>) => void;
+  onReset?: (event: StreamEvent<StreamReset>) => void;
+  onConnectionChange?: (connected: boolean) => void;
+}
+
 class MarketAPI {
   async getMarketAnalysis(): Promise<MarketAnalysis> {
     const response = await api.get('/market/analysis');
@@ -121,11 +375,19 @@ class MarketAPI {
     return response.data.data || response.data;
   }
 
+  async getVolatilityCone(symbol: string = 'SPY'): Promise<VolatilityConeData> {
+    const response = await api.get(`/volatility/cone?symbol=${symbol}`);
+    return response.data.data || response.data;
+  }
+
   async getLatestSignals(
     symbol: string = 'SPY',
-    limit: number = 10
+    limit: number = 10,
+    state?: 'active' | 'closed'
   ): Promise<Signal[]> {
-    const response = await api.get(`/signals/latest?symbol=${symbol}&limit=${limit}`);
+    const params = new URLSearchParams({ symbol, limit: limit.toString() });
+    if (state) params.append('state', state);
+    const response = await api.get(`/signals/latest?${params}`);
     return response.data.data || response.data;
   }
 
@@ -134,6 +396,112 @@ class MarketAPI {
     return response.data.data || response.data;
   }
 
+  async getForecastAccuracy(
+    symbol: string = 'SPY',
+    window: number = 20
+  ): Promise<ForecastAccuracy[]> {
+    const response = await api.get(`/forecasts/accuracy?symbol=${symbol}&window=${window}`);
+    return response.data.data || response.data;
+  }
+
+  async getRegimeHistory(
+    symbol: string = 'SPY',
+    days: number = 126
+  ): Promise<RegimeHistory> {
+    const response = await api.get(`/regimes/history?symbol=${symbol}&days=${days}`);
+    return response.data.data || response.data;
+  }
+
+  async getVaRBacktest(
+    symbol: string = 'SPY',
+    confidence: number = 0.99
+  ): Promise<VaRBacktest> {
+    const response = await api.get(`/risk/backtest?symbol=${symbol}&confidence=${confidence}`);
+    return response.data.data || response.data;
+  }
+
+  async priceOptions(
+    symbol: string = 'SPY',
+    request: OptionPricingRequest
+  ): Promise<OptionPricing> {
+    const params = new URLSearchParams();
+    params.append('symbol', symbol);
+    params.append('days', request.days.toString());
+    params.append('volatilitySource', request.volatilitySource);
+    if (request.strike !== undefined) params.append('strike', request.strike.toString());
+    if (request.marketPrice !== undefined) params.append('marketPrice', request.marketPrice.toString());
+
+    const response = await api.get(`/options/price?${params.toString()}`);
+    return response.data.data || response.data;
+  }
+
+  async getPositionSize(
+    symbol: string = 'SPY',
+    targetVolatility: number = 0.1,
+    equity: number = 100000
+  ): Promise<PositionSizing> {
+    const response = await api.get(
+      `/sizing?symbol=${symbol}&targetVolatility=${targetVolatility}&equity=${equity}&history=false`
+    );
+    return response.data.data || response.data;
+  }
+
+  async getSignalPerformance(symbol: string = 'SPY'): Promise<SignalPerformance> {
+    const response = await api.get(`/signals/performance?symbol=${symbol}`);
+    return response.data.data || response.data;
+  }
+
+  /**
+   * Subscribe to pushed updates for the symbols; returns an unsubscribe function
+   * Reconnects resume after the last event received, so nothing is missed;
+   * when too much was missed to replay, onReset fires and the caller should reload.
+   */
+  subscribeToUpdates(symbols: string[], handlers: StreamHandlers): () => void {
+    let source: EventSource | null = null;
+    let lastEventId = 0;
+    let retryTimer: ReturnType<typeof setTimeout> | undefined;
+    let closed = false;
+
+    const listen = <T>(type: StreamEventType, handler?: (event: StreamEvent<T>) => void) => {
+      source?.addEventListener(type, (message) => {
+        const { data: body, lastEventId: id } = message as MessageEvent;
+        lastEventId = parseInt(id) || lastEventId;
+        const { symbol, created_at, data } = JSON.parse(body);
+        handler?.({ id: lastEventId, type, symbol, created_at, data });
+      });
+    };
+
+    const connect = () => {
+      const params = new URLSearchParams();
+      params.append('symbols', symbols.join(','));
+      if (lastEventId) params.append('lastEventId', lastEventId.toString());
+
+      source = new EventSource(`${API_BASE_URL}/stream?${params.toString()}`);
+      source.onopen = () => handlers.onConnectionChange?.(true);
+      source.onerror = () => {
+        handlers.onConnectionChange?.(false);
+        // EventSource reconnects by itself unless the server refused the stream
+        if (source?.readyState === EventSource.CLOSED && !closed) {
+          retryTimer = setTimeout(connect, STREAM_RETRY_MS);
+        }
+      };
+
+      listen('bar', handlers.onBar);
+      listen('analysis', handlers.onAnalysis);
+      listen('regime_change', handlers.onRegimeChange);
+      listen('signal', handlers.onSignal);
+      listen('reset', handlers.onReset);
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }
+
   async triggerUpdate(symbol: string = 'SPY'): Promise<any> {
     const response = await api.post('/market/update', { symbol });
     return response.data;
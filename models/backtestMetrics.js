@@ -0,0 +1,106 @@
+const ss = require('simple-statistics');
+
+class BacktestMetrics {
+  /**
+   * Daily strategy returns from positions held over each day's asset return
+   * Trading from the previous day's position costs costRate per unit of
+   * notional traded.
+   */
+  static strategyReturns(assetReturns, positions, costRate = 0) {
+    let previous = 0;
+    return assetReturns.map((r, t) => {
+      const position = positions[t];
+      const cost = Math.abs(position - previous) * costRate;
+      previous = position;
+      return position * r - cost;
+    });
+  }
+
+  /**
+   * Performance summary of a daily return series and the positions behind it
+   * Sharpe and Sortino are annualized with a zero risk-free rate. A trade is
+   * a run of days with the same non-zero position; hit rate is the share of
+   * trades with a positive compounded return. Turnover is annualized notional
+   * traded per unit of capital.
+   */
+  static summarize(dates, returns, positions = null, annualizationFactor = 252) {
+    const equityCurve = [];
+    let equity = 1;
+    returns.forEach((r, t) => {
+      equity *= 1 + r;
+      equityCurve.push({ date: dates[t], equity });
+    });
+
+    const years = returns.length / annualizationFactor;
+    const mean = returns.length > 0 ? ss.mean(returns) : null;
+    const stdDev = returns.length > 1 ? ss.sampleStandardDeviation(returns) : null;
+    const downsideDeviation = returns.length > 0
+      ? Math.sqrt(ss.mean(returns.map(r => Math.min(r, 0) ** 2)))
+      : null;
+
+    const summary = {
+      observations: returns.length,
+      total_return: equity - 1,
+      cagr: years > 0 && equity > 0 ? Math.pow(equity, 1 / years) - 1 : null,
+      volatility: stdDev === null ? null : stdDev * Math.sqrt(annualizationFactor),
+      sharpe: stdDev > 0 ? mean / stdDev * Math.sqrt(annualizationFactor) : null,
+      sortino: downsideDeviation > 0 ? mean / downsideDeviation * Math.sqrt(annualizationFactor) : null,
+      max_drawdown: this.maxDrawdown(equityCurve.map(d => d.equity)),
+      equity_curve: equityCurve
+    };
+
+    if (positions) {
+      const trades = this.trades(returns, positions);
+      let traded = 0;
+      positions.forEach((position, t) => {
+        traded += Math.abs(position - (t > 0 ? positions[t - 1] : 0));
+      });
+
+      Object.assign(summary, {
+        trades: trades.length,
+        hit_rate: trades.length > 0 ? trades.filter(r => r > 0).length / trades.length : null,
+        turnover: years > 0 ? traded / years : null,
+        exposure: positions.length > 0 ? positions.filter(p => p !== 0).length / positions.length : null
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Compounded return of each run of identical non-zero positions
+   */
+  static trades(returns, positions) {
+    const trades = [];
+    let growth = null;
+
+    positions.forEach((position, t) => {
+      const continuing = t > 0 && position === positions[t - 1];
+      if (!continuing && growth !== null) {
+        trades.push(growth - 1);
+        growth = null;
+      }
+      if (position !== 0) {
+        growth = (growth === null ? 1 : growth) * (1 + returns[t]);
+      }
+    });
+    if (growth !== null) trades.push(growth - 1);
+
+    return trades;
+  }
+
+  /**
+   * Largest peak-to-trough decline of an equity curve, as a fraction of the peak
+   */
+  static maxDrawdown(equityCurve) {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    for (const value of equityCurve) {
+      peak = Math.max(peak, value);
+      maxDrawdown = Math.max(maxDrawdown, 1 - value / peak);
+    }
+    return maxDrawdown;
+  }
+}
+
+module.exports = BacktestMetrics;
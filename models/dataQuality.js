@@ -0,0 +1,200 @@
+const ss = require('simple-statistics');
+const VolatilityModels = require('./volatilityModels');
+
+// Daily log returns behind the robust z-score of a new return
+const OUTLIER_WINDOW = 60;
+const MIN_OUTLIER_HISTORY = 20;
+// Robust z-score above which a return is flagged as an outlier
+const OUTLIER_Z = 6;
+// Scales 0.6745 * (x - median) / MAD to a standard normal z-score
+const MAD_SCALE = 0.6745;
+
+// Price ratios of common splits and reverse splits, matched within 5%
+const SPLIT_RATIOS = [2, 3, 4, 5, 10, 1.5].flatMap(ratio => [ratio, 1 / ratio]);
+const SPLIT_TOLERANCE = 0.05;
+
+// A completed day's close that moves this much between fetches means the
+// provider re-adjusted its history
+const ADJUSTMENT_TOLERANCE = 0.01;
+
+// Slack for rounding when comparing open and close with the day's range
+const RANGE_TOLERANCE = 1e-6;
+
+class DataQuality {
+  /**
+   * Split a batch of daily bars for one symbol into bars to store, bars to
+   * quarantine and outliers to flag
+   * `stored` holds the symbol's stored bars around the batch, oldest first.
+   * Each trading day keeps one bar: the last in the batch wins, and a day
+   * already stored under another timestamp keeps that timestamp so the
+   * upsert replaces the row instead of adding a second one. Return checks
+   * only run on bars that are new or changed, and split checks are skipped
+   * for indices (^ symbols), which do not split.
+   * Returns { accepted, quarantined: [{ bar, reason, details }], outliers }.
+   */
+  static validateDailyBars(symbol, bars, stored = []) {
+    const accepted = [];
+    const quarantined = [];
+    const outliers = [];
+
+    const storedByDate = new Map();
+    for (const row of stored) {
+      storedByDate.set(VolatilityModels.tradingDateKey(row.timestamp), row);
+    }
+    const latestStoredDate = stored.length > 0
+      ? VolatilityModels.tradingDateKey(stored[stored.length - 1].timestamp)
+      : null;
+
+    // Bar-level checks, then one bar per trading day
+    const byDate = new Map();
+    for (const raw of bars) {
+      // Cached rows from market_data carry prices as strings
+      const bar = {
+        symbol,
+        timestamp: new Date(raw.timestamp),
+        open: parseFloat(raw.open),
+        high: parseFloat(raw.high),
+        low: parseFloat(raw.low),
+        close: parseFloat(raw.close),
+        volume: parseFloat(raw.volume)
+      };
+      const problem = this.checkBar(bar);
+      if (problem) {
+        quarantined.push({ bar, ...problem });
+        continue;
+      }
+
+      const date = VolatilityModels.tradingDateKey(bar.timestamp);
+      if (byDate.has(date)) {
+        quarantined.push({
+          bar: byDate.get(date),
+          reason: 'duplicate_session',
+          details: `Superseded by the ${date} bar at ${bar.timestamp.toISOString()}`
+        });
+      }
+      byDate.set(date, bar);
+    }
+
+    // Day by day against the stored closes and the bars accepted so far
+    const closes = new Map([...storedByDate].map(([date, row]) => [date, parseFloat(row.close)]));
+    const checkSplits = !symbol.startsWith('^');
+
+    for (const [date, bar] of [...byDate].sort(([a], [b]) => a.localeCompare(b))) {
+      const storedRow = storedByDate.get(date);
+      const storedClose = storedRow ? parseFloat(storedRow.close) : null;
+      const target = storedRow && storedRow.timestamp.getTime() !== bar.timestamp.getTime()
+        ? { ...bar, timestamp: storedRow.timestamp }
+        : bar;
+
+      // market_data keeps prices to the cent
+      if (storedRow && bar.close.toFixed(2) === storedClose.toFixed(2)) {
+        accepted.push(target);
+        continue;
+      }
+      if (storedRow && date < latestStoredDate && Math.abs(bar.close / storedClose - 1) > ADJUSTMENT_TOLERANCE) {
+        quarantined.push({
+          bar,
+          reason: 'adjustment_break',
+          details: `Close ${bar.close} differs from the stored ${storedClose} for a completed day`
+        });
+        continue;
+      }
+
+      const previousCloses = [...closes]
+        .filter(([d]) => d < date)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .slice(-(OUTLIER_WINDOW + 2))
+        .map(([, close]) => close);
+
+      if (previousCloses.length > 0) {
+        const previousClose = previousCloses[previousCloses.length - 1];
+        const ratio = bar.close / previousClose;
+        const logReturn = Math.log(ratio);
+        const baseline = previousCloses.slice(1).map((close, i) => Math.log(close / previousCloses[i]));
+        const zScore = this.robustZScore(logReturn, baseline);
+
+        if (checkSplits && this.isSplitRatio(ratio) && (zScore === null || Math.abs(zScore) > OUTLIER_Z)) {
+          quarantined.push({
+            bar,
+            reason: 'split_break',
+            details: `Close moved ${ratio.toFixed(3)}x from ${previousClose}, close to a split ratio`
+          });
+          continue;
+        }
+        if (zScore !== null && Math.abs(zScore) > OUTLIER_Z) {
+          outliers.push({
+            symbol,
+            date,
+            return: logReturn,
+            z_score: zScore
+          });
+        }
+      }
+
+      closes.set(date, bar.close);
+      accepted.push(target);
+    }
+
+    return { accepted, quarantined, outliers };
+  }
+
+  /**
+   * First problem with a bar's own fields, or null
+   */
+  static checkBar(bar) {
+    if (isNaN(bar.timestamp)) {
+      return { reason: 'invalid_timestamp', details: 'Timestamp is missing or not a date' };
+    }
+
+    const prices = ['open', 'high', 'low', 'close'];
+    const missing = prices.filter(field => !this.isNumber(bar[field]));
+    if (missing.length > 0) {
+      return { reason: 'missing_price', details: `Missing ${missing.join(', ')}` };
+    }
+    const nonPositive = prices.filter(field => bar[field] <= 0);
+    if (nonPositive.length > 0) {
+      return { reason: 'non_positive_price', details: `${nonPositive.join(', ')} at or below zero` };
+    }
+    if (!this.isNumber(bar.volume) || bar.volume < 0) {
+      return { reason: 'missing_volume', details: `Volume is ${bar.volume}` };
+    }
+    if (bar.high < bar.low) {
+      return { reason: 'high_below_low', details: `High ${bar.high} below low ${bar.low}` };
+    }
+
+    const slack = bar.high * RANGE_TOLERANCE;
+    for (const field of ['open', 'close']) {
+      if (bar[field] > bar.high + slack || bar[field] < bar.low - slack) {
+        return {
+          reason: `${field}_outside_range`,
+          details: `${field} ${bar[field]} outside [${bar.low}, ${bar.high}]`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Robust z-score of a value against a sample: distance from the median
+   * in units of the median absolute deviation
+   * Null when the sample is too short or has no dispersion.
+   */
+  static robustZScore(value, sample) {
+    if (sample.length < MIN_OUTLIER_HISTORY) return null;
+
+    const mad = ss.medianAbsoluteDeviation(sample);
+    if (mad === 0) return null;
+    return MAD_SCALE * (value - ss.median(sample)) / mad;
+  }
+
+  static isSplitRatio(ratio) {
+    return SPLIT_RATIOS.some(split => Math.abs(ratio / split - 1) < SPLIT_TOLERANCE);
+  }
+
+  static isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+}
+
+module.exports = DataQuality;
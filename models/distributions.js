@@ -0,0 +1,226 @@
+const math = require('mathjs');
+
+class Distributions {
+  /**
+   * Standard normal cumulative distribution function
+   */
+  static normalCdf(x) {
+    return 0.5 * (1 + this.erf(x / Math.SQRT2));
+  }
+
+  /**
+   * Standard normal quantile (Acklam's rational approximation, |error| < 1.2e-9)
+   */
+  static normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+      1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+      6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+      -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+      3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    if (p > 1 - pLow) {
+      return -this.normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /**
+   * Student-t density with nu degrees of freedom
+   */
+  static studentTPdf(x, nu) {
+    return Math.exp(
+      math.lgamma((nu + 1) / 2) - math.lgamma(nu / 2) - 0.5 * Math.log(nu * Math.PI) -
+      ((nu + 1) / 2) * Math.log(1 + x * x / nu)
+    );
+  }
+
+  /**
+   * Student-t cumulative distribution function with nu degrees of freedom
+   */
+  static studentTCdf(x, nu) {
+    const tail = 0.5 * this.regularizedIncompleteBeta(nu / (nu + x * x), nu / 2, 0.5);
+    return x >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Student-t quantile: Newton steps on the CDF from the normal quantile,
+   * with bisection as a fallback when a step leaves the bracket
+   */
+  static studentTQuantile(p, nu) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    if (p < 0.5) return -this.studentTQuantile(1 - p, nu);
+
+    let low = 0;
+    let high = 1;
+    while (this.studentTCdf(high, nu) < p) high *= 2;
+
+    let x = Math.min(Math.max(this.normalQuantile(p), low), high);
+    for (let i = 0; i < 100; i++) {
+      const error = this.studentTCdf(x, nu) - p;
+      if (Math.abs(error) < 1e-12) break;
+      if (error > 0) high = x; else low = x;
+
+      const next = x - error / this.studentTPdf(x, nu);
+      x = next > low && next < high ? next : (low + high) / 2;
+    }
+    return x;
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b)
+   * Lentz continued fraction, using the symmetry I_x(a, b) = 1 - I_{1-x}(b, a)
+   * where the fraction converges slowly
+   */
+  static regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - this.regularizedIncompleteBeta(1 - x, b, a);
+    }
+
+    const logPrefactor = math.lgamma(a + b) - math.lgamma(a) - math.lgamma(b) +
+      a * Math.log(x) + b * Math.log(1 - x);
+
+    const tiny = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m < 500; m++) {
+      const m2 = 2 * m;
+      // Even step
+      let numerator = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      h *= d * c;
+      // Odd step
+      numerator = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.exp(logPrefactor) * h / a;
+  }
+
+  /**
+   * Binomial cumulative distribution function P(X <= k) for n trials with success probability p
+   */
+  static binomialCdf(k, n, p) {
+    if (k < 0) return 0;
+    if (k >= n) return 1;
+
+    let cdf = 0;
+    for (let i = 0; i <= k; i++) {
+      cdf += Math.exp(
+        math.lgamma(n + 1) - math.lgamma(i + 1) - math.lgamma(n - i + 1) +
+        i * Math.log(p) + (n - i) * Math.log(1 - p)
+      );
+    }
+    return Math.min(cdf, 1);
+  }
+
+  /**
+   * Chi-squared cumulative distribution function with k degrees of freedom
+   */
+  static chiSquaredCdf(x, k) {
+    if (x <= 0) return 0;
+    return this.regularizedGammaP(k / 2, x / 2);
+  }
+
+  /**
+   * Regularized lower incomplete gamma function P(a, x)
+   * Series expansion below a + 1, Lentz continued fraction above
+   */
+  static regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+    const logPrefactor = a * Math.log(x) - x - math.lgamma(a);
+
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 500; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+      }
+      return Math.min(1, sum * Math.exp(logPrefactor));
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < 500; n++) {
+      const an = -n * (n - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.max(0, 1 - Math.exp(logPrefactor) * h);
+  }
+
+  /**
+   * Error function (Taylor series near zero, continued fraction in the tails)
+   */
+  static erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const z = Math.abs(x);
+
+    // Taylor series converges quickly for small arguments
+    if (z < 2.5) {
+      let term = z;
+      let sum = z;
+      for (let n = 1; n < 100; n++) {
+        term *= -z * z / n;
+        const contribution = term / (2 * n + 1);
+        sum += contribution;
+        if (Math.abs(contribution) < 1e-16 * Math.abs(sum)) break;
+      }
+      return sign * (2 / Math.sqrt(Math.PI)) * sum;
+    }
+
+    // Continued fraction for the complementary error function in the tails
+    let fraction = 0;
+    for (let n = 60; n >= 1; n--) {
+      fraction = (n / 2) / (z + fraction);
+    }
+    const erfc = Math.exp(-z * z) / Math.sqrt(Math.PI) / (z + fraction);
+    return sign * (1 - erfc);
+  }
+}
+
+module.exports = Distributions;
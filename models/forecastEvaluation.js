@@ -0,0 +1,218 @@
+const math = require('mathjs');
+const ss = require('simple-statistics');
+const VolatilityModels = require('./volatilityModels');
+const Distributions = require('./distributions');
+
+// Floor for variance forecasts so QLIKE stays finite when HAR goes negative
+const MIN_VARIANCE = 1e-12;
+
+// Fitting window bounds; every model is re-fitted at each origin
+const MIN_WINDOW = 50;
+const MAX_WINDOW = 750;
+
+// h-day cumulative variance forecasts from information up to the end of the window
+const FORECASTERS = {
+  har: ({ realizedVariance, horizon }) => {
+    const model = VolatilityModels.fitHARModel(realizedVariance);
+    const path = VolatilityModels.forecastHARPath(model, realizedVariance, horizon);
+    return path ? path.reduce((sum, v) => sum + Math.max(v, 0), 0) : null;
+  },
+  garch: ({ returns, horizon }) => garchFamilyForecast('fitGARCH', returns, horizon),
+  gjr: ({ returns, horizon }) => garchFamilyForecast('fitGJRGARCH', returns, horizon),
+  egarch: ({ returns, horizon }) => garchFamilyForecast('fitEGARCH', returns, horizon),
+  random_walk: ({ realizedVariance, horizon }) => realizedVariance[realizedVariance.length - 1] * horizon
+};
+
+function garchFamilyForecast(estimator, returns, horizon) {
+  const model = VolatilityModels[estimator](returns, 'normal');
+  const forecasts = VolatilityModels.forecastGARCH(model, [horizon]);
+  return forecasts ? forecasts[0].cumulativeVariance : null;
+}
+
+class ForecastEvaluation {
+  static get availableModels() {
+    return Object.keys(FORECASTERS);
+  }
+
+  /**
+   * Rolling out-of-sample forecasts
+   * Every model is re-fitted on the trailing window at each origin and
+   * scored against realized variance summed over the next `horizon` days.
+   * data: { returns, realizedVariance, dates } aligned by day.
+   */
+  static rollingForecasts(data, { models, window = 250, horizon = 1, step = 1 }) {
+    this.checkOptions({ models, window, horizon, step });
+
+    const n = data.realizedVariance.length;
+    const records = [];
+
+    for (let origin = window; origin + horizon <= n; origin += step) {
+      const context = {
+        returns: data.returns.slice(origin - window, origin),
+        realizedVariance: data.realizedVariance.slice(origin - window, origin),
+        horizon
+      };
+
+      const forecasts = {};
+      for (const model of models) {
+        const forecast = FORECASTERS[model](context);
+        forecasts[model] = forecast === null || !Number.isFinite(forecast)
+          ? null
+          : Math.max(forecast, MIN_VARIANCE);
+      }
+
+      records.push({
+        date: data.dates[origin - 1],
+        realized: data.realizedVariance.slice(origin, origin + horizon).reduce((sum, v) => sum + v, 0),
+        forecasts
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Check evaluation options; errors carry status 400
+   */
+  static checkOptions({ models, window, horizon, step }) {
+    const errors = [];
+    const unknown = models.filter(m => !FORECASTERS[m]);
+    if (models.length === 0) {
+      errors.push(`No forecast models given. Expected some of: ${this.availableModels.join(', ')}`);
+    } else if (unknown.length > 0) {
+      errors.push(`Unknown forecast model(s): ${unknown.join(', ')}`);
+    }
+    if (!(Number.isInteger(window) && window >= MIN_WINDOW && window <= MAX_WINDOW)) {
+      errors.push(`window must be an integer between ${MIN_WINDOW} and ${MAX_WINDOW}, got ${window}`);
+    }
+    if (!(Number.isInteger(horizon) && horizon >= 1)) {
+      errors.push(`horizon must be a positive integer, got ${horizon}`);
+    }
+    if (!(Number.isInteger(step) && step >= 1)) {
+      errors.push(`step must be a positive integer, got ${step}`);
+    }
+
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { status: 400 });
+    }
+  }
+
+  /**
+   * Score rolling forecasts: losses, Mincer-Zarnowitz and pairwise Diebold-Mariano
+   */
+  static evaluate(records, models, horizon = 1) {
+    // Only compare origins where every model produced a forecast
+    const complete = records.filter(r => models.every(m => r.forecasts[m] !== null));
+    if (complete.length < 10) {
+      throw new Error('Insufficient out-of-sample forecasts for evaluation');
+    }
+
+    const realized = complete.map(r => r.realized);
+    const lags = Math.max(horizon - 1, 0);
+    const losses = {};
+    const results = {};
+
+    for (const model of models) {
+      const forecasts = complete.map(r => r.forecasts[model]);
+      losses[model] = {
+        mse: forecasts.map((f, i) => this.squaredErrorLoss(realized[i], f)),
+        qlike: forecasts.map((f, i) => this.qlikeLoss(realized[i], f))
+      };
+      results[model] = {
+        mse: ss.mean(losses[model].mse),
+        qlike: ss.mean(losses[model].qlike),
+        mincerZarnowitz: this.mincerZarnowitz(realized, forecasts, lags)
+      };
+    }
+
+    const dieboldMariano = [];
+    for (let i = 0; i < models.length; i++) {
+      for (let j = i + 1; j < models.length; j++) {
+        for (const loss of ['mse', 'qlike']) {
+          dieboldMariano.push({
+            modelA: models[i],
+            modelB: models[j],
+            loss,
+            ...this.dieboldMariano(losses[models[i]][loss], losses[models[j]][loss], horizon)
+          });
+        }
+      }
+    }
+
+    return {
+      observations: complete.length,
+      startDate: complete[0].date,
+      endDate: complete[complete.length - 1].date,
+      models: results,
+      dieboldMariano
+    };
+  }
+
+  static squaredErrorLoss(realized, forecast) {
+    return Math.pow(realized - forecast, 2);
+  }
+
+  /**
+   * QLIKE loss (Patton 2011), robust to noise in the realized variance proxy
+   */
+  static qlikeLoss(realized, forecast) {
+    const ratio = Math.max(realized, MIN_VARIANCE) / forecast;
+    return ratio - Math.log(ratio) - 1;
+  }
+
+  /**
+   * Mincer-Zarnowitz regression realized = a + b * forecast
+   * Unbiased forecasts have a = 0 and b = 1; the joint Wald test uses
+   * Newey-West standard errors to allow for overlapping horizons.
+   */
+  static mincerZarnowitz(realized, forecasts, lags = 0) {
+    const features = forecasts.map(f => [1, f]);
+    const fit = VolatilityModels.solveLeastSquares(features, realized);
+    const coefficients = fit.coefficients;
+    const residuals = realized.map((y, i) => y - coefficients[0] - coefficients[1] * forecasts[i]);
+    const covariance = VolatilityModels.neweyWestCovariance(features, residuals, lags, fit.XtXInv);
+
+    const deviation = [coefficients[0], coefficients[1] - 1];
+    const wald = math.multiply(math.multiply(deviation, math.inv(covariance)), deviation);
+
+    return {
+      alpha: coefficients[0],
+      beta: coefficients[1],
+      alphaStdError: Math.sqrt(covariance[0][0]),
+      betaStdError: Math.sqrt(covariance[1][1]),
+      rSquared: VolatilityModels.calculateRSquared(realized, features.map(f => coefficients[0] + coefficients[1] * f[1])),
+      waldStatistic: wald,
+      pValue: 1 - Distributions.chiSquaredCdf(wald, 2)
+    };
+  }
+
+  /**
+   * Diebold-Mariano test of equal predictive accuracy
+   * d = lossA - lossB; a negative statistic favours model A. Uses a
+   * Newey-West long-run variance with horizon - 1 lags and the
+   * Harvey-Leybourne-Newbold small-sample correction.
+   */
+  static dieboldMariano(lossA, lossB, horizon = 1) {
+    const differential = lossA.map((l, i) => l - lossB[i]);
+    const n = differential.length;
+    const meanDifferential = ss.mean(differential);
+    const variance = VolatilityModels.longRunVariance(differential, Math.max(horizon - 1, 0));
+
+    if (!(variance > 0)) {
+      return { statistic: null, pValue: null, meanDifferential, better: null };
+    }
+
+    const correction = Math.sqrt((n + 1 - 2 * horizon + (horizon * (horizon - 1)) / n) / n);
+    const statistic = correction * meanDifferential / Math.sqrt(variance / n);
+    const pValue = 2 * (1 - Distributions.normalCdf(Math.abs(statistic)));
+
+    return {
+      statistic,
+      pValue,
+      meanDifferential,
+      better: meanDifferential < 0 ? 'A' : 'B'
+    };
+  }
+}
+
+module.exports = ForecastEvaluation;
@@ -0,0 +1,96 @@
+const Distributions = require('./distributions');
+
+// Bracket for the implied volatility search (annualized)
+const MIN_IMPLIED_VOLATILITY = 1e-4;
+const MAX_IMPLIED_VOLATILITY = 5;
+
+class OptionPricing {
+  /**
+   * Black-Scholes-Merton prices and Greeks for a European call, put and straddle
+   * timeToExpiry is in years, volatility annualized, rate and dividendYield
+   * continuously compounded. Vega and rho are per 1 point of volatility or
+   * rate, theta per calendar day.
+   */
+  static price({ spot, strike, timeToExpiry, volatility, rate = 0, dividendYield = 0 }) {
+    const sqrtT = Math.sqrt(timeToExpiry);
+    const d1 = (Math.log(spot / strike) + (rate - dividendYield + 0.5 * volatility * volatility) * timeToExpiry) /
+      (volatility * sqrtT);
+    const d2 = d1 - volatility * sqrtT;
+
+    const spotDiscount = Math.exp(-dividendYield * timeToExpiry);
+    const strikeDiscount = Math.exp(-rate * timeToExpiry);
+    const density = Math.exp(-0.5 * d1 * d1) / Math.sqrt(2 * Math.PI);
+    const Nd1 = Distributions.normalCdf(d1);
+    const Nd2 = Distributions.normalCdf(d2);
+
+    // Gamma and vega are the same for calls and puts
+    const gamma = spotDiscount * density / (spot * volatility * sqrtT);
+    const vega = spot * spotDiscount * density * sqrtT / 100;
+    const decay = -spot * spotDiscount * density * volatility / (2 * sqrtT);
+
+    const call = {
+      price: spot * spotDiscount * Nd1 - strike * strikeDiscount * Nd2,
+      delta: spotDiscount * Nd1,
+      gamma,
+      vega,
+      theta: (decay - rate * strike * strikeDiscount * Nd2 + dividendYield * spot * spotDiscount * Nd1) / 365,
+      rho: strike * timeToExpiry * strikeDiscount * Nd2 / 100
+    };
+    const put = {
+      price: strike * strikeDiscount * (1 - Nd2) - spot * spotDiscount * (1 - Nd1),
+      delta: -spotDiscount * (1 - Nd1),
+      gamma,
+      vega,
+      theta: (decay + rate * strike * strikeDiscount * (1 - Nd2) - dividendYield * spot * spotDiscount * (1 - Nd1)) / 365,
+      rho: -strike * timeToExpiry * strikeDiscount * (1 - Nd2) / 100
+    };
+    const straddle = {};
+    for (const greek of Object.keys(call)) {
+      straddle[greek] = call[greek] + put[greek];
+    }
+
+    return { d1, d2, call, put, straddle };
+  }
+
+  /**
+   * Expected move to expiry at each number of standard deviations
+   * move = spot * volatility * sqrt(T); probability is the normal mass
+   * within that many standard deviations.
+   */
+  static expectedMove(spot, volatility, timeToExpiry, sigmas = [1, 2]) {
+    const oneSigma = spot * volatility * Math.sqrt(timeToExpiry);
+
+    return sigmas.map(k => ({
+      sigmas: k,
+      move: k * oneSigma,
+      lower: spot - k * oneSigma,
+      upper: spot + k * oneSigma,
+      probability: 2 * Distributions.normalCdf(k) - 1
+    }));
+  }
+
+  /**
+   * Volatility at which the model price of `type` ('call', 'put' or
+   * 'straddle') equals marketPrice, by bisection. Null when the price is
+   * outside what the volatility bracket can produce.
+   */
+  static impliedVolatility(marketPrice, params, type = 'straddle', tolerance = 1e-6) {
+    const priceAt = volatility => this.price({ ...params, volatility })[type].price;
+
+    let low = MIN_IMPLIED_VOLATILITY;
+    let high = MAX_IMPLIED_VOLATILITY;
+    if (marketPrice < priceAt(low) || marketPrice > priceAt(high)) return null;
+
+    while (high - low > tolerance) {
+      const mid = (low + high) / 2;
+      if (priceAt(mid) < marketPrice) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return (low + high) / 2;
+  }
+}
+
+module.exports = OptionPricing;
@@ -0,0 +1,352 @@
+const ss = require('simple-statistics');
+const VolatilityModels = require('./volatilityModels');
+
+// Regime labels for HMM states ordered from lowest to highest variance
+const STATE_LABELS = {
+  2: ['low', 'elevated'],
+  3: ['low', 'normal', 'elevated'],
+  4: ['low', 'normal', 'elevated', 'extreme']
+};
+
+// Display and matrix order for regime labels from either method
+const REGIME_ORDER = ['low', 'normal', 'elevated', 'extreme'];
+
+class RegimeModels {
+  /**
+   * Gaussian Hidden Markov Model fitted by Baum-Welch (EM)
+   * Returns are scaled to percent for numerical stability; state means and
+   * variances are reported back in log-return units. States are ordered by
+   * variance and labelled low → extreme.
+   */
+  static fitGaussianHMM(returns, numStates = 3, { maxIterations = 200, tolerance = 1e-6 } = {}) {
+    if (!STATE_LABELS[numStates]) {
+      throw new Error(`HMM supports 2 to 4 states, got ${numStates}`);
+    }
+    if (returns.length < numStates * 20) return null;
+
+    const observations = returns.map(r => r * 100);
+    const T = observations.length;
+    const K = numStates;
+
+    // Initialise variances from quantile buckets of squared returns
+    const sortedSquares = observations.map(x => x * x).sort((a, b) => a - b);
+    const overallMean = ss.mean(observations);
+    let means = new Array(K).fill(overallMean);
+    let variances = Array.from({ length: K }, (_, k) => {
+      const bucket = sortedSquares.slice(Math.floor(k * T / K), Math.floor((k + 1) * T / K));
+      return Math.max(ss.mean(bucket), 1e-4);
+    });
+    let transition = Array.from({ length: K }, (_, i) =>
+      Array.from({ length: K }, (_, j) => (i === j ? 0.95 : 0.05 / (K - 1)))
+    );
+    let initial = new Array(K).fill(1 / K);
+
+    let logLikelihood = -Infinity;
+    let converged = false;
+    let iteration = 0;
+    let posterior = null;
+
+    for (; iteration < maxIterations; iteration++) {
+      posterior = this.forwardBackward(observations, { means, variances, transition, initial });
+
+      // M-step
+      const { gamma, xiSum } = posterior;
+      initial = gamma[0].slice();
+      transition = xiSum.map(row => {
+        const total = row.reduce((sum, v) => sum + v, 0);
+        return row.map(v => (total > 0 ? v / total : 1 / K));
+      });
+      means = Array.from({ length: K }, (_, k) => {
+        const weight = gamma.reduce((sum, g) => sum + g[k], 0);
+        return gamma.reduce((sum, g, t) => sum + g[k] * observations[t], 0) / weight;
+      });
+      variances = Array.from({ length: K }, (_, k) => {
+        const weight = gamma.reduce((sum, g) => sum + g[k], 0);
+        const variance = gamma.reduce((sum, g, t) => sum + g[k] * (observations[t] - means[k]) ** 2, 0) / weight;
+        return Math.max(variance, 1e-4);
+      });
+
+      const improvement = posterior.logLikelihood - logLikelihood;
+      logLikelihood = posterior.logLikelihood;
+      if (Math.abs(improvement) < tolerance * Math.abs(logLikelihood)) {
+        converged = true;
+        break;
+      }
+    }
+
+    // Final E-step with the converged parameters, then order states by variance
+    posterior = this.forwardBackward(observations, { means, variances, transition, initial });
+    const order = variances.map((v, k) => k).sort((a, b) => variances[a] - variances[b]);
+
+    const params = {
+      means: order.map(k => means[k]),
+      variances: order.map(k => variances[k]),
+      transition: order.map(i => order.map(j => transition[i][j])),
+      initial: order.map(k => initial[k])
+    };
+    const smoothedProbabilities = posterior.gamma.map(g => order.map(k => g[k]));
+    const viterbiPath = this.viterbi(observations, params);
+    const currentProbabilities = smoothedProbabilities[T - 1];
+    const currentState = currentProbabilities.indexOf(Math.max(...currentProbabilities));
+    const labels = STATE_LABELS[K];
+
+    // Free parameters: K - 1 initial, K (K - 1) transition, K means, K variances
+    const parameterCount = (K - 1) + K * (K - 1) + 2 * K;
+    const logLikelihoodReturns = posterior.logLikelihood + T * Math.log(100);
+
+    return {
+      numStates: K,
+      states: labels.map((label, k) => ({
+        label,
+        mean: params.means[k] / 100,
+        variance: params.variances[k] / 1e4,
+        volatility: Math.sqrt(params.variances[k] / 1e4 * 252),
+        expectedDuration: 1 / (1 - params.transition[k][k])
+      })),
+      transitionMatrix: params.transition,
+      initialProbabilities: params.initial,
+      logLikelihood: logLikelihoodReturns,
+      aic: 2 * parameterCount - 2 * logLikelihoodReturns,
+      bic: parameterCount * Math.log(T) - 2 * logLikelihoodReturns,
+      iterations: iteration,
+      converged,
+      smoothedProbabilities,
+      viterbiPath,
+      currentState,
+      currentRegime: labels[currentState],
+      currentProbabilities,
+      expectedRemainingDuration: this.expectedRemainingDuration(params.transition, currentProbabilities)
+    };
+  }
+
+  /**
+   * Fit 2-, 3- and 4-state HMMs and keep the one with the lowest BIC
+   */
+  static selectGaussianHMM(returns, stateCounts = [2, 3, 4]) {
+    const fits = stateCounts
+      .map(k => this.fitGaussianHMM(returns, k))
+      .filter(Boolean);
+    if (fits.length === 0) return null;
+    return fits.reduce((best, fit) => (fit.bic < best.bic ? fit : best));
+  }
+
+  /**
+   * Scaled forward-backward pass
+   * Returns smoothed state probabilities (gamma), summed two-slice
+   * posteriors (xiSum) and the log-likelihood.
+   */
+  static forwardBackward(observations, { means, variances, transition, initial }) {
+    const T = observations.length;
+    const K = means.length;
+    const emissions = observations.map(x =>
+      means.map((m, k) => this.gaussianDensity(x, m, variances[k]))
+    );
+
+    const alpha = [];
+    const scales = [];
+    for (let t = 0; t < T; t++) {
+      const row = new Array(K);
+      for (let j = 0; j < K; j++) {
+        const prior = t === 0
+          ? initial[j]
+          : alpha[t - 1].reduce((sum, a, i) => sum + a * transition[i][j], 0);
+        row[j] = prior * emissions[t][j];
+      }
+      const scale = row.reduce((sum, v) => sum + v, 0) || 1e-300;
+      scales.push(scale);
+      alpha.push(row.map(v => v / scale));
+    }
+
+    const beta = new Array(T);
+    beta[T - 1] = new Array(K).fill(1);
+    for (let t = T - 2; t >= 0; t--) {
+      beta[t] = new Array(K);
+      for (let i = 0; i < K; i++) {
+        let sum = 0;
+        for (let j = 0; j < K; j++) {
+          sum += transition[i][j] * emissions[t + 1][j] * beta[t + 1][j];
+        }
+        beta[t][i] = sum / scales[t + 1];
+      }
+    }
+
+    const gamma = alpha.map((row, t) => {
+      const unnormalized = row.map((a, k) => a * beta[t][k]);
+      const total = unnormalized.reduce((sum, v) => sum + v, 0);
+      return unnormalized.map(v => v / total);
+    });
+
+    const xiSum = Array.from({ length: K }, () => new Array(K).fill(0));
+    for (let t = 0; t < T - 1; t++) {
+      for (let i = 0; i < K; i++) {
+        for (let j = 0; j < K; j++) {
+          xiSum[i][j] += alpha[t][i] * transition[i][j] * emissions[t + 1][j] * beta[t + 1][j] / scales[t + 1];
+        }
+      }
+    }
+
+    return {
+      gamma,
+      xiSum,
+      logLikelihood: scales.reduce((sum, c) => sum + Math.log(c), 0)
+    };
+  }
+
+  /**
+   * Most likely state path (Viterbi, log domain)
+   */
+  static viterbi(observations, { means, variances, transition, initial }) {
+    const T = observations.length;
+    const K = means.length;
+    const logTransition = transition.map(row => row.map(p => Math.log(Math.max(p, 1e-300))));
+    const logEmission = (x, k) => Math.log(Math.max(this.gaussianDensity(x, means[k], variances[k]), 1e-300));
+
+    let delta = initial.map((p, k) => Math.log(Math.max(p, 1e-300)) + logEmission(observations[0], k));
+    const backpointers = [];
+
+    for (let t = 1; t < T; t++) {
+      const pointers = new Array(K);
+      const next = new Array(K);
+      for (let j = 0; j < K; j++) {
+        let best = -Infinity;
+        for (let i = 0; i < K; i++) {
+          const score = delta[i] + logTransition[i][j];
+          if (score > best) {
+            best = score;
+            pointers[j] = i;
+          }
+        }
+        next[j] = best + logEmission(observations[t], j);
+      }
+      backpointers.push(pointers);
+      delta = next;
+    }
+
+    const path = new Array(T);
+    path[T - 1] = delta.indexOf(Math.max(...delta));
+    for (let t = T - 2; t >= 0; t--) {
+      path[t] = backpointers[t][path[t + 1]];
+    }
+    return path;
+  }
+
+  /**
+   * Expected number of further days in the current regime
+   * For state k the stay is geometric, so the expected remaining time is
+   * p_kk / (1 - p_kk); weighted by the current state probabilities.
+   */
+  static expectedRemainingDuration(transition, probabilities) {
+    return probabilities.reduce((sum, p, k) => {
+      const stay = transition[k][k];
+      return sum + p * (stay < 1 ? stay / (1 - stay) : Infinity);
+    }, 0);
+  }
+
+  /**
+   * Point-in-time quantile regime for every day of a return series
+   * Each day's annualized rolling volatility is ranked against the rolling
+   * volatilities of the preceding `lookback` days, so a label never uses
+   * later data. Days without `minHistory` prior rolling vols are null.
+   */
+  static classifyQuantileRegimes(returns, { window = 20, lookback = 252, minHistory = 60 } = {}) {
+    const rollingVols = returns.map((r, i) =>
+      i + 1 >= window ? ss.standardDeviation(returns.slice(i + 1 - window, i + 1)) * Math.sqrt(252) : null
+    );
+
+    return rollingVols.map((vol, i) => {
+      if (vol === null) return { regime: null, volatility: null };
+      const history = rollingVols.slice(Math.max(0, i - lookback), i).filter(v => v !== null);
+      return {
+        regime: history.length >= minHistory ? VolatilityModels.identifyVolatilityRegime(vol, history) : null,
+        volatility: vol
+      };
+    });
+  }
+
+  /**
+   * Consecutive runs of the same regime
+   */
+  static regimeRuns(labels, dates) {
+    const runs = [];
+    labels.forEach((regime, i) => {
+      const last = runs[runs.length - 1];
+      if (last && last.regime === regime) {
+        last.end = dates[i];
+        last.length++;
+      } else {
+        runs.push({ regime, start: dates[i], end: dates[i], length: 1 });
+      }
+    });
+    return runs;
+  }
+
+  /**
+   * Run length summary per regime
+   */
+  static runLengthStats(runs) {
+    const stats = {};
+    for (const regime of this.orderedRegimes(runs.map(r => r.regime))) {
+      const lengths = runs.filter(r => r.regime === regime).map(r => r.length);
+      stats[regime] = {
+        runs: lengths.length,
+        mean: ss.mean(lengths),
+        median: ss.median(lengths),
+        max: Math.max(...lengths)
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Empirical day-to-day transition matrix between regime labels
+   */
+  static empiricalTransitionMatrix(labels) {
+    const states = this.orderedRegimes(labels);
+    const counts = states.map(() => new Array(states.length).fill(0));
+    for (let t = 1; t < labels.length; t++) {
+      counts[states.indexOf(labels[t - 1])][states.indexOf(labels[t])]++;
+    }
+
+    return {
+      states,
+      counts,
+      probabilities: counts.map(row => {
+        const total = row.reduce((sum, c) => sum + c, 0);
+        return row.map(c => (total > 0 ? c / total : null));
+      })
+    };
+  }
+
+  /**
+   * Forward log-return statistics conditioned on the regime at the origin
+   */
+  static forwardReturnStats(labels, closes, horizons = [1, 5, 21]) {
+    const stats = {};
+    for (const regime of this.orderedRegimes(labels)) {
+      stats[regime] = {};
+      for (const horizon of horizons) {
+        const forwardReturns = [];
+        for (let t = 0; t + horizon < closes.length; t++) {
+          if (labels[t] === regime) forwardReturns.push(Math.log(closes[t + horizon] / closes[t]));
+        }
+        stats[regime][horizon] = forwardReturns.length === 0 ? { count: 0 } : {
+          count: forwardReturns.length,
+          mean: ss.mean(forwardReturns),
+          stdDev: forwardReturns.length > 1 ? ss.sampleStandardDeviation(forwardReturns) : null,
+          hitRate: forwardReturns.filter(r => r > 0).length / forwardReturns.length
+        };
+      }
+    }
+    return stats;
+  }
+
+  static orderedRegimes(labels) {
+    return REGIME_ORDER.filter(regime => labels.includes(regime));
+  }
+
+  static gaussianDensity(x, mean, variance) {
+    return Math.exp(-0.5 * (x - mean) ** 2 / variance) / Math.sqrt(2 * Math.PI * variance);
+  }
+}
+
+module.exports = RegimeModels;
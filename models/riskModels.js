@@ -0,0 +1,183 @@
+const ss = require('simple-statistics');
+const Distributions = require('./distributions');
+
+// VaR methods in the order they are reported
+const RISK_METHODS = ['historical', 'normal', 'student_t', 'filtered_historical'];
+
+class RiskModels {
+  static get methods() {
+    return RISK_METHODS.slice();
+  }
+
+  /**
+   * Historical simulation VaR and ES
+   * Multi-day losses come from overlapping h-day sums of log returns.
+   * VaR and ES are positive log-return losses.
+   */
+  static historicalVaR(returns, confidence, horizon = 1) {
+    const losses = [];
+    for (let t = horizon; t <= returns.length; t++) {
+      losses.push(-returns.slice(t - horizon, t).reduce((sum, r) => sum + r, 0));
+    }
+    return this.empiricalTail(losses, confidence);
+  }
+
+  /**
+   * Parametric Normal VaR and ES for a zero-mean return with the given variance
+   */
+  static normalVaR(variance, confidence) {
+    const sigma = Math.sqrt(variance);
+    const z = Distributions.normalQuantile(confidence);
+    const density = Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+
+    return {
+      var: z * sigma,
+      es: sigma * density / (1 - confidence)
+    };
+  }
+
+  /**
+   * Parametric Student-t VaR and ES
+   * The t distribution is rescaled to unit variance so `variance` keeps its
+   * meaning; multi-day variance is treated as t with the same nu.
+   */
+  static studentTVaR(variance, confidence, nu) {
+    const scale = Math.sqrt(variance * (nu - 2) / nu);
+    const q = Distributions.studentTQuantile(confidence, nu);
+    const tailMean = Distributions.studentTPdf(q, nu) * (nu + q * q) / ((nu - 1) * (1 - confidence));
+
+    return {
+      var: q * scale,
+      es: tailMean * scale
+    };
+  }
+
+  /**
+   * Filtered historical simulation
+   * Returns are standardized by their in-sample conditional volatility and
+   * the standardized shocks rescaled by the forecast volatility over the
+   * horizon, so the tail shape is empirical and the level is current.
+   */
+  static filteredHistoricalVaR(returns, conditionalVariances, forecastVariance, confidence) {
+    const scale = Math.sqrt(forecastVariance);
+    const losses = this.standardizedShocks(returns, conditionalVariances).map(z => -z * scale);
+    return this.empiricalTail(losses, confidence);
+  }
+
+  /**
+   * Returns divided by their conditional volatility, skipping days without
+   * a positive variance
+   */
+  static standardizedShocks(returns, conditionalVariances) {
+    const shocks = [];
+    returns.forEach((r, t) => {
+      const variance = conditionalVariances[t];
+      if (variance > 0 && Number.isFinite(variance)) {
+        shocks.push(r / Math.sqrt(variance));
+      }
+    });
+    return shocks;
+  }
+
+  /**
+   * Student-t degrees of freedom from sample excess kurtosis (nu = 4 + 6 / k)
+   * Falls back to 30 when the sample shows no excess kurtosis.
+   */
+  static estimateStudentTDof(returns) {
+    const excessKurtosis = ss.sampleKurtosis(returns);
+    if (!(excessKurtosis > 0)) return 30;
+    return Math.min(4 + 6 / excessKurtosis, 30);
+  }
+
+  /**
+   * Kupiec proportion-of-failures test of unconditional coverage
+   * LR = -2 ln[(1-p)^(n-x) p^x / (1-x/n)^(n-x) (x/n)^x] ~ chi-squared(1)
+   */
+  static kupiecTest(hits, confidence) {
+    const n = hits.length;
+    const x = hits.filter(Boolean).length;
+    const p = 1 - confidence;
+    const observed = x / n;
+
+    const statistic = -2 * (this.bernoulliLogLikelihood(n - x, x, p) - this.bernoulliLogLikelihood(n - x, x, observed));
+    return {
+      statistic,
+      pValue: 1 - Distributions.chiSquaredCdf(statistic, 1)
+    };
+  }
+
+  /**
+   * Christoffersen tests on the breach sequence
+   * Independence compares a first-order Markov chain for breaches with an
+   * i.i.d. sequence; conditional coverage adds the Kupiec statistic (2 df).
+   */
+  static christoffersenTest(hits, confidence) {
+    const counts = { n00: 0, n01: 0, n10: 0, n11: 0 };
+    for (let t = 1; t < hits.length; t++) {
+      counts[`n${hits[t - 1] ? 1 : 0}${hits[t] ? 1 : 0}`]++;
+    }
+    const { n00, n01, n10, n11 } = counts;
+
+    const pi0 = n00 + n01 > 0 ? n01 / (n00 + n01) : 0;
+    const pi1 = n10 + n11 > 0 ? n11 / (n10 + n11) : 0;
+    const pi = (n01 + n11) / (n00 + n01 + n10 + n11);
+
+    const independence = -2 * (
+      this.bernoulliLogLikelihood(n00 + n10, n01 + n11, pi) -
+      this.bernoulliLogLikelihood(n00, n01, pi0) -
+      this.bernoulliLogLikelihood(n10, n11, pi1)
+    );
+    const conditionalCoverage = this.kupiecTest(hits, confidence).statistic + independence;
+
+    return {
+      transitions: counts,
+      independence: {
+        statistic: independence,
+        pValue: 1 - Distributions.chiSquaredCdf(independence, 1)
+      },
+      conditionalCoverage: {
+        statistic: conditionalCoverage,
+        pValue: 1 - Distributions.chiSquaredCdf(conditionalCoverage, 2)
+      }
+    };
+  }
+
+  /**
+   * Basel traffic light from the binomial probability of the breach count
+   * Green below 95% cumulative probability, red from 99.99%; for 99% VaR over
+   * 250 days this gives green 0-4, yellow 5-9 and red 10 or more breaches.
+   */
+  static baselTrafficLight(breaches, observations, confidence) {
+    const cumulativeProbability = Distributions.binomialCdf(breaches, observations, 1 - confidence);
+    let zone = 'green';
+    if (cumulativeProbability >= 0.9999) zone = 'red';
+    else if (cumulativeProbability >= 0.95) zone = 'yellow';
+
+    return { zone, breaches, observations, cumulativeProbability };
+  }
+
+  /**
+   * Log-likelihood of `zeros` non-breaches and `ones` breaches with breach probability p
+   * Uses 0 * ln(0) = 0 so that samples without breaches stay finite.
+   */
+  static bernoulliLogLikelihood(zeros, ones, p) {
+    return (zeros > 0 ? zeros * Math.log(1 - p) : 0) + (ones > 0 ? ones * Math.log(p) : 0);
+  }
+
+  /**
+   * VaR as the confidence quantile of losses, ES as the mean loss at or beyond it
+   */
+  static empiricalTail(losses, confidence) {
+    if (losses.length === 0) return { var: null, es: null };
+
+    const valueAtRisk = ss.quantile(losses, confidence);
+    const tail = losses.filter(l => l >= valueAtRisk);
+
+    return {
+      var: valueAtRisk,
+      es: ss.mean(tail)
+    };
+  }
+}
+
+module.exports = RiskModels;
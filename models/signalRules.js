@@ -0,0 +1,353 @@
+// Actions a rule can recommend
+const SIGNAL_ACTIONS = ['buy', 'prepare_to_buy', 'sell', 'prepare_to_sell', 'hedge', 'reduce_exposure', 'hold', 'wait'];
+
+// Values a rule can read, as passed to generateVolatilitySignals
+const SIGNAL_FIELDS = [
+  'regime',
+  'trend',
+  'current_price',
+  'change_1d',
+  'realized_volatility',
+  'har_forecast',
+  'har_forecast_annualized',
+  'har_forecast_weekly',
+  'har_forecast_monthly',
+  'garch_forecast',
+  'parkinson_volatility',
+  'garman_klass_volatility',
+  'atr_14',
+  'bollinger_width',
+  'historical_avg_width',
+  'vix_correlation',
+  'variance_risk_premium.vix',
+  'variance_risk_premium.premium',
+  'variance_risk_premium.volatility_spread',
+  'term_structure.ratio',
+  'term_structure.previous_ratio',
+  'term_structure.slope',
+  'term_structure.curvature',
+  'term_structure.state'
+];
+
+// Operators by arity: comparisons take two operands, arithmetic two or more
+const COMPARISON_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'ne'];
+const LOGICAL_OPERATORS = ['all', 'any'];
+const ARITHMETIC_OPERATORS = ['add', 'sub', 'mul', 'div', 'min', 'max'];
+
+const RULE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// The rules generateVolatilitySignals used to hardcode
+const DEFAULT_RULES = [
+  {
+    name: 'volatility_mean_reversion',
+    description: 'Extreme regime with the HAR forecast below realized volatility',
+    condition: {
+      all: [
+        { eq: [{ var: 'regime' }, 'extreme'] },
+        { lt: [{ var: 'har_forecast_annualized' }, { var: 'realized_volatility' }] }
+      ]
+    },
+    action: 'prepare_to_buy',
+    strength: 0.8,
+    reason: 'Extreme volatility likely to revert'
+  },
+  {
+    name: 'low_vol_trend',
+    description: 'Uptrend in the low volatility regime',
+    condition: {
+      all: [
+        { eq: [{ var: 'regime' }, 'low'] },
+        { eq: [{ var: 'trend' }, 'up'] }
+      ]
+    },
+    action: 'buy',
+    strength: 0.7,
+    reason: 'Uptrend in low volatility environment'
+  },
+  {
+    name: 'volatility_breakout',
+    description: 'Bollinger band width 1.5x its historical average',
+    condition: { gt: [{ var: 'bollinger_width' }, { mul: [{ var: 'historical_avg_width' }, 1.5] }] },
+    action: 'wait',
+    strength: 0.6,
+    reason: 'Potential volatility expansion'
+  },
+  {
+    name: 'har_divergence',
+    description: 'HAR forecast more than 20% away from realized volatility',
+    condition: {
+      gt: [
+        { abs: { sub: [{ var: 'har_forecast_annualized' }, { var: 'realized_volatility' }] } },
+        { mul: [{ var: 'realized_volatility' }, 0.2] }
+      ]
+    },
+    action: 'hedge',
+    strength: 0.65,
+    reason: 'HAR model shows significant divergence'
+  },
+  {
+    name: 'term_structure_inversion',
+    description: 'VIX/VIX3M crossed up through 1 since the previous day',
+    condition: {
+      all: [
+        { gte: [{ var: 'term_structure.ratio' }, 1] },
+        { lt: [{ var: 'term_structure.previous_ratio' }, 1] }
+      ]
+    },
+    action: 'hedge',
+    strength: 0.8,
+    reason: 'VIX term structure inverted into backwardation (VIX/VIX3M {term_structure.ratio:2})'
+  },
+  {
+    name: 'term_structure_recovery',
+    description: 'VIX/VIX3M crossed back below 1 since the previous day',
+    condition: {
+      all: [
+        { lt: [{ var: 'term_structure.ratio' }, 1] },
+        { gte: [{ var: 'term_structure.previous_ratio' }, 1] }
+      ]
+    },
+    action: 'buy',
+    strength: 0.6,
+    reason: 'VIX term structure back in contango (VIX/VIX3M {term_structure.ratio:2})'
+  }
+];
+
+class SignalRules {
+  static defaultRules() {
+    return DEFAULT_RULES;
+  }
+
+  /**
+   * Signals from the rules whose condition holds for the context
+   * Each signal is { type: rule name, action, strength, reason }; strength
+   * is clamped to [0, 1] and a rule whose strength is not a number is skipped.
+   */
+  static evaluateRules(rules, context) {
+    const signals = [];
+
+    for (const rule of rules) {
+      if (!this.evaluateCondition(rule.condition, context)) continue;
+
+      const strength = this.evaluateExpression(rule.strength, context);
+      if (typeof strength !== 'number' || !Number.isFinite(strength)) continue;
+
+      signals.push({
+        type: rule.name,
+        action: rule.action,
+        strength: Math.min(Math.max(strength, 0), 1),
+        reason: this.renderReason(rule.reason, context)
+      });
+    }
+
+    return signals;
+  }
+
+  /**
+   * True when a condition holds; comparisons with a missing or non-finite
+   * number on either side are false
+   */
+  static evaluateCondition(condition, context) {
+    const [operator, operands] = Object.entries(condition)[0];
+
+    if (operator === 'all') return operands.every(c => this.evaluateCondition(c, context));
+    if (operator === 'any') return operands.some(c => this.evaluateCondition(c, context));
+    if (operator === 'not') return !this.evaluateCondition(operands, context);
+    if (operator === 'in') {
+      const value = this.evaluateExpression(operands[0], context);
+      return value !== null && operands[1].includes(value);
+    }
+
+    const left = this.evaluateExpression(operands[0], context);
+    const right = this.evaluateExpression(operands[1], context);
+    if (!this.isComparable(left) || !this.isComparable(right)) return false;
+
+    switch (operator) {
+      case 'gt': return left > right;
+      case 'gte': return left >= right;
+      case 'lt': return left < right;
+      case 'lte': return left <= right;
+      case 'eq': return left === right;
+      case 'ne': return left !== right;
+      default: return false;
+    }
+  }
+
+  /**
+   * Value of a literal, { var: 'path' } lookup or arithmetic expression
+   * Arithmetic on a missing value gives null.
+   */
+  static evaluateExpression(expression, context) {
+    if (expression === null || typeof expression !== 'object') return expression;
+
+    const [operator, operands] = Object.entries(expression)[0];
+    if (operator === 'var') return this.lookup(context, operands);
+
+    if (operator === 'abs') {
+      const value = this.evaluateExpression(operands, context);
+      return this.isNumber(value) ? Math.abs(value) : null;
+    }
+
+    const values = operands.map(operand => this.evaluateExpression(operand, context));
+    if (!values.every(value => this.isNumber(value))) return null;
+    if (operator === 'div' && values.slice(1).includes(0)) return null;
+
+    switch (operator) {
+      case 'add': return values.reduce((a, b) => a + b);
+      case 'sub': return values.reduce((a, b) => a - b);
+      case 'mul': return values.reduce((a, b) => a * b);
+      case 'div': return values.reduce((a, b) => a / b);
+      case 'min': return Math.min(...values);
+      case 'max': return Math.max(...values);
+      default: return null;
+    }
+  }
+
+  /**
+   * Fill {path} and {path:decimals} placeholders from the context
+   */
+  static renderReason(template, context) {
+    return template.replace(/\{([a-z0-9_.]+)(?::(\d))?\}/g, (match, path, decimals) => {
+      const value = this.lookup(context, path);
+      if (value === null) return 'n/a';
+      return decimals !== undefined && this.isNumber(value) ? value.toFixed(parseInt(decimals)) : String(value);
+    });
+  }
+
+  /**
+   * Check a rule definition and return it in stored form
+   * Throws one error listing every problem found, with status 400.
+   */
+  static validateRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+      throw Object.assign(new Error('Invalid rule: expected an object'), { status: 400 });
+    }
+    if (typeof rule.name !== 'string' || !RULE_NAME_PATTERN.test(rule.name)) {
+      errors.push('name: lowercase letters, digits and underscores, starting with a letter (max 50)');
+    }
+    if (!SIGNAL_ACTIONS.includes(rule.action)) {
+      errors.push(`action: expected one of ${SIGNAL_ACTIONS.join(', ')}`);
+    }
+    if (rule.condition === undefined) {
+      errors.push('condition: required');
+    } else {
+      this.validateCondition(rule.condition, 'condition', errors);
+    }
+    if (rule.strength === undefined) {
+      errors.push('strength: required');
+    } else if (typeof rule.strength === 'number') {
+      if (rule.strength < 0 || rule.strength > 1) errors.push('strength: expected a number between 0 and 1');
+    } else {
+      this.validateExpression(rule.strength, 'strength', errors);
+    }
+    if (typeof rule.reason !== 'string' || rule.reason.trim() === '') {
+      errors.push('reason: expected a non-empty string');
+    } else {
+      for (const [, path] of rule.reason.matchAll(/\{([a-z0-9_.]+)(?::\d)?\}/g)) {
+        if (!SIGNAL_FIELDS.includes(path)) errors.push(`reason: unknown field '${path}'`);
+      }
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push('enabled: expected true or false');
+    }
+    if (rule.description !== undefined && rule.description !== null && typeof rule.description !== 'string') {
+      errors.push('description: expected a string');
+    }
+
+    if (errors.length > 0) {
+      throw Object.assign(new Error(`Invalid rule: ${errors.join('; ')}`), { status: 400 });
+    }
+
+    return {
+      name: rule.name,
+      description: rule.description || null,
+      condition: rule.condition,
+      action: rule.action,
+      strength: rule.strength,
+      reason: rule.reason,
+      enabled: rule.enabled !== false
+    };
+  }
+
+  static validateCondition(condition, path, errors) {
+    const operator = this.singleOperator(condition, path, errors);
+    if (!operator) return;
+
+    const operands = condition[operator];
+    const at = `${path}.${operator}`;
+
+    if (LOGICAL_OPERATORS.includes(operator)) {
+      if (!Array.isArray(operands) || operands.length === 0) {
+        errors.push(`${at}: expected a non-empty array of conditions`);
+        return;
+      }
+      operands.forEach((c, i) => this.validateCondition(c, `${at}[${i}]`, errors));
+    } else if (operator === 'not') {
+      this.validateCondition(operands, at, errors);
+    } else if (operator === 'in') {
+      if (!Array.isArray(operands) || operands.length !== 2 || !Array.isArray(operands[1])) {
+        errors.push(`${at}: expected [expression, [values]]`);
+        return;
+      }
+      this.validateExpression(operands[0], `${at}[0]`, errors);
+    } else if (COMPARISON_OPERATORS.includes(operator)) {
+      if (!Array.isArray(operands) || operands.length !== 2) {
+        errors.push(`${at}: expected two operands`);
+        return;
+      }
+      operands.forEach((e, i) => this.validateExpression(e, `${at}[${i}]`, errors));
+    } else {
+      errors.push(`${path}: unknown condition operator '${operator}'`);
+    }
+  }
+
+  static validateExpression(expression, path, errors) {
+    if (expression === null || ['number', 'string', 'boolean'].includes(typeof expression)) return;
+
+    const operator = this.singleOperator(expression, path, errors);
+    if (!operator) return;
+
+    const operands = expression[operator];
+    const at = `${path}.${operator}`;
+
+    if (operator === 'var') {
+      if (!SIGNAL_FIELDS.includes(operands)) errors.push(`${at}: unknown field '${operands}'`);
+    } else if (operator === 'abs') {
+      this.validateExpression(operands, at, errors);
+    } else if (ARITHMETIC_OPERATORS.includes(operator)) {
+      if (!Array.isArray(operands) || operands.length < 2) {
+        errors.push(`${at}: expected at least two operands`);
+        return;
+      }
+      operands.forEach((e, i) => this.validateExpression(e, `${at}[${i}]`, errors));
+    } else {
+      errors.push(`${path}: unknown expression operator '${operator}'`);
+    }
+  }
+
+  static singleOperator(node, path, errors) {
+    const keys = node && typeof node === 'object' && !Array.isArray(node) ? Object.keys(node) : [];
+    if (keys.length !== 1) {
+      errors.push(`${path}: expected an object with exactly one operator`);
+      return null;
+    }
+    return keys[0];
+  }
+
+  static lookup(context, path) {
+    const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), context);
+    return value === undefined ? null : value;
+  }
+
+  static isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  static isComparable(value) {
+    return this.isNumber(value) || typeof value === 'string' || typeof value === 'boolean';
+  }
+}
+
+module.exports = SignalRules;
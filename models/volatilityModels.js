@@ -1,5 +1,16 @@
 const math = require('mathjs');
 const ss = require('simple-statistics');
+const Distributions = require('./distributions');
+const SignalRules = require('./signalRules');
+
+// Upper bound on GARCH persistence so the long-run variance stays finite
+const MAX_PERSISTENCE = 0.9999;
+
+// Scaled condition number of X'X above which OLS falls back to the pseudo-inverse
+const MAX_CONDITION_NUMBER = 1e12;
+
+// Calendar-day tenors of the VIX term structure indices
+const VIX_TENORS = { vix9d: 9, vix: 30, vix3m: 93, vix6m: 184 };
 
 class VolatilityModels {
   /**
@@ -18,7 +29,8 @@ class VolatilityModels {
 
   /**
    * HAR (Heterogeneous Autoregressive) Model Implementation
-   * Forecasts volatility using daily, weekly, and monthly components
+   * Forecasts volatility using daily, weekly, and monthly components.
+   * Fitted on daily realized variance (HAR-RV), so forecasts are variances.
    */
   static fitHARModel(volatilities) {
     if (volatilities.length < 22) {
@@ -44,7 +56,8 @@ class VolatilityModels {
     }
 
     // Perform OLS regression
-    const coefficients = this.ordinaryLeastSquares(features, targets);
+    const fit = this.solveLeastSquares(features, targets);
+    const coefficients = fit.coefficients;
     
     // Calculate R-squared and MSE
     const predictions = features.map(f => 
@@ -53,6 +66,9 @@ class VolatilityModels {
     
     const rSquared = this.calculateRSquared(targets, predictions);
     const mse = ss.mean(predictions.map((pred, i) => Math.pow(pred - targets[i], 2)));
+    const diagnostics = this.regressionDiagnostics(
+      features, targets, predictions, fit, ['intercept', 'daily', 'weekly', 'monthly']
+    );
 
     return {
       intercept: coefficients[0],
@@ -60,7 +76,8 @@ class VolatilityModels {
       weeklyCoef: coefficients[2],
       monthlyCoef: coefficients[3],
       rSquared,
-      mse
+      mse,
+      ...diagnostics
     };
   }
 
@@ -81,20 +98,405 @@ class VolatilityModels {
   }
 
   /**
-   * Simple GARCH(1,1) volatility forecast
+   * Iterated multi-step HAR forecasts
+   * Each forecast is appended to the series and fed back into the daily,
+   * weekly and monthly components, so the path follows the mean reversion
+   * implied by the coefficients.
    */
-  static forecastGARCH(returns, currentVolatility) {
-    if (returns.length < 30) return null;
+  static forecastHARPath(model, recentVolatilities, maxHorizon = 22) {
+    if (!model || recentVolatilities.length < 22) return null;
 
-    // GARCH(1,1) parameters (simplified estimation)
-    const omega = 0.000001; // Long-term variance
-    const alpha = 0.08; // Weight on previous shock
-    const beta = 0.90; // Weight on previous volatility
-    
-    const lastReturn = returns[returns.length - 1];
-    const shock = Math.pow(lastReturn, 2);
-    
-    return Math.sqrt(omega + alpha * shock + beta * Math.pow(currentVolatility, 2));
+    const extended = recentVolatilities.slice(-22);
+    const path = [];
+    for (let h = 1; h <= maxHorizon; h++) {
+      const forecast = this.forecastHAR(model, extended);
+      path.push(forecast);
+      extended.push(forecast);
+      extended.shift();
+    }
+    return path;
+  }
+
+  /**
+   * HAR forecast term structure for horizons 1..maxHorizon with prediction
+   * intervals from the empirical distribution of in-sample h-step errors
+   * (iterated forecasts from every origin compared with the realized value).
+   */
+  static forecastHARCurve(model, series, maxHorizon = 22, coverage = 0.9) {
+    const path = this.forecastHARPath(model, series, maxHorizon);
+    if (!path) return null;
+
+    const errors = Array.from({ length: maxHorizon }, () => []);
+    for (let origin = 22; origin < series.length; origin++) {
+      const originPath = this.forecastHARPath(model, series.slice(0, origin), maxHorizon);
+      for (let h = 1; h <= maxHorizon && origin + h - 1 < series.length; h++) {
+        errors[h - 1].push(series[origin + h - 1] - originPath[h - 1]);
+      }
+    }
+
+    const lowerQuantile = (1 - coverage) / 2;
+    const upperQuantile = 1 - lowerQuantile;
+    let cumulativeVariance = 0;
+
+    return path.map((forecast, i) => {
+      const variance = Math.max(forecast, 0);
+      const horizonErrors = errors[i];
+      const lower = horizonErrors.length > 1
+        ? Math.max(forecast + ss.quantile(horizonErrors, lowerQuantile), 0)
+        : null;
+      const upper = horizonErrors.length > 1
+        ? Math.max(forecast + ss.quantile(horizonErrors, upperQuantile), 0)
+        : null;
+      cumulativeVariance += variance;
+
+      return {
+        horizon: i + 1,
+        variance,
+        lower,
+        upper,
+        cumulativeVariance,
+        volatility: Math.sqrt(variance),
+        volatilityLower: lower === null ? null : Math.sqrt(lower),
+        volatilityUpper: upper === null ? null : Math.sqrt(upper),
+        errorCount: horizonErrors.length
+      };
+    });
+  }
+
+  /**
+   * HAR-CJ model: HAR-RV with the daily, weekly and monthly components split
+   * into continuous and jump variance (from decomposeJumps)
+   */
+  static fitHARCJModel(series, minJumpDays = 3) {
+    if (series.length < 23) return null;
+
+    const continuous = series.map(d => d.continuousVariance);
+    const jumps = series.map(d => d.jumpVariance);
+    const features = [];
+    const targets = [];
+
+    for (let i = 22; i < series.length; i++) {
+      features.push(this.harCJFeatures(continuous.slice(0, i), jumps.slice(0, i)));
+      targets.push(series[i].realizedVariance);
+    }
+
+    // Jump regressors are identically zero without enough detected jumps
+    const jumpDays = jumps.slice(0, -1).filter(j => j > 0).length;
+    if (jumpDays < minJumpDays) return null;
+
+    const coefficients = this.ordinaryLeastSquares(features, targets);
+    const predictions = features.map(f =>
+      f.reduce((sum, val, idx) => sum + val * coefficients[idx], 0)
+    );
+
+    const totalVariance = series.reduce((sum, d) => sum + d.realizedVariance, 0);
+    const totalJumpVariance = jumps.reduce((sum, j) => sum + j, 0);
+
+    return {
+      intercept: coefficients[0],
+      continuousDailyCoef: coefficients[1],
+      continuousWeeklyCoef: coefficients[2],
+      continuousMonthlyCoef: coefficients[3],
+      jumpDailyCoef: coefficients[4],
+      jumpWeeklyCoef: coefficients[5],
+      jumpMonthlyCoef: coefficients[6],
+      rSquared: this.calculateRSquared(targets, predictions),
+      mse: ss.mean(predictions.map((pred, i) => Math.pow(pred - targets[i], 2))),
+      jumpDays: jumps.filter(j => j > 0).length,
+      // Share of total realized variance in the sample attributed to jumps
+      jumpContribution: totalVariance > 0 ? totalJumpVariance / totalVariance : 0
+    };
+  }
+
+  /**
+   * Forecast next-day realized variance with a HAR-CJ model
+   */
+  static forecastHARCJ(model, series) {
+    if (!model || series.length < 22) return null;
+
+    const features = this.harCJFeatures(
+      series.map(d => d.continuousVariance),
+      series.map(d => d.jumpVariance)
+    );
+    return features.reduce((sum, val, idx) => sum + val * [
+      model.intercept,
+      model.continuousDailyCoef,
+      model.continuousWeeklyCoef,
+      model.continuousMonthlyCoef,
+      model.jumpDailyCoef,
+      model.jumpWeeklyCoef,
+      model.jumpMonthlyCoef
+    ][idx], 0);
+  }
+
+  /**
+   * Fit GARCH(1,1) by (quasi-)maximum likelihood
+   * distribution: 'normal' (Gaussian QML) or 't' (standardized Student-t)
+   */
+  static fitGARCH(returns, distribution = 'normal') {
+    return this.fitGARCHFamily(returns, distribution, {
+      model: 'garch',
+      // [log(omega), logit(alpha + beta), logit(alpha / (alpha + beta))]
+      theta0: (sampleVariance) => [
+        Math.log(sampleVariance * 0.05),
+        this.logit(0.95 / MAX_PERSISTENCE),
+        this.logit(0.08 / 0.95)
+      ],
+      unpack: (theta) => {
+        const persistence = MAX_PERSISTENCE * this.logistic(theta[1]);
+        const share = this.logistic(theta[2]);
+        return {
+          omega: Math.exp(theta[0]),
+          alpha: persistence * share,
+          beta: persistence * (1 - share),
+          gamma: null,
+          persistence
+        };
+      },
+      variance: ({ omega, alpha, beta }, previousResidual, previousVariance) =>
+        omega + alpha * previousResidual ** 2 + beta * previousVariance
+    });
+  }
+
+  /**
+   * Fit GJR-GARCH(1,1): negative shocks add gamma * e^2 to next-day variance
+   */
+  static fitGJRGARCH(returns, distribution = 'normal') {
+    return this.fitGARCHFamily(returns, distribution, {
+      model: 'gjr',
+      // [log(omega), logit(persistence), log-ratios of the alpha, gamma / 2, beta shares]
+      theta0: (sampleVariance) => [
+        Math.log(sampleVariance * 0.05),
+        this.logit(0.95 / MAX_PERSISTENCE),
+        Math.log(0.03 / 0.87),
+        Math.log(0.05 / 0.87)
+      ],
+      unpack: (theta) => {
+        const persistence = MAX_PERSISTENCE * this.logistic(theta[1]);
+        const weights = [Math.exp(theta[2]), Math.exp(theta[3]), 1];
+        const total = weights[0] + weights[1] + weights[2];
+        return {
+          omega: Math.exp(theta[0]),
+          alpha: persistence * weights[0] / total,
+          gamma: 2 * persistence * weights[1] / total,
+          beta: persistence * weights[2] / total,
+          persistence
+        };
+      },
+      variance: ({ omega, alpha, beta, gamma }, previousResidual, previousVariance) =>
+        omega + (alpha + (previousResidual < 0 ? gamma : 0)) * previousResidual ** 2 +
+        beta * previousVariance
+    });
+  }
+
+  /**
+   * Fit EGARCH(1,1) on log-variance:
+   * ln s2(t) = omega + alpha (|z| - E|z|) + gamma z + beta ln s2(t-1)
+   * A negative gamma means down moves raise volatility more than up moves.
+   */
+  static fitEGARCH(returns, distribution = 'normal') {
+    return this.fitGARCHFamily(returns, distribution, {
+      model: 'egarch',
+      // [omega, alpha, gamma, atanh(beta)]
+      theta0: (sampleVariance) => [0.05 * Math.log(sampleVariance), 0.1, -0.05, Math.atanh(0.95 / MAX_PERSISTENCE)],
+      unpack: (theta) => {
+        const beta = MAX_PERSISTENCE * Math.tanh(theta[3]);
+        return { omega: theta[0], alpha: theta[1], gamma: theta[2], beta, persistence: Math.abs(beta) };
+      },
+      variance: ({ omega, alpha, beta, gamma, nu }, previousResidual, previousVariance) => {
+        const z = previousResidual / Math.sqrt(previousVariance);
+        return Math.exp(omega + alpha * (Math.abs(z) - this.expectedAbsoluteShock(nu)) +
+          gamma * z + beta * Math.log(previousVariance));
+      }
+    });
+  }
+
+  /**
+   * Shared maximum likelihood driver for the GARCH family
+   *
+   * Returns are demeaned and scaled to percent for the optimizer; omega and
+   * the variances are reported back in squared log-return units.
+   */
+  static fitGARCHFamily(returns, distribution, spec) {
+    if (returns.length < 50) return null;
+
+    const { residuals, sampleVariance } = this.prepareGARCHResiduals(returns);
+    const useT = distribution === 't';
+
+    // Student-t degrees of freedom enter as log(nu - 2) so that nu > 2
+    const unpack = (theta) => ({
+      ...spec.unpack(theta),
+      nu: useT ? 2.05 + Math.exp(theta[theta.length - 1]) : null
+    });
+
+    const varianceSeries = (params) => {
+      const variances = [sampleVariance];
+      for (let t = 1; t < residuals.length; t++) {
+        variances.push(spec.variance(params, residuals[t - 1], variances[t - 1]));
+      }
+      return variances;
+    };
+
+    const negativeLogLikelihood = (theta) => {
+      const params = unpack(theta);
+      return -this.conditionalLogLikelihood(residuals, varianceSeries(params), params.nu);
+    };
+
+    const theta0 = spec.theta0(sampleVariance);
+    if (useT) theta0.push(Math.log(8 - 2));
+
+    const optimum = this.nelderMead(negativeLogLikelihood, theta0);
+    const params = unpack(optimum.x);
+    const variances = varianceSeries(params);
+    const last = residuals.length - 1;
+
+    return this.summarizeGARCHFit(spec.model, useT ? 't' : 'normal', params, {
+      scaledLogLikelihood: -optimum.value,
+      parameterCount: theta0.length,
+      observations: residuals.length,
+      conditionalVariance: variances[last],
+      nextVariance: spec.variance(params, residuals[last], variances[last]),
+      converged: optimum.converged
+    });
+  }
+
+  /**
+   * Multi-horizon forecasts from a fitted GARCH-family model
+   * Returns the daily variance expected h days ahead and the annualized
+   * volatility of the average variance over the next h days.
+   *
+   * GARCH and GJR revert geometrically to the long-run variance (GJR assumes
+   * symmetric shocks, so negative ones arrive half the time); EGARCH iterates
+   * the log-variance recursion with the shock terms at their expectation.
+   */
+  static forecastGARCH(model, horizons = [1, 5, 10, 22], annualizationFactor = 252) {
+    if (!model) return null;
+
+    const maxHorizon = Math.max(...horizons);
+    const path = [model.nextVariance];
+    for (let h = 2; h <= maxHorizon; h++) {
+      const previous = path[h - 2];
+      path.push(model.model === 'egarch'
+        ? Math.exp(model.omega + model.beta * Math.log(previous))
+        : model.unconditionalVariance + model.persistence * (previous - model.unconditionalVariance));
+    }
+
+    return this.summarizeVariancePath(path, horizons, annualizationFactor);
+  }
+
+  /**
+   * In-sample conditional variances of a fitted GARCH-family model
+   * Replays the variance recursion over the demeaned returns in return units,
+   * starting from the sample variance as in the fit. Returns n + 1 values:
+   * the last one is the variance forecast for the day after the sample.
+   */
+  static garchConditionalVariances(model, returns) {
+    if (!model) return null;
+
+    const mean = ss.mean(returns);
+    const residuals = returns.map(r => r - mean);
+    const variances = [ss.mean(residuals.map(e => e * e))];
+
+    for (let t = 1; t <= residuals.length; t++) {
+      const previousResidual = residuals[t - 1];
+      const previousVariance = variances[t - 1];
+
+      if (model.model === 'egarch') {
+        const z = previousResidual / Math.sqrt(previousVariance);
+        variances.push(Math.exp(model.omega + model.alpha * (Math.abs(z) - this.expectedAbsoluteShock(model.nu)) +
+          model.gamma * z + model.beta * Math.log(previousVariance)));
+      } else {
+        const leverage = model.model === 'gjr' && previousResidual < 0 ? model.gamma : 0;
+        variances.push(model.omega + (model.alpha + leverage) * previousResidual ** 2 + model.beta * previousVariance);
+      }
+    }
+
+    return variances;
+  }
+
+  /**
+   * Volatility cone: distribution of annualized realized volatility over
+   * every overlapping window of each length, with the current window ranked
+   * against it. A percentile near 0 means vol is cheap for that horizon,
+   * near 100 rich.
+   */
+  static calculateVolatilityCone(returns, windows = [5, 10, 21, 63, 126, 252], annualizationFactor = 252) {
+    return windows
+      .filter(window => returns.length >= window)
+      .map(window => {
+        const vols = [];
+        for (let end = window; end <= returns.length; end++) {
+          vols.push(this.calculateRealizedVolatility(returns.slice(end - window, end), annualizationFactor));
+        }
+        const current = vols[vols.length - 1];
+
+        return {
+          window,
+          min: Math.min(...vols),
+          q25: ss.quantile(vols, 0.25),
+          median: ss.median(vols),
+          q75: ss.quantile(vols, 0.75),
+          max: Math.max(...vols),
+          current,
+          percentile: vols.filter(v => v <= current).length / vols.length * 100,
+          observations: vols.length
+        };
+      });
+  }
+
+  /**
+   * Pearson correlation of two aligned series over every trailing window
+   */
+  static calculateRollingCorrelation(x, y, window = 21) {
+    const correlations = [];
+    for (let end = window; end <= Math.min(x.length, y.length); end++) {
+      correlations.push(ss.sampleCorrelation(x.slice(end - window, end), y.slice(end - window, end)));
+    }
+    return correlations;
+  }
+
+  /**
+   * Variance risk premium: VIX-implied variance minus the forecast realized
+   * variance over the same horizon, both annualized. VIX covers 30 calendar
+   * days, matched here with the cumulative forecast over `horizon` trading days.
+   */
+  static calculateVarianceRiskPremium(vix, forecastCumulativeVariance, horizon = 22, annualizationFactor = 252) {
+    const impliedVariance = (vix / 100) ** 2;
+    const forecastVariance = forecastCumulativeVariance * annualizationFactor / horizon;
+
+    return {
+      impliedVariance,
+      forecastVariance,
+      premium: impliedVariance - forecastVariance,
+      volatilitySpread: vix / 100 - Math.sqrt(forecastVariance)
+    };
+  }
+
+  /**
+   * VIX term structure shape from VIX9D/VIX/VIX3M/VIX6M levels
+   * slope is VIX3M - VIX in points; curvature is VIX3M less its linear
+   * interpolation between VIX and VIX6M (positive for a concave curve).
+   * VIX/VIX3M at or above 1 is backwardation. Fields that need a missing
+   * index are null.
+   */
+  static calculateVIXTermStructure({ vix, vix3m, vix6m }) {
+    if (!(vix > 0) || !(vix3m > 0)) {
+      return { slope: null, curvature: null, ratio: null, state: null };
+    }
+
+    let curvature = null;
+    if (vix6m > 0) {
+      const weight = (VIX_TENORS.vix6m - VIX_TENORS.vix3m) / (VIX_TENORS.vix6m - VIX_TENORS.vix);
+      curvature = vix3m - (weight * vix + (1 - weight) * vix6m);
+    }
+    const ratio = vix / vix3m;
+
+    return {
+      slope: vix3m - vix,
+      curvature,
+      ratio,
+      state: ratio >= 1 ? 'backwardation' : 'contango'
+    };
   }
 
   /**
@@ -128,6 +530,118 @@ class VolatilityModels {
     return ss.mean(volatilities) * Math.sqrt(n);
   }
 
+  /**
+   * Daily realized variance from intraday bars
+   * Sums squared log returns between consecutive closes within each trading day;
+   * the overnight gap is excluded. Days with fewer than minObservations
+   * intraday returns are dropped.
+   */
+  static calculateDailyRealizedVariance(intradayBars, minObservations = 20) {
+    const days = new Map();
+    
+    for (const bar of intradayBars) {
+      const date = this.tradingDateKey(bar.timestamp);
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(bar);
+    }
+
+    const result = [];
+    for (const [date, bars] of days) {
+      bars.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      const returns = this.calculateReturns(bars.map(b => b.close), 'log');
+      if (returns.length < minObservations) continue;
+
+      const realizedVariance = returns.reduce((sum, r) => sum + r * r, 0);
+      const bipowerVariation = this.calculateBipowerVariation(returns);
+      const tripowerQuarticity = this.calculateTripowerQuarticity(returns);
+
+      result.push({
+        date,
+        realizedVariance,
+        bipowerVariation,
+        jumpStatistic: this.calculateJumpStatistic(realizedVariance, bipowerVariation, tripowerQuarticity, returns.length),
+        observations: returns.length
+      });
+    }
+
+    return result.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Bipower variation: jump-robust estimate of the continuous variance
+   */
+  static calculateBipowerVariation(returns) {
+    const n = returns.length;
+    let sum = 0;
+    for (let i = 1; i < n; i++) {
+      sum += Math.abs(returns[i]) * Math.abs(returns[i - 1]);
+    }
+    return (Math.PI / 2) * (n / (n - 1)) * sum;
+  }
+
+  /**
+   * Tripower quarticity: jump-robust estimate of integrated quarticity
+   */
+  static calculateTripowerQuarticity(returns) {
+    const n = returns.length;
+    const mu43 = Math.pow(2, 2 / 3) * Math.exp(math.lgamma(7 / 6) - math.lgamma(0.5));
+    let sum = 0;
+    for (let i = 2; i < n; i++) {
+      sum += Math.pow(Math.abs(returns[i] * returns[i - 1] * returns[i - 2]), 4 / 3);
+    }
+    return n * Math.pow(mu43, -3) * (n / (n - 2)) * sum;
+  }
+
+  /**
+   * Ratio jump test statistic (Huang-Tauchen / Barndorff-Nielsen-Shephard)
+   * Asymptotically standard normal when the day has no jump
+   */
+  static calculateJumpStatistic(realizedVariance, bipowerVariation, tripowerQuarticity, observations) {
+    if (!(realizedVariance > 0) || !(bipowerVariation > 0)) return null;
+
+    const theta = (Math.PI / 2) ** 2 + Math.PI - 5;
+    const relativeJump = (realizedVariance - bipowerVariation) / realizedVariance;
+    const scale = Math.max(1, tripowerQuarticity / (bipowerVariation * bipowerVariation));
+    return relativeJump / Math.sqrt((theta / observations) * scale);
+  }
+
+  /**
+   * Split realized variance into continuous and jump parts
+   * A day has a jump when its test statistic exceeds the normal quantile at
+   * the given significance; days without a statistic (range-based days) are
+   * treated as purely continuous.
+   */
+  static decomposeJumps(series, significance = 0.999) {
+    const criticalValue = Distributions.normalQuantile(significance);
+
+    return series.map(day => {
+      const isJump = day.jumpStatistic !== null && day.jumpStatistic !== undefined &&
+        day.jumpStatistic > criticalValue;
+      const jumpVariance = isJump ? Math.max(day.realizedVariance - day.bipowerVariation, 0) : 0;
+
+      return {
+        ...day,
+        isJump,
+        jumpVariance,
+        continuousVariance: day.realizedVariance - jumpVariance
+      };
+    });
+  }
+
+  /**
+   * Single-day range-based variance (Garman-Klass, or Parkinson without an open)
+   * Used as realized variance on days without intraday data
+   */
+  static calculateRangeVariance(open, high, low, close) {
+    const u = Math.log(high / low);
+    if (!open || !close) {
+      return (u * u) / (4 * Math.log(2));
+    }
+
+    const c = Math.log(close / open);
+    return 0.5 * u * u - (2 * Math.log(2) - 1) * c * c;
+  }
+
   /**
    * Calculate Bollinger Band Width (volatility measure)
    */
@@ -177,67 +691,363 @@ class VolatilityModels {
   }
 
   /**
-   * Generate trading signals based on volatility analysis
+   * Generate trading signals from declarative rules
+   * volatilityData and priceData together form the values the rules read
+   * (see SignalRules); without stored rules the built-in defaults apply.
    */
-  static generateVolatilitySignals(volatilityData, priceData) {
-    const signals = [];
-    
-    // Mean reversion signal
-    if (volatilityData.regime === 'extreme' && volatilityData.har_forecast < volatilityData.realized_volatility) {
-      signals.push({
-        type: 'volatility_mean_reversion',
-        action: 'prepare_to_buy',
-        strength: 0.8,
-        reason: 'Extreme volatility likely to revert'
-      });
+  static generateVolatilitySignals(volatilityData, priceData, rules = SignalRules.defaultRules()) {
+    return SignalRules.evaluateRules(rules, { ...volatilityData, ...priceData });
+  }
+
+  // Helper functions
+  static harCJFeatures(continuous, jumps) {
+    return [
+      1,
+      continuous[continuous.length - 1],
+      ss.mean(continuous.slice(-5)),
+      ss.mean(continuous.slice(-22)),
+      jumps[jumps.length - 1],
+      ss.mean(jumps.slice(-5)),
+      ss.mean(jumps.slice(-22))
+    ];
+  }
+
+  static prepareGARCHResiduals(returns) {
+    const scaled = returns.map(r => r * 100);
+    const mean = ss.mean(scaled);
+    const residuals = scaled.map(r => r - mean);
+    return { residuals, sampleVariance: ss.mean(residuals.map(e => e * e)) };
+  }
+
+  /**
+   * Log-likelihood of residuals given conditional variances
+   * Gaussian when nu is null, otherwise Student-t standardized to unit variance
+   */
+  static conditionalLogLikelihood(residuals, variances, nu = null) {
+    let logLikelihood = 0;
+
+    if (nu === null) {
+      for (let t = 0; t < residuals.length; t++) {
+        if (!(variances[t] > 0) || !isFinite(variances[t])) return -Infinity;
+        logLikelihood -= 0.5 * (Math.log(2 * Math.PI) + Math.log(variances[t]) + residuals[t] ** 2 / variances[t]);
+      }
+      return logLikelihood;
     }
 
-    // Trend following in low volatility
-    if (volatilityData.regime === 'low' && priceData.trend === 'up') {
-      signals.push({
-        type: 'low_vol_trend',
-        action: 'buy',
-        strength: 0.7,
-        reason: 'Uptrend in low volatility environment'
-      });
+    const constant = math.lgamma((nu + 1) / 2) - math.lgamma(nu / 2) - 0.5 * Math.log(Math.PI * (nu - 2));
+    for (let t = 0; t < residuals.length; t++) {
+      if (!(variances[t] > 0) || !isFinite(variances[t])) return -Infinity;
+      logLikelihood += constant - 0.5 * Math.log(variances[t]) -
+        ((nu + 1) / 2) * Math.log(1 + residuals[t] ** 2 / (variances[t] * (nu - 2)));
     }
+    return logLikelihood;
+  }
 
-    // Volatility breakout signal
-    if (volatilityData.bollinger_width > volatilityData.historical_avg_width * 1.5) {
-      signals.push({
-        type: 'volatility_breakout',
-        action: 'wait',
-        strength: 0.6,
-        reason: 'Potential volatility expansion'
-      });
+  /**
+   * Convert a fit on percent returns back to return units and add
+   * information criteria, long-run variance, half-life and leverage asymmetry
+   */
+  static summarizeGARCHFit(model, distribution, params, fit) {
+    const { scaledLogLikelihood, parameterCount, observations } = fit;
+    const { alpha, beta, gamma, nu, persistence } = params;
+    const varianceScale = 1e4; // percent^2 -> squared log returns
+
+    // Density of r is 100x the density of 100r
+    const logLikelihood = scaledLogLikelihood + observations * Math.log(100);
+
+    let omega;
+    let unconditionalVariance;
+    let asymmetry;
+    if (model === 'egarch') {
+      // ln(s2 * 1e4) = ln(s2) + ln(1e4), so the intercept absorbs (1 - beta) * ln(1e4)
+      omega = params.omega - (1 - beta) * Math.log(varianceScale);
+      unconditionalVariance = Math.exp(omega / (1 - beta));
+      asymmetry = Math.exp(-2 * gamma);
+    } else {
+      omega = params.omega / varianceScale;
+      unconditionalVariance = omega / (1 - persistence);
+      // From the long-run variance: (omega + (alpha + gamma + beta) V) / (omega + (alpha + beta) V)
+      asymmetry = model === 'gjr' ? (1 + gamma / 2) / (1 - gamma / 2) : 1;
     }
 
-    // HAR model divergence
-    const harDivergence = Math.abs(volatilityData.har_forecast - volatilityData.realized_volatility);
-    if (harDivergence > volatilityData.realized_volatility * 0.2) {
-      signals.push({
-        type: 'har_divergence',
-        action: 'hedge',
-        strength: 0.65,
-        reason: 'HAR model shows significant divergence'
-      });
+    return {
+      model,
+      distribution,
+      omega,
+      alpha,
+      beta,
+      gamma,
+      nu,
+      persistence,
+      // Next-day variance after a -1 sd shock relative to a +1 sd shock
+      asymmetry,
+      logLikelihood,
+      aic: 2 * parameterCount - 2 * logLikelihood,
+      bic: parameterCount * Math.log(observations) - 2 * logLikelihood,
+      halfLife: persistence > 0 && persistence < 1 ? Math.log(0.5) / Math.log(persistence) : null,
+      unconditionalVariance,
+      conditionalVariance: fit.conditionalVariance / varianceScale,
+      nextVariance: fit.nextVariance / varianceScale,
+      observations,
+      converged: fit.converged
+    };
+  }
+
+  static summarizeVariancePath(path, horizons, annualizationFactor) {
+    return horizons.map(h => {
+      const cumulativeVariance = path.slice(0, h).reduce((sum, v) => sum + v, 0);
+      return {
+        horizon: h,
+        variance: path[h - 1],
+        cumulativeVariance,
+        volatility: Math.sqrt((cumulativeVariance / h) * annualizationFactor)
+      };
+    });
+  }
+
+  /**
+   * Nelder-Mead simplex minimization of an unconstrained objective
+   */
+  static nelderMead(fn, x0, { maxIterations = 2000, tolerance = 1e-8, step = 0.5 } = {}) {
+    const n = x0.length;
+    const evaluate = (x) => {
+      const value = fn(x);
+      return Number.isFinite(value) ? value : Infinity;
+    };
+
+    let simplex = [{ x: x0.slice(), value: evaluate(x0) }];
+    for (let i = 0; i < n; i++) {
+      const x = x0.slice();
+      x[i] += step;
+      simplex.push({ x, value: evaluate(x) });
     }
 
-    return signals;
+    const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+    let converged = false;
+    let iteration = 0;
+
+    for (; iteration < maxIterations; iteration++) {
+      simplex.sort((a, b) => a.value - b.value);
+      const best = simplex[0];
+      const worst = simplex[n];
+
+      if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) {
+        converged = true;
+        break;
+      }
+
+      const centroid = new Array(n).fill(0);
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) centroid[j] += simplex[i].x[j] / n;
+      }
+
+      const reflected = combine(centroid, worst.x, -1);
+      const reflectedValue = evaluate(reflected);
+
+      if (reflectedValue < best.value) {
+        const expanded = combine(centroid, worst.x, -2);
+        const expandedValue = evaluate(expanded);
+        simplex[n] = expandedValue < reflectedValue
+          ? { x: expanded, value: expandedValue }
+          : { x: reflected, value: reflectedValue };
+      } else if (reflectedValue < simplex[n - 1].value) {
+        simplex[n] = { x: reflected, value: reflectedValue };
+      } else {
+        const contracted = reflectedValue < worst.value
+          ? combine(centroid, reflected, 0.5)
+          : combine(centroid, worst.x, 0.5);
+        const contractedValue = evaluate(contracted);
+
+        if (contractedValue < Math.min(reflectedValue, worst.value)) {
+          simplex[n] = { x: contracted, value: contractedValue };
+        } else {
+          // Shrink towards the best vertex
+          simplex = simplex.map((vertex, i) => {
+            if (i === 0) return vertex;
+            const x = combine(best.x, vertex.x, 0.5);
+            return { x, value: evaluate(x) };
+          });
+        }
+      }
+    }
+
+    simplex.sort((a, b) => a.value - b.value);
+    return { x: simplex[0].x, value: simplex[0].value, iterations: iteration, converged };
+  }
+
+  /**
+   * E|z| for a unit-variance Gaussian or standardized Student-t shock
+   */
+  static expectedAbsoluteShock(nu = null) {
+    if (nu === null) return Math.sqrt(2 / Math.PI);
+    return Math.sqrt(nu - 2) * Math.exp(math.lgamma((nu - 1) / 2) - math.lgamma(nu / 2)) / Math.sqrt(Math.PI);
+  }
+
+  static tradingDateKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  static logistic(x) {
+    return 1 / (1 + Math.exp(-x));
+  }
+
+  static logit(p) {
+    return Math.log(p / (1 - p));
   }
 
-  // Helper functions
   static ordinaryLeastSquares(features, targets) {
+    return this.solveLeastSquares(features, targets).coefficients;
+  }
+
+  /**
+   * OLS with a conditioning check on X'X
+   * The condition number is computed on X'X with unit-length columns so that
+   * it reflects collinearity rather than the scale of the regressors. When
+   * X'X is singular or near-singular the Moore-Penrose pseudo-inverse is used
+   * instead of math.inv, giving the minimum-norm solution.
+   */
+  static solveLeastSquares(features, targets) {
     const X = math.matrix(features);
     const y = math.matrix(targets);
     
     // Calculate coefficients: β = (X'X)^(-1)X'y
     const Xt = math.transpose(X);
     const XtX = math.multiply(Xt, X);
-    const XtX_inv = math.inv(XtX);
+    const conditionNumber = this.scaledConditionNumber(XtX.toArray());
+    const nearSingular = !(conditionNumber < MAX_CONDITION_NUMBER);
+    const XtX_inv = nearSingular ? math.pinv(XtX) : math.inv(XtX);
     const Xty = math.multiply(Xt, y);
     
-    return math.multiply(XtX_inv, Xty).toArray();
+    return {
+      coefficients: math.multiply(XtX_inv, Xty).toArray(),
+      XtXInv: XtX_inv.toArray(),
+      conditionNumber,
+      nearSingular
+    };
+  }
+
+  /**
+   * Condition number of X'X after scaling X to unit-length columns
+   */
+  static scaledConditionNumber(XtX) {
+    const norms = XtX.map((row, i) => Math.sqrt(row[i]));
+    if (norms.some(n => !(n > 0))) return Infinity;
+
+    const scaled = XtX.map((row, i) => row.map((v, j) => v / (norms[i] * norms[j])));
+    const eigenvalues = math.eigs(scaled).values;
+    const smallest = Math.min(...eigenvalues);
+    const largest = Math.max(...eigenvalues);
+    return smallest > 0 ? largest / smallest : Infinity;
+  }
+
+  /**
+   * Coefficient inference and fit diagnostics for an OLS fit
+   * Newey-West (HAC) standard errors with the Andrews rule-of-thumb lag
+   * length, asymptotic normal p-values, adjusted R², Gaussian AIC/BIC and a
+   * Ljung-Box test for autocorrelation left in the residuals.
+   */
+  static regressionDiagnostics(features, targets, predictions, fit, names, ljungBoxLags = 10) {
+    const n = targets.length;
+    const k = features[0].length;
+    const residuals = targets.map((y, i) => y - predictions[i]);
+    const rss = residuals.reduce((sum, e) => sum + e * e, 0);
+    const rSquared = this.calculateRSquared(targets, predictions);
+    const neweyWestLags = Math.floor(4 * Math.pow(n / 100, 2 / 9));
+    const covariance = this.neweyWestCovariance(features, residuals, neweyWestLags, fit.XtXInv);
+    const logLikelihood = -0.5 * n * (Math.log(2 * Math.PI) + Math.log(rss / n) + 1);
+
+    const coefficientStats = fit.coefficients.map((estimate, i) => {
+      const stdError = Math.sqrt(Math.max(covariance[i][i], 0));
+      const tStat = stdError > 0 ? estimate / stdError : null;
+      return {
+        name: names[i],
+        estimate,
+        stdError,
+        tStat,
+        pValue: tStat === null ? null : 2 * (1 - Distributions.normalCdf(Math.abs(tStat)))
+      };
+    });
+
+    return {
+      adjRSquared: 1 - (1 - rSquared) * (n - 1) / (n - k),
+      aic: 2 * k - 2 * logLikelihood,
+      bic: k * Math.log(n) - 2 * logLikelihood,
+      conditionNumber: fit.conditionNumber,
+      nearSingular: fit.nearSingular,
+      neweyWestLags,
+      coefficientStats,
+      ljungBox: this.ljungBox(residuals, Math.min(ljungBoxLags, n - 1)),
+      observations: n
+    };
+  }
+
+  /**
+   * Newey-West (Bartlett kernel) heteroskedasticity and autocorrelation
+   * consistent covariance of OLS coefficients
+   */
+  static neweyWestCovariance(features, residuals, lags, XtXInv = null) {
+    const n = features.length;
+    const k = features[0].length;
+    const bread = XtXInv || math.inv(math.multiply(math.transpose(features), features));
+
+    const scores = features.map((row, t) => row.map(x => x * residuals[t]));
+    const meat = Array.from({ length: k }, () => new Array(k).fill(0));
+    for (let lag = 0; lag <= lags; lag++) {
+      const weight = lag === 0 ? 1 : 1 - lag / (lags + 1);
+      for (let t = lag; t < n; t++) {
+        for (let i = 0; i < k; i++) {
+          for (let j = 0; j < k; j++) {
+            const term = scores[t][i] * scores[t - lag][j];
+            meat[i][j] += weight * (lag === 0 ? term : term + scores[t - lag][i] * scores[t][j]);
+          }
+        }
+      }
+    }
+
+    return math.multiply(math.multiply(bread, meat), bread);
+  }
+
+  /**
+   * Newey-West (Bartlett kernel) long-run variance of a series
+   */
+  static longRunVariance(series, lags) {
+    const autocovariances = this.autocovariances(series, lags);
+    let variance = autocovariances[0];
+    for (let k = 1; k <= lags; k++) {
+      variance += 2 * (1 - k / (lags + 1)) * autocovariances[k];
+    }
+    return variance;
+  }
+
+  /**
+   * Ljung-Box Q test for autocorrelation up to `lags`
+   */
+  static ljungBox(series, lags = 10) {
+    const n = series.length;
+    const autocovariances = this.autocovariances(series, lags);
+    if (!(autocovariances[0] > 0)) return { statistic: null, pValue: null, lags };
+
+    let statistic = 0;
+    for (let k = 1; k <= lags; k++) {
+      const rho = autocovariances[k] / autocovariances[0];
+      statistic += (rho * rho) / (n - k);
+    }
+    statistic *= n * (n + 2);
+
+    return { statistic, pValue: 1 - Distributions.chiSquaredCdf(statistic, lags), lags };
+  }
+
+  static autocovariances(series, lags) {
+    const n = series.length;
+    const mean = ss.mean(series);
+    const centered = series.map(x => x - mean);
+    const result = [];
+    for (let k = 0; k <= lags; k++) {
+      let sum = 0;
+      for (let t = k; t < n; t++) sum += centered[t] * centered[t - k];
+      result.push(sum / n);
+    }
+    return result;
   }
 
   static calculateRSquared(actual, predicted) {
@@ -5,13 +5,42 @@ const cron = require('node-cron');
 const { initDatabase } = require('./db/database');
 const MarketDataService = require('./services/marketDataService');
 const VolatilityAnalysisService = require('./services/volatilityAnalysisService');
+const ForecastEvaluationService = require('./services/forecastEvaluationService');
+const ForecastLedgerService = require('./services/forecastLedgerService');
+const RegimeHistoryService = require('./services/regimeHistoryService');
+const RiskService = require('./services/riskService');
+const VIXTermStructureService = require('./services/vixTermStructureService');
+const OptionPricingService = require('./services/optionPricingService');
+const PositionSizingService = require('./services/positionSizingService');
+const SignalBacktestService = require('./services/signalBacktestService');
+const SignalOutcomeService = require('./services/signalOutcomeService');
+const SignalRuleService = require('./services/signalRuleService');
+const AlertService = require('./services/alertService');
+const StreamService = require('./services/streamService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Bounds for the signal backtest, which re-runs the full analysis once per day
+const MAX_BACKTEST_LOOKBACK = 1500;
+const MIN_BACKTEST_WINDOW = 30;
+const MAX_BACKTEST_WINDOW = 504;
+
 // Services
 const marketDataService = new MarketDataService();
 const volatilityAnalysisService = new VolatilityAnalysisService();
+const forecastEvaluationService = new ForecastEvaluationService();
+const forecastLedgerService = new ForecastLedgerService();
+const regimeHistoryService = new RegimeHistoryService();
+const riskService = new RiskService();
+const vixTermStructureService = new VIXTermStructureService();
+const optionPricingService = new OptionPricingService();
+const positionSizingService = new PositionSizingService();
+const signalBacktestService = new SignalBacktestService();
+const signalOutcomeService = new SignalOutcomeService();
+const signalRuleService = new SignalRuleService();
+const alertService = new AlertService();
+const streamService = new StreamService();
 
 // Middleware
 app.use(cors());
@@ -32,21 +61,28 @@ app.get('/api/health', (req, res) => {
 app.get('/api/market/analysis', async (req, res) => {
   try {
     const symbol = req.query.symbol || 'SPY';
+    const { garchModel = 'garch', regimeMethod = 'quantile' } = req.query;
+    const hmmStates = req.query.hmmStates ? parseInt(req.query.hmmStates) : undefined;
+    
+    // Reject bad options before fetching anything
+    VolatilityAnalysisService.garchEstimator(garchModel);
+    VolatilityAnalysisService.checkRegimeMethod(regimeMethod, hmmStates);
     
     // Fetch and save latest market data
     const marketData = await marketDataService.fetchSP500Data(symbol);
     await marketDataService.saveMarketData(marketData);
     
     // Perform volatility analysis
-    const analysis = await volatilityAnalysisService.analyzeVolatility(symbol);
+    const analysis = await volatilityAnalysisService.analyzeVolatility(symbol, { garchModel, regimeMethod, hmmStates });
     
     res.json({
       success: true,
       data: analysis
     });
   } catch (error) {
-    console.error('Error in market analysis:', error);
-    res.status(500).json({
+    const status = error.status || 500;
+    if (status === 500) console.error('Error in market analysis:', error);
+    res.status(status).json({
       success: false,
       error: error.message
     });
@@ -76,6 +112,29 @@ app.get('/api/market/historical', async (req, res) => {
   }
 });
 
+// Daily bars rejected by the data quality checks
+app.get('/api/market/quarantine', async (req, res) => {
+  try {
+    const { symbol = 'SPY', reason, limit = 100 } = req.query;
+    
+    const data = await marketDataService.getQuarantinedData(symbol, {
+      reason,
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching quarantined data:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get volatility indicators
 app.get('/api/volatility/indicators', async (req, res) => {
   try {
@@ -96,19 +155,318 @@ app.get('/api/volatility/indicators', async (req, res) => {
   }
 });
 
+// Volatility cone: current realized vol against its history per window
+app.get('/api/volatility/cone', async (req, res) => {
+  try {
+    const { symbol = 'SPY', lookback = 1260, windows } = req.query;
+    
+    const cone = await volatilityAnalysisService.getVolatilityCone(symbol, {
+      lookback: parseInt(lookback),
+      windows: windows ? windows.split(',').map(w => parseInt(w)) : undefined
+    });
+    
+    res.json({
+      success: true,
+      data: cone
+    });
+  } catch (error) {
+    console.error('Error calculating volatility cone:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get variance risk premium history
+app.get('/api/volatility/vrp', async (req, res) => {
+  try {
+    const { symbol = 'SPY', days = 252 } = req.query;
+    
+    const history = await volatilityAnalysisService.getVarianceRiskPremiumHistory(symbol, parseInt(days));
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching variance risk premium:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get VIX term structure history
+app.get('/api/volatility/term-structure', async (req, res) => {
+  try {
+    const { days = 252 } = req.query;
+    
+    const termStructure = await vixTermStructureService.getTermStructure({ days: parseInt(days) });
+    
+    res.json({
+      success: true,
+      data: termStructure
+    });
+  } catch (error) {
+    console.error('Error fetching VIX term structure:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get trading signals
 app.get('/api/signals/latest', async (req, res) => {
   try {
-    const { symbol = 'SPY', limit = 10 } = req.query;
+    const { symbol = 'SPY', limit = 10, state, type } = req.query;
     
-    const signals = await volatilityAnalysisService.getLatestSignals(symbol, limit);
+    const signals = await volatilityAnalysisService.getLatestSignals(symbol, limit, { state, type });
     
     res.json({
       success: true,
       data: signals
     });
   } catch (error) {
-    console.error('Error fetching signals:', error);
+    const status = error.status || 500;
+    if (status === 500) console.error('Error fetching signals:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Hit rate, forward return and forward volatility per signal type, regime and strength
+app.get('/api/signals/performance', async (req, res) => {
+  try {
+    const { symbol = 'SPY', days = 756 } = req.query;
+    
+    const stats = await signalOutcomeService.getOutcomeStats(symbol, { days: parseInt(days) });
+    
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error fetching signal performance:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Recorded forward outcomes of stored signals
+app.get('/api/signals/outcomes', async (req, res) => {
+  try {
+    const { symbol = 'SPY', type, limit = 100 } = req.query;
+    
+    const outcomes = await signalOutcomeService.getOutcomes(symbol, { signalType: type, limit });
+    
+    res.json({
+      success: true,
+      data: outcomes
+    });
+  } catch (error) {
+    console.error('Error fetching signal outcomes:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Current signal rules
+app.get('/api/signals/rules', async (req, res) => {
+  try {
+    const rules = await signalRuleService.listRules();
+    
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching signal rules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// A signal rule with its version history
+app.get('/api/signals/rules/:name', async (req, res) => {
+  try {
+    const rule = await signalRuleService.getRule(req.params.name);
+    
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error fetching signal rule:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a signal rule; the definition is validated before it is stored
+app.post('/api/signals/rules', async (req, res) => {
+  try {
+    const rule = await signalRuleService.createRule(req.body);
+    
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error creating signal rule:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Change a signal rule, saved as a new version
+app.put('/api/signals/rules/:name', async (req, res) => {
+  try {
+    const rule = await signalRuleService.updateRule(req.params.name, req.body);
+    
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error updating signal rule:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Retire a signal rule; earlier versions are kept
+app.delete('/api/signals/rules/:name', async (req, res) => {
+  try {
+    const rule = await signalRuleService.deleteRule(req.params.name);
+    
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error deleting signal rule:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Alert definitions
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const { symbol } = req.query;
+    
+    const data = await alertService.listAlerts(symbol);
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create an alert; checked after every analysis run
+app.post('/api/alerts', async (req, res) => {
+  try {
+    const data = await alertService.createAlert(req.body);
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error creating alert:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Change an alert
+app.put('/api/alerts/:id', async (req, res) => {
+  try {
+    const data = await alertService.updateAlert(parseInt(req.params.id), req.body);
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error updating alert:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete an alert and its delivery log
+app.delete('/api/alerts/:id', async (req, res) => {
+  try {
+    const data = await alertService.deleteAlert(parseInt(req.params.id));
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error deleting alert:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Alert delivery log with retry status
+app.get('/api/alerts/deliveries', async (req, res) => {
+  try {
+    const { alertId, status, limit = 100 } = req.query;
+    
+    const data = await alertService.getDeliveries({
+      alertId: alertId ? parseInt(alertId) : undefined,
+      status,
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching alert deliveries:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -116,6 +474,52 @@ app.get('/api/signals/latest', async (req, res) => {
   }
 });
 
+// Server-Sent Events stream of new bars, analyses, regime changes and signals
+// Resumes after the Last-Event-ID header (sent by EventSource on reconnect)
+// or ?lastEventId=
+app.get('/api/stream', async (req, res) => {
+  const symbols = (req.query.symbols || 'SPY').split(',').map(s => s.trim()).filter(Boolean);
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  let unsubscribe = null;
+  let heartbeat = null;
+  
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+      symbol: event.symbol,
+      created_at: event.created_at,
+      data: event.data
+    })}\n\n`);
+  };
+  
+  req.on('close', () => {
+    if (unsubscribe) unsubscribe();
+    clearInterval(heartbeat);
+  });
+  
+  try {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    unsubscribe = await streamService.subscribe(symbols, lastEventId, send);
+    if (res.writableEnded || req.destroyed) {
+      unsubscribe();
+      return;
+    }
+    
+    // Comment lines keep proxies from closing an idle connection
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+  } catch (error) {
+    console.error('Error in event stream:', error);
+    res.end();
+  }
+});
+
 // Trigger manual data update
 app.post('/api/market/update', async (req, res) => {
   try {
@@ -124,6 +528,8 @@ app.post('/api/market/update', async (req, res) => {
     // Fetch fresh data
     const marketData = await marketDataService.fetchSP500Data(symbol);
     const savedData = await marketDataService.saveMarketData(marketData);
+    const intradayData = await marketDataService.refreshIntradayData(symbol);
+    const vixData = await marketDataService.refreshVIXData();
     
     // Run analysis
     const analysis = await volatilityAnalysisService.analyzeVolatility(symbol);
@@ -132,6 +538,13 @@ app.post('/api/market/update', async (req, res) => {
       success: true,
       message: 'Data updated successfully',
       dataPoints: savedData.count,
+      intradayPoints: intradayData.count,
+      vixPoints: vixData.count,
+      quarantined: {
+        market: savedData.quarantined,
+        vix: vixData.quarantined
+      },
+      outliers: savedData.outliers,
       analysis
     });
   } catch (error) {
@@ -171,6 +584,406 @@ app.get('/api/models/har/:symbol', async (req, res) => {
   }
 });
 
+// Get HAR-CJ model parameters and detected jump days
+app.get('/api/models/har-cj/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { limit = 50 } = req.query;
+    const { pool } = require('./db/database');
+    
+    const query = `
+      SELECT * FROM har_cj_model_params
+      WHERE symbol = $1
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `;
+    
+    const [result, jumpDays] = await Promise.all([
+      pool.query(query, [symbol]),
+      volatilityAnalysisService.getJumpDays(symbol, limit)
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        model: result.rows[0] || null,
+        jump_days: jumpDays
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching HAR-CJ model:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get GARCH model parameters (latest fit per model and distribution)
+app.get('/api/models/garch/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { pool } = require('./db/database');
+    
+    const query = `
+      SELECT DISTINCT ON (model_type, distribution) *
+      FROM garch_model_params
+      WHERE symbol = $1
+      ORDER BY model_type, distribution, updated_at DESC
+    `;
+    
+    const result = await pool.query(query, [symbol]);
+    
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching GARCH model:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Rolling out-of-sample forecast evaluation (MSE/QLIKE, Mincer-Zarnowitz, Diebold-Mariano)
+app.get('/api/evaluation/forecasts', async (req, res) => {
+  try {
+    const { symbol = 'SPY', models = 'har,garch,random_walk', window = 250, horizon = 1, step = 1 } = req.query;
+    
+    const evaluation = await forecastEvaluationService.evaluateForecasts(symbol, {
+      models: models.split(',').map(m => m.trim()).filter(Boolean),
+      window: parseInt(window),
+      horizon: parseInt(horizon),
+      step: parseInt(step)
+    });
+    
+    res.json({
+      success: true,
+      data: evaluation
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error evaluating forecasts:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Rolling accuracy of live forecasts per model and horizon
+app.get('/api/forecasts/accuracy', async (req, res) => {
+  try {
+    const { symbol = 'SPY', window = 20 } = req.query;
+    
+    const stats = await forecastLedgerService.getAccuracyStats(symbol, parseInt(window));
+    
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error fetching forecast accuracy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get forecast ledger entries
+app.get('/api/forecasts/ledger', async (req, res) => {
+  try {
+    const { symbol = 'SPY', model, limit = 100 } = req.query;
+    
+    const entries = await forecastLedgerService.getLedger(symbol, { model, limit });
+    
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error fetching forecast ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Regime timeline, run lengths, transition matrix and forward returns
+app.get('/api/regimes/history', async (req, res) => {
+  try {
+    const { symbol = 'SPY', method = 'quantile', days = 252 } = req.query;
+    
+    const history = await regimeHistoryService.getRegimeHistory(symbol, {
+      method,
+      days: parseInt(days)
+    });
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error fetching regime history:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Rebuild regime history from stored market data
+app.post('/api/regimes/rebuild', async (req, res) => {
+  try {
+    const { symbol = 'SPY', method = 'quantile', lookback = 1000, hmmStates } = req.body;
+    
+    const result = await regimeHistoryService.rebuildRegimeHistory(symbol, {
+      method,
+      lookback: parseInt(lookback),
+      hmmStates: hmmStates ? parseInt(hmmStates) : undefined
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error rebuilding regime history:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Value-at-Risk and Expected Shortfall by method, confidence level and horizon
+app.get('/api/risk/var', async (req, res) => {
+  try {
+    const {
+      symbol = 'SPY',
+      confidence = '0.95,0.99',
+      horizons = '1,10',
+      volatilityModel = 'garch',
+      window = 500
+    } = req.query;
+    
+    const risk = await riskService.calculateRisk(symbol, {
+      confidenceLevels: confidence.split(',').map(parseFloat),
+      horizons: horizons.split(',').map(h => parseInt(h)),
+      volatilityModel,
+      window: parseInt(window)
+    });
+    
+    res.json({
+      success: true,
+      data: risk
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error calculating risk:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Walk-forward VaR backtest with coverage tests and Basel traffic light
+app.get('/api/risk/backtest', async (req, res) => {
+  try {
+    const {
+      symbol = 'SPY',
+      confidence = 0.99,
+      volatilityModel = 'garch',
+      window = 250,
+      lookback = 1000,
+      refitEvery = 20
+    } = req.query;
+    
+    const backtest = await riskService.backtestVaR(symbol, {
+      confidence: parseFloat(confidence),
+      volatilityModel,
+      window: parseInt(window),
+      lookback: parseInt(lookback),
+      refitEvery: parseInt(refitEvery)
+    });
+    
+    res.json({
+      success: true,
+      data: backtest
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error backtesting VaR:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Stored daily risk metrics
+app.get('/api/risk/history', async (req, res) => {
+  try {
+    const { symbol = 'SPY', days = 30, volatilityModel = 'garch' } = req.query;
+    
+    const history = await riskService.getRiskHistory(symbol, {
+      days: parseInt(days),
+      volatilityModel
+    });
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching risk history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Black-Scholes call, put and straddle with Greeks and expected move from a model volatility
+app.get('/api/options/price', async (req, res) => {
+  try {
+    const {
+      symbol = 'SPY',
+      strike,
+      days = 30,
+      volatilitySource = 'har',
+      volatility,
+      rate = 0,
+      dividendYield = 0,
+      marketPrice
+    } = req.query;
+    
+    const pricing = await optionPricingService.priceOptions(symbol, {
+      strike: strike !== undefined ? parseFloat(strike) : undefined,
+      days: parseInt(days),
+      volatilitySource,
+      volatility: volatility !== undefined ? parseFloat(volatility) : undefined,
+      rate: parseFloat(rate),
+      dividendYield: parseFloat(dividendYield),
+      marketPrice: marketPrice !== undefined ? parseFloat(marketPrice) : undefined
+    });
+    
+    res.json({
+      success: true,
+      data: pricing
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error pricing options:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Volatility-targeting exposure from the latest forecast, with its walk-forward history
+app.get('/api/sizing', async (req, res) => {
+  try {
+    const {
+      symbol = 'SPY',
+      targetVolatility = 0.1,
+      equity = 100000,
+      maxLeverage = 1.5,
+      volatilityModel = 'har',
+      window = 250,
+      lookback = 1000,
+      refitEvery = 20,
+      history = 'true'
+    } = req.query;
+    
+    const sizing = await positionSizingService.calculatePositionSize(symbol, {
+      targetVolatility: parseFloat(targetVolatility),
+      equity: parseFloat(equity),
+      maxLeverage: parseFloat(maxLeverage),
+      volatilityModel,
+      window: parseInt(window),
+      lookback: parseInt(lookback),
+      refitEvery: parseInt(refitEvery),
+      history: history !== 'false'
+    });
+    
+    res.json({
+      success: true,
+      data: sizing
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error calculating position size:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Walk-forward backtest of each signal type, re-running the analysis day by day
+app.get('/api/backtest/signals', async (req, res) => {
+  try {
+    const {
+      symbol = 'SPY',
+      lookback = 750,
+      window = 252,
+      holdingPeriod = 1,
+      costBps = 1,
+      slippageBps = 2,
+      garchModel = 'garch',
+      regimeMethod = 'quantile',
+      hmmStates
+    } = req.query;
+
+    const lookbackDays = parseInt(lookback);
+    const windowDays = parseInt(window);
+    if (!(lookbackDays >= 1 && lookbackDays <= MAX_BACKTEST_LOOKBACK)) {
+      return res.status(400).json({
+        success: false,
+        error: `lookback must be between 1 and ${MAX_BACKTEST_LOOKBACK} days, got ${lookback}`
+      });
+    }
+    if (!(windowDays >= MIN_BACKTEST_WINDOW && windowDays <= MAX_BACKTEST_WINDOW)) {
+      return res.status(400).json({
+        success: false,
+        error: `window must be between ${MIN_BACKTEST_WINDOW} and ${MAX_BACKTEST_WINDOW} days, got ${window}`
+      });
+    }
+    
+    const backtest = await signalBacktestService.backtestSignals(symbol, {
+      lookback: lookbackDays,
+      window: windowDays,
+      holdingPeriod: parseInt(holdingPeriod),
+      costBps: parseFloat(costBps),
+      slippageBps: parseFloat(slippageBps),
+      garchModel,
+      regimeMethod,
+      hmmStates: hmmStates ? parseInt(hmmStates) : undefined
+    });
+    
+    res.json({
+      success: true,
+      data: backtest
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error backtesting signals:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get market summary
 app.get('/api/market/summary', async (req, res) => {
   try {
@@ -207,7 +1020,7 @@ app.get('/api/market/summary', async (req, res) => {
       SELECT COUNT(*) as active_signals
       FROM trading_signals
       WHERE symbol = $1
-        AND timestamp >= NOW() - INTERVAL '24 hours'
+        AND state = 'active'
     `;
     
     const [priceResult, volResult, signalsResult] = await Promise.all([
@@ -259,6 +1072,7 @@ cron.schedule('*/15 9-16 * * 1-5', async () => {
   try {
     const marketData = await marketDataService.fetchSP500Data('SPY');
     await marketDataService.saveMarketData(marketData);
+    await marketDataService.refreshVIXData();
     await volatilityAnalysisService.analyzeVolatility('SPY');
     console.log('Scheduled update completed');
   } catch (error) {
@@ -268,6 +1082,88 @@ cron.schedule('*/15 9-16 * * 1-5', async () => {
   timezone: "America/New_York"
 });
 
+// Refresh intraday bars once a day after the close for realized variance
+cron.schedule('30 16 * * 1-5', async () => {
+  console.log('Running scheduled intraday data update...');
+  try {
+    await marketDataService.refreshIntradayData('SPY');
+    await volatilityAnalysisService.updateRealizedVariance('SPY');
+  } catch (error) {
+    console.error('Error in scheduled intraday update:', error);
+  }
+}, {
+  timezone: "America/New_York"
+});
+
+// Append today's regime label after the close; stored labels are kept
+cron.schedule('0 17 * * 1-5', async () => {
+  console.log('Updating regime history...');
+  try {
+    await regimeHistoryService.rebuildRegimeHistory('SPY', { lookback: 400, appendOnly: true });
+  } catch (error) {
+    console.error('Error updating regime history:', error);
+  }
+}, {
+  timezone: "America/New_York"
+});
+
+// Store the day's VaR and ES after the close
+cron.schedule('5 17 * * 1-5', async () => {
+  console.log('Calculating daily risk metrics...');
+  try {
+    await riskService.calculateRisk('SPY');
+  } catch (error) {
+    console.error('Error calculating risk metrics:', error);
+  }
+}, {
+  timezone: "America/New_York"
+});
+
+// Score forecasts whose target date has passed, after the post-close analysis
+cron.schedule('15 17 * * 1-5', async () => {
+  console.log('Scoring forecast ledger...');
+  try {
+    await forecastLedgerService.scoreForecasts('SPY');
+  } catch (error) {
+    console.error('Error scoring forecasts:', error);
+  }
+}, {
+  timezone: "America/New_York"
+});
+
+// Record forward returns of past signals once the day's bars and realized variance are in
+cron.schedule('20 17 * * 1-5', async () => {
+  console.log('Recording signal outcomes...');
+  try {
+    await signalOutcomeService.recordOutcomes('SPY');
+  } catch (error) {
+    console.error('Error recording signal outcomes:', error);
+  }
+}, {
+  timezone: "America/New_York"
+});
+
+// Retry failed alert deliveries once their backoff has elapsed
+cron.schedule('* * * * *', async () => {
+  try {
+    await alertService.retryDeliveries();
+  } catch (error) {
+    console.error('Error retrying alert deliveries:', error);
+  }
+});
+
+// Drop stream events older than the replay window
+cron.schedule('0 18 * * *', async () => {
+  try {
+    const { deleted } = await streamService.pruneEvents();
+    console.log(`Pruned ${deleted} stream events`);
+  } catch (error) {
+    console.error('Error pruning stream events:', error);
+  }
+}, {
+  timezone: "America/New_York"
+});
+
 // Initialize and start server
 async function startServer() {
   try {
@@ -295,9 +1191,39 @@ async function startServer() {
       console.log('  GET  /api/market/analysis - Get current analysis');
       console.log('  GET  /api/market/historical - Get historical data');
       console.log('  GET  /api/market/summary - Get market summary');
+      console.log('  GET  /api/market/quarantine - Bars rejected by data quality checks');
       console.log('  GET  /api/volatility/indicators - Get volatility indicators');
-      console.log('  GET  /api/signals/latest - Get latest trading signals');
+      console.log('  GET  /api/volatility/cone - Volatility cone by window');
+      console.log('  GET  /api/volatility/vrp - Variance risk premium history');
+      console.log('  GET  /api/volatility/term-structure - VIX term structure and backwardation runs');
+      console.log('  GET  /api/signals/latest - Get latest trading signals (?state=active|closed)');
+      console.log('  GET  /api/signals/performance - Signal hit rates by type, regime and strength');
+      console.log('  GET  /api/signals/outcomes - Forward returns after stored signals');
+      console.log('  GET  /api/signals/rules - Current signal rules');
+      console.log('  GET  /api/signals/rules/:name - Signal rule and its versions');
+      console.log('  POST /api/signals/rules - Create a signal rule');
+      console.log('  PUT  /api/signals/rules/:name - Update a signal rule (new version)');
+      console.log('  DELETE /api/signals/rules/:name - Retire a signal rule');
+      console.log('  GET  /api/alerts - Alert definitions');
+      console.log('  POST /api/alerts - Create an alert');
+      console.log('  PUT  /api/alerts/:id - Update an alert');
+      console.log('  DELETE /api/alerts/:id - Delete an alert');
+      console.log('  GET  /api/alerts/deliveries - Alert delivery log');
+      console.log('  GET  /api/stream - Server-Sent Events stream of updates (?symbols=SPY)');
       console.log('  GET  /api/models/har/:symbol - Get HAR model parameters');
+      console.log('  GET  /api/models/har-cj/:symbol - Get HAR-CJ model and jump days');
+      console.log('  GET  /api/models/garch/:symbol - Get GARCH model parameters');
+      console.log('  GET  /api/evaluation/forecasts - Out-of-sample forecast evaluation');
+      console.log('  GET  /api/forecasts/accuracy - Rolling accuracy of live forecasts');
+      console.log('  GET  /api/forecasts/ledger - Stored forecasts and their outcomes');
+      console.log('  GET  /api/regimes/history - Regime timeline and transition statistics');
+      console.log('  POST /api/regimes/rebuild - Rebuild regime history from market data');
+      console.log('  GET  /api/risk/var - Value-at-Risk and Expected Shortfall');
+      console.log('  GET  /api/risk/backtest - VaR backtest with Kupiec and Christoffersen tests');
+      console.log('  GET  /api/risk/history - Stored daily risk metrics');
+      console.log('  GET  /api/options/price - Option prices, Greeks and expected move');
+      console.log('  GET  /api/sizing - Volatility-targeting position size and history');
+      console.log('  GET  /api/backtest/signals - Walk-forward backtest of trading signals');
       console.log('  POST /api/market/update - Trigger manual update');
     });
   } catch (error) {
@@ -0,0 +1,425 @@
+const { pool } = require('../db/database');
+const NotificationService = require('./notificationService');
+
+const ALERT_TYPES = ['volatility_level', 'regime_change', 'signal', 'har_divergence'];
+const ALERT_CHANNELS = ['webhook', 'email'];
+const CROSSING_DIRECTIONS = ['above', 'below', 'either'];
+
+// Volatility indicators a volatility_level alert can watch, with the factor
+// that annualizes each. The HAR forecasts are a one-day volatility and the
+// volatility accumulated over 5 and 22 days.
+const VOLATILITY_FIELDS = {
+  realized_volatility: 1,
+  har_forecast_daily: Math.sqrt(252),
+  har_forecast_weekly: Math.sqrt(252 / 5),
+  har_forecast_monthly: Math.sqrt(252 / 22),
+  garch_forecast: 1,
+  parkinson_volatility: 1,
+  garman_klass_volatility: 1
+};
+
+// Failed deliveries are retried after 1, 2, 4 and 8 minutes, then marked failed
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 1;
+
+class AlertService {
+  constructor() {
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Check every enabled alert for the symbol against a fresh analysis
+   * Level alerts fire when the value crosses the level between two runs,
+   * regime alerts when the regime changes and signal alerts when a new
+   * signal of the type opens. An event is logged once per alert (event_key
+   * deduplicates repeated runs); within the cooldown it is logged as
+   * suppressed instead of sent.
+   */
+  async checkAlerts(symbol, analysis) {
+    const alerts = await pool.query(`
+      SELECT * FROM alerts
+      WHERE symbol = $1 AND enabled = TRUE
+      ORDER BY id
+    `, [symbol]);
+
+    let triggered = 0;
+    for (const alert of alerts.rows) {
+      const { value, event } = this.evaluateAlert(alert, analysis);
+
+      await pool.query('UPDATE alerts SET last_value = $2 WHERE id = $1', [alert.id, JSON.stringify(value)]);
+      if (!event) continue;
+
+      const inCooldown = alert.last_triggered_at &&
+        Date.now() - new Date(alert.last_triggered_at) < alert.cooldown_minutes * 60 * 1000;
+
+      const inserted = await pool.query(`
+        INSERT INTO alert_deliveries (
+          alert_id, event_key, channel, target, subject, message, payload, status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (alert_id, event_key) DO NOTHING
+        RETURNING *
+      `, [
+        alert.id,
+        event.key,
+        alert.channel,
+        alert.target,
+        `[${symbol}] ${alert.name}`,
+        event.message,
+        JSON.stringify({
+          alert_id: alert.id,
+          alert_name: alert.name,
+          alert_type: alert.alert_type,
+          symbol,
+          timestamp: analysis.timestamp,
+          ...event.details
+        }),
+        inCooldown ? 'suppressed' : 'pending'
+      ]);
+
+      if (inserted.rows.length === 0 || inCooldown) continue;
+
+      await pool.query('UPDATE alerts SET last_triggered_at = $2 WHERE id = $1', [alert.id, new Date()]);
+      await this.deliver(inserted.rows[0]);
+      triggered++;
+    }
+
+    return { checked: alerts.rows.length, triggered };
+  }
+
+  /**
+   * Current value an alert tracks and the event it raises, if any
+   * last_value holds the value from the previous run, so level and regime
+   * alerts only record a baseline on their first run; signal alerts keep
+   * the id of the last signal they reported.
+   */
+  evaluateAlert(alert, analysis) {
+    const params = alert.params || {};
+    const previous = alert.last_value;
+    const date = new Date(analysis.timestamp).toISOString().slice(0, 10);
+
+    if (alert.alert_type === 'regime_change') {
+      const regime = analysis.volatility_regime;
+      const changed = previous !== null && previous !== undefined && previous !== regime;
+      if (!changed || (params.to && params.to !== regime)) {
+        return { value: regime, event: null };
+      }
+      return {
+        value: regime,
+        event: {
+          key: `${previous}->${regime}:${date}`,
+          message: `Volatility regime changed from ${previous} to ${regime}`,
+          details: { previous_regime: previous, regime }
+        }
+      };
+    }
+
+    if (alert.alert_type === 'signal') {
+      const signal = analysis.signals.find(s =>
+        s.type === params.signal_type && (!params.action || s.action === params.action)
+      );
+      const signalId = signal && signal.id !== undefined ? signal.id : null;
+      if (signalId === null || signalId === previous) {
+        return { value: signalId, event: null };
+      }
+      return {
+        value: signalId,
+        event: {
+          key: `signal:${signalId}`,
+          message: `${signal.type} signal: ${signal.action.replace(/_/g, ' ')} (${(signal.strength * 100).toFixed(0)}%) - ${signal.reason}`,
+          details: { signal }
+        }
+      };
+    }
+
+    // volatility_level and har_divergence: crossings of a level
+    let value;
+    let label;
+    let level;
+    if (alert.alert_type === 'har_divergence') {
+      const indicators = analysis.volatility_indicators;
+      const harAnnualized = indicators.har_forecast_daily === null
+        ? null
+        : indicators.har_forecast_daily * VOLATILITY_FIELDS.har_forecast_daily;
+      value = harAnnualized !== null && indicators.realized_volatility > 0
+        ? Math.abs(harAnnualized - indicators.realized_volatility) / indicators.realized_volatility
+        : null;
+      label = 'HAR divergence from realized volatility';
+      level = params.threshold;
+    } else {
+      const field = params.field || 'realized_volatility';
+      const indicator = analysis.volatility_indicators[field];
+      value = indicator === null || indicator === undefined ? null : indicator * VOLATILITY_FIELDS[field];
+      label = field.replace(/_/g, ' ');
+      level = params.level;
+    }
+    if (value === null || value === undefined || !Number.isFinite(value)) {
+      return { value: null, event: null };
+    }
+
+    const direction = alert.alert_type === 'har_divergence' ? 'above' : (params.direction || 'either');
+    const crossedAbove = previous !== null && previous !== undefined && previous <= level && value > level;
+    const crossedBelow = previous !== null && previous !== undefined && previous >= level && value < level;
+    const crossing = crossedAbove && direction !== 'below' ? 'above'
+      : crossedBelow && direction !== 'above' ? 'below'
+        : null;
+
+    if (!crossing) return { value, event: null };
+    return {
+      value,
+      event: {
+        key: `${crossing}:${date}`,
+        message: `${label} crossed ${crossing} ${(level * 100).toFixed(1)}%: ${(value * 100).toFixed(2)}%`,
+        details: { value, previous_value: previous, level, crossing }
+      }
+    };
+  }
+
+  /**
+   * Attempt a delivery and record the outcome
+   */
+  async deliver(delivery) {
+    const attempts = delivery.attempts + 1;
+    try {
+      await this.notificationService.send(delivery.channel, delivery.target, {
+        subject: delivery.subject,
+        message: delivery.message,
+        payload: delivery.payload
+      });
+
+      await pool.query(`
+        UPDATE alert_deliveries SET
+          status = 'sent',
+          attempts = $2,
+          last_error = NULL,
+          next_attempt_at = NULL,
+          delivered_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [delivery.id, attempts]);
+      return true;
+    } catch (error) {
+      const exhausted = attempts >= MAX_DELIVERY_ATTEMPTS;
+      const delayMinutes = RETRY_BASE_MINUTES * Math.pow(2, attempts - 1);
+      console.error(`Alert delivery ${delivery.id} failed (attempt ${attempts}):`, error.message);
+
+      await pool.query(`
+        UPDATE alert_deliveries SET
+          status = $2,
+          attempts = $3,
+          last_error = $4,
+          next_attempt_at = $5
+        WHERE id = $1
+      `, [
+        delivery.id,
+        exhausted ? 'failed' : 'retrying',
+        attempts,
+        error.message,
+        exhausted ? null : new Date(Date.now() + delayMinutes * 60 * 1000)
+      ]);
+      return false;
+    }
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed
+   */
+  async retryDeliveries() {
+    const due = await pool.query(`
+      SELECT * FROM alert_deliveries
+      WHERE status = 'retrying' AND next_attempt_at <= $1
+      ORDER BY next_attempt_at ASC
+    `, [new Date()]);
+
+    let sent = 0;
+    for (const delivery of due.rows) {
+      if (await this.deliver(delivery)) sent++;
+    }
+
+    return { retried: due.rows.length, sent };
+  }
+
+  /**
+   * Delivery log, newest first
+   */
+  async getDeliveries({ alertId, status, limit = 100 } = {}) {
+    const params = [limit];
+    const filters = [];
+    if (alertId) {
+      params.push(alertId);
+      filters.push(`d.alert_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      filters.push(`d.status = $${params.length}`);
+    }
+
+    const result = await pool.query(`
+      SELECT d.*, a.name AS alert_name, a.alert_type
+      FROM alert_deliveries d
+      JOIN alerts a ON a.id = d.alert_id
+      ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $1
+    `, params);
+    return result.rows;
+  }
+
+  async listAlerts(symbol) {
+    const result = await pool.query(`
+      SELECT * FROM alerts
+      ${symbol ? 'WHERE symbol = $1' : ''}
+      ORDER BY id
+    `, symbol ? [symbol] : []);
+    return result.rows;
+  }
+
+  async createAlert(definition) {
+    const alert = this.validateAlert(definition);
+
+    const result = await pool.query(`
+      INSERT INTO alerts (
+        name, symbol, alert_type, params, channel, target, cooldown_minutes, enabled
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      alert.name,
+      alert.symbol,
+      alert.alert_type,
+      JSON.stringify(alert.params),
+      alert.channel,
+      alert.target,
+      alert.cooldown_minutes,
+      alert.enabled
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Change an alert; a new type or parameters reset its baseline
+   */
+  async updateAlert(id, changes) {
+    const existing = await pool.query('SELECT * FROM alerts WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      throw Object.assign(new Error(`Alert ${id} not found`), { status: 404 });
+    }
+
+    const current = existing.rows[0];
+    const alert = this.validateAlert({ ...current, ...changes });
+    const resetBaseline = alert.alert_type !== current.alert_type ||
+      JSON.stringify(alert.params) !== JSON.stringify(current.params);
+
+    const result = await pool.query(`
+      UPDATE alerts SET
+        name = $2,
+        symbol = $3,
+        alert_type = $4,
+        params = $5,
+        channel = $6,
+        target = $7,
+        cooldown_minutes = $8,
+        enabled = $9,
+        last_value = CASE WHEN $10 THEN NULL ELSE last_value END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [
+      id,
+      alert.name,
+      alert.symbol,
+      alert.alert_type,
+      JSON.stringify(alert.params),
+      alert.channel,
+      alert.target,
+      alert.cooldown_minutes,
+      alert.enabled,
+      resetBaseline
+    ]);
+    return result.rows[0];
+  }
+
+  async deleteAlert(id) {
+    const result = await pool.query('DELETE FROM alerts WHERE id = $1 RETURNING id, name', [id]);
+    if (result.rows.length === 0) {
+      throw Object.assign(new Error(`Alert ${id} not found`), { status: 404 });
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Check an alert definition; throws one error listing every problem, with status 400
+   */
+  validateAlert(definition) {
+    const errors = [];
+    const {
+      name,
+      symbol = 'SPY',
+      alert_type: alertType,
+      params = {},
+      channel,
+      target,
+      cooldown_minutes: cooldownMinutes = 60,
+      enabled = true
+    } = definition || {};
+
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      errors.push('name: expected a non-empty string (max 100)');
+    }
+    if (!ALERT_TYPES.includes(alertType)) {
+      errors.push(`alert_type: expected one of ${ALERT_TYPES.join(', ')}`);
+    }
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      errors.push('params: expected an object');
+    } else if (alertType === 'volatility_level') {
+      if (params.field !== undefined && !Object.keys(VOLATILITY_FIELDS).includes(params.field)) {
+        errors.push(`params.field: expected one of ${Object.keys(VOLATILITY_FIELDS).join(', ')}`);
+      }
+      if (!(typeof params.level === 'number' && params.level > 0)) {
+        errors.push('params.level: expected a positive number (annualized, e.g. 0.25)');
+      }
+      if (params.direction !== undefined && !CROSSING_DIRECTIONS.includes(params.direction)) {
+        errors.push(`params.direction: expected one of ${CROSSING_DIRECTIONS.join(', ')}`);
+      }
+    } else if (alertType === 'har_divergence') {
+      if (!(typeof params.threshold === 'number' && params.threshold > 0)) {
+        errors.push('params.threshold: expected a positive number (relative, e.g. 0.2)');
+      }
+    } else if (alertType === 'signal') {
+      if (typeof params.signal_type !== 'string' || params.signal_type === '') {
+        errors.push('params.signal_type: expected a signal type');
+      }
+    } else if (alertType === 'regime_change') {
+      if (params.to !== undefined && typeof params.to !== 'string') {
+        errors.push('params.to: expected a regime name');
+      }
+    }
+    if (!ALERT_CHANNELS.includes(channel)) {
+      errors.push(`channel: expected one of ${ALERT_CHANNELS.join(', ')}`);
+    } else if (channel === 'webhook' && !/^https?:\/\/\S+$/.test(target || '')) {
+      errors.push('target: expected an http(s) URL for a webhook');
+    } else if (channel === 'email' && !/^[^\s@]+@[^\s@]+$/.test(target || '')) {
+      errors.push('target: expected an email address');
+    }
+    if (!(Number.isInteger(cooldownMinutes) && cooldownMinutes >= 0)) {
+      errors.push('cooldown_minutes: expected a non-negative integer');
+    }
+    if (typeof enabled !== 'boolean') {
+      errors.push('enabled: expected true or false');
+    }
+
+    if (errors.length > 0) {
+      throw Object.assign(new Error(`Invalid alert: ${errors.join('; ')}`), { status: 400 });
+    }
+
+    return {
+      name,
+      symbol,
+      alert_type: alertType,
+      params,
+      channel,
+      target,
+      cooldown_minutes: cooldownMinutes,
+      enabled
+    };
+  }
+}
+
+module.exports = AlertService;
@@ -0,0 +1,66 @@
+const VolatilityModels = require('../models/volatilityModels');
+const ForecastEvaluation = require('../models/forecastEvaluation');
+const MarketDataService = require('./marketDataService');
+const VolatilityAnalysisService = require('./volatilityAnalysisService');
+
+class ForecastEvaluationService {
+  constructor() {
+    this.marketDataService = new MarketDataService();
+    this.volatilityAnalysisService = new VolatilityAnalysisService();
+  }
+
+  /**
+   * Rolling out-of-sample evaluation of volatility forecasts
+   * Each model is re-fitted on a trailing window of `window` days at every
+   * `step`-th origin and scored against realized variance over `horizon` days.
+   */
+  async evaluateForecasts(symbol, options = {}) {
+    const {
+      models = ['har', 'garch', 'random_walk'],
+      window = 250,
+      horizon = 1,
+      step = 1,
+      lookback = 1000
+    } = options;
+    ForecastEvaluation.checkOptions({ models, window, horizon, step });
+
+    const marketData = await this.marketDataService.getLatestData(symbol, lookback);
+    if (marketData.length < window + horizon + 10) {
+      throw new Error(`Insufficient data for evaluation: need at least ${window + horizon + 10} days, have ${marketData.length}`);
+    }
+
+    const data = await this.buildEvaluationData(symbol, marketData);
+    const records = ForecastEvaluation.rollingForecasts(data, { models, window, horizon, step });
+
+    return {
+      symbol,
+      window,
+      horizon,
+      step,
+      ...ForecastEvaluation.evaluate(records, models, horizon)
+    };
+  }
+
+  /**
+   * Align daily log returns with daily realized variance by date
+   */
+  async buildEvaluationData(symbol, marketData) {
+    const realizedVariance = await this.volatilityAnalysisService.buildRealizedVarianceSeries(symbol, marketData);
+    const varianceByDate = new Map(realizedVariance.map(d => [d.date, d.realizedVariance]));
+
+    const data = { dates: [], returns: [], realizedVariance: [] };
+    for (let i = 1; i < marketData.length; i++) {
+      const date = VolatilityModels.tradingDateKey(marketData[i].timestamp);
+      const variance = varianceByDate.get(date);
+      if (variance === undefined || data.dates[data.dates.length - 1] === date) continue;
+
+      data.dates.push(date);
+      data.returns.push(Math.log(marketData[i].close / marketData[i - 1].close));
+      data.realizedVariance.push(variance);
+    }
+
+    return data;
+  }
+}
+
+module.exports = ForecastEvaluationService;
@@ -0,0 +1,175 @@
+const { pool } = require('../db/database');
+const ForecastEvaluation = require('../models/forecastEvaluation');
+
+class ForecastLedgerService {
+  /**
+   * Record variance forecasts issued from data up to baseDate
+   * forecasts: [{ model, horizon, variance }] where variance is the cumulative
+   * variance expected over the next `horizon` trading days. Re-running the
+   * analysis on the same day replaces that day's unscored forecast.
+   */
+  async recordForecasts(symbol, baseDate, forecasts) {
+    const query = `
+      INSERT INTO forecast_ledger (
+        symbol, model, horizon, issued_at, base_date, target_date, forecast_variance
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (symbol, model, horizon, base_date) DO UPDATE SET
+        issued_at = $4,
+        target_date = $6,
+        forecast_variance = $7
+      WHERE forecast_ledger.scored_at IS NULL
+    `;
+
+    for (const forecast of forecasts) {
+      if (forecast.variance === null || !Number.isFinite(forecast.variance)) continue;
+
+      await pool.query(query, [
+        symbol,
+        forecast.model,
+        forecast.horizon,
+        new Date(),
+        baseDate,
+        this.addTradingDays(baseDate, forecast.horizon),
+        forecast.variance
+      ]);
+    }
+  }
+
+  /**
+   * Fill in realized variance for forecasts whose target date has passed
+   * A forecast is scored once `horizon` days of realized variance exist
+   * after its base date, so market holidays only delay scoring.
+   */
+  async scoreForecasts(symbol) {
+    const pending = await pool.query(`
+      SELECT id, horizon, base_date, forecast_variance
+      FROM forecast_ledger
+      WHERE symbol = $1
+        AND scored_at IS NULL
+        AND target_date <= CURRENT_DATE
+      ORDER BY base_date ASC
+    `, [symbol]);
+
+    let scored = 0;
+    for (const row of pending.rows) {
+      const realized = await pool.query(`
+        SELECT realized_variance FROM realized_variance
+        WHERE symbol = $1 AND date > $2
+        ORDER BY date ASC
+        LIMIT $3
+      `, [symbol, row.base_date, row.horizon]);
+
+      if (realized.rows.length < row.horizon) continue;
+
+      const realizedVariance = realized.rows.reduce((sum, r) => sum + r.realized_variance, 0);
+      const forecastVariance = row.forecast_variance;
+
+      await pool.query(`
+        UPDATE forecast_ledger SET
+          realized_variance = $2,
+          error = $3,
+          squared_error = $4,
+          qlike = $5,
+          scored_at = $6
+        WHERE id = $1
+      `, [
+        row.id,
+        realizedVariance,
+        forecastVariance - realizedVariance,
+        ForecastEvaluation.squaredErrorLoss(realizedVariance, forecastVariance),
+        ForecastEvaluation.qlikeLoss(realizedVariance, forecastVariance),
+        new Date()
+      ]);
+      scored++;
+    }
+
+    console.log(`Scored ${scored} of ${pending.rows.length} pending forecasts for ${symbol}`);
+    return { pending: pending.rows.length, scored };
+  }
+
+  /**
+   * Rolling error statistics per model and horizon
+   * Compares the most recent `window` scored forecasts with the model's
+   * full scored history; a degradation ratio above 1 means recent QLIKE
+   * is worse than the long-run average.
+   */
+  async getAccuracyStats(symbol, window = 20) {
+    const query = `
+      WITH ranked AS (
+        SELECT *,
+               ROW_NUMBER() OVER (PARTITION BY model, horizon ORDER BY base_date DESC) AS recency
+        FROM forecast_ledger
+        WHERE symbol = $1 AND scored_at IS NOT NULL
+      )
+      SELECT model,
+             horizon,
+             COUNT(*) AS scored_count,
+             COUNT(*) FILTER (WHERE recency <= $2) AS recent_count,
+             AVG(qlike) AS baseline_qlike,
+             AVG(qlike) FILTER (WHERE recency <= $2) AS recent_qlike,
+             SQRT(AVG(squared_error) FILTER (WHERE recency <= $2)) AS recent_rmse,
+             AVG(error / NULLIF(realized_variance, 0)) FILTER (WHERE recency <= $2) AS recent_bias,
+             MAX(base_date) AS last_base_date
+      FROM ranked
+      GROUP BY model, horizon
+      ORDER BY model, horizon
+    `;
+
+    const result = await pool.query(query, [symbol, window]);
+    return result.rows.map(row => {
+      const recentQlike = row.recent_qlike === null ? null : parseFloat(row.recent_qlike);
+      const baselineQlike = row.baseline_qlike === null ? null : parseFloat(row.baseline_qlike);
+
+      return {
+        model: row.model,
+        horizon: row.horizon,
+        scored_count: parseInt(row.scored_count),
+        recent_count: parseInt(row.recent_count),
+        recent_qlike: recentQlike,
+        baseline_qlike: baselineQlike,
+        recent_rmse: row.recent_rmse === null ? null : parseFloat(row.recent_rmse),
+        recent_bias: row.recent_bias === null ? null : parseFloat(row.recent_bias),
+        degradation_ratio: baselineQlike > 0 ? recentQlike / baselineQlike : null,
+        last_base_date: row.last_base_date
+      };
+    });
+  }
+
+  /**
+   * Get ledger entries
+   */
+  async getLedger(symbol, { model, limit = 100 } = {}) {
+    const params = [symbol, limit];
+    let modelFilter = '';
+    if (model) {
+      params.push(model);
+      modelFilter = 'AND model = $3';
+    }
+
+    const query = `
+      SELECT * FROM forecast_ledger
+      WHERE symbol = $1 ${modelFilter}
+      ORDER BY base_date DESC, model, horizon
+      LIMIT $2
+    `;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Add trading days (weekdays) to a YYYY-MM-DD date
+   */
+  addTradingDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    let remaining = days;
+    while (remaining > 0) {
+      result.setUTCDate(result.getUTCDate() + 1);
+      const day = result.getUTCDay();
+      if (day !== 0 && day !== 6) remaining--;
+    }
+    return result.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = ForecastLedgerService;
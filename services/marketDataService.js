@@ -1,66 +1,36 @@
-const axios = require('axios');
 const { pool } = require('../db/database');
-const YahooFinanceService = require('./yahooFinanceService');
+const { createProviders } = require('./providers');
+const StreamService = require('./streamService');
+const VolatilityModels = require('../models/volatilityModels');
+const DataQuality = require('../models/dataQuality');
+
+const VIX_SYMBOL = '^VIX';
+
+// Stored history read alongside new daily bars; covers the outlier baseline
+const QUALITY_CONTEXT_DAYS = 100;
+
+// CBOE volatility indices making up the VIX term structure, by field name
+const VIX_TERM_STRUCTURE_SYMBOLS = {
+  vix9d: '^VIX9D',
+  vix: VIX_SYMBOL,
+  vix3m: '^VIX3M',
+  vix6m: '^VIX6M'
+};
 
 class MarketDataService {
   constructor() {
-    this.apiKey = process.env.ALPHA_VANTAGE_API_KEY || 'demo';
-    this.baseUrl = 'https://www.alphavantage.co/query';
-    this.yahooService = new YahooFinanceService();
+    this.providers = createProviders();
+    this.streamService = new StreamService();
   }
 
   /**
-   * Fetch S&P 500 data from Alpha Vantage or Yahoo Finance as fallback
+   * Fetch daily bars (with the live session where available) from the
+   * configured providers, falling back to the stored bars
    */
   async fetchSP500Data(symbol = '^GSPC') {
     try {
       console.log(`Fetching real market data for ${symbol}...`);
-      
-      // Try Yahoo Finance first since Alpha Vantage demo key doesn't work with SPY
-      try {
-        console.log('Using Yahoo Finance as primary data source...');
-        const yahooData = await this.yahooService.fetchRealSP500Data(symbol);
-        if (yahooData && yahooData.currentPrice) {
-          console.log('Successfully fetched data from Yahoo Finance');
-          return yahooData;
-        }
-      } catch (yahooError) {
-        console.log('Yahoo Finance failed, trying Alpha Vantage...', yahooError.message);
-      }
-      
-      // Fallback to Alpha Vantage
-      const dailyResponse = await axios.get(this.baseUrl, {
-        params: {
-          function: 'TIME_SERIES_DAILY',
-          symbol: symbol,
-          apikey: this.apiKey,
-          outputsize: 'compact' // Get last 100 data points
-        },
-        timeout: 10000
-      });
-
-      // Check for API errors
-      if (dailyResponse.data['Error Message']) {
-        throw new Error(`Alpha Vantage API Error: ${dailyResponse.data['Error Message']}`);
-      }
-      
-      if (dailyResponse.data['Note']) {
-        console.warn('API call frequency limit reached. Using cached data.');
-        // Try to get cached data from database
-        const cachedData = await this.getLatestData(symbol, 100);
-        if (cachedData && cachedData.length > 0) {
-          return cachedData;
-        }
-        throw new Error('API rate limit reached and no cached data available');
-      }
-
-      const timeSeries = dailyResponse.data['Time Series (Daily)'];
-      if (!timeSeries) {
-        throw new Error('No time series data received from Alpha Vantage');
-      }
-
-      console.log(`Successfully fetched ${Object.keys(timeSeries).length} days of data`);
-      return this.parseAlphaVantageData(timeSeries, symbol);
+      return await this.fetchFromProviders('fetchDaily', symbol, { days: 100, includeQuote: true });
     } catch (error) {
       console.error('Error fetching market data:', error.message);
       
@@ -85,35 +55,7 @@ class MarketDataService {
   async fetchIntradayData(symbol = '^GSPC', interval = '5min') {
     try {
       console.log(`Fetching real intraday data for ${symbol} at ${interval} intervals...`);
-      
-      const response = await axios.get(this.baseUrl, {
-        params: {
-          function: 'TIME_SERIES_INTRADAY',
-          symbol: symbol,
-          interval: interval,
-          apikey: this.apiKey,
-          outputsize: 'full'
-        },
-        timeout: 10000
-      });
-
-      // Check for API errors
-      if (response.data['Error Message']) {
-        throw new Error(`Alpha Vantage API Error: ${response.data['Error Message']}`);
-      }
-      
-      if (response.data['Note']) {
-        console.warn('API call frequency limit reached for intraday data');
-        throw new Error('API rate limit reached');
-      }
-
-      const timeSeries = response.data[`Time Series (${interval})`];
-      if (!timeSeries) {
-        throw new Error('No intraday data received from Alpha Vantage');
-      }
-
-      console.log(`Successfully fetched ${Object.keys(timeSeries).length} intraday data points`);
-      return this.parseAlphaVantageData(timeSeries, symbol);
+      return await this.fetchFromProviders('fetchIntraday', symbol, interval);
     } catch (error) {
       console.error('Error fetching intraday data:', error.message);
       throw error;
@@ -126,62 +68,7 @@ class MarketDataService {
   async fetchQuote(symbol = '^GSPC') {
     try {
       console.log(`Fetching real-time quote for ${symbol}...`);
-      
-      // Try Yahoo Finance first
-      try {
-        const yahooFinance = require('yahoo-finance2').default;
-        const quote = await yahooFinance.quote(symbol);
-        
-        if (quote && quote.regularMarketPrice) {
-          console.log('Successfully fetched quote from Yahoo Finance');
-          return {
-            symbol: quote.symbol,
-            price: quote.regularMarketPrice,
-            change: quote.regularMarketChange,
-            changePercent: `${quote.regularMarketChangePercent?.toFixed(2)}%`,
-            volume: quote.regularMarketVolume,
-            latestTradingDay: new Date().toISOString().split('T')[0],
-            previousClose: quote.regularMarketPreviousClose,
-            open: quote.regularMarketOpen,
-            high: quote.regularMarketDayHigh,
-            low: quote.regularMarketDayLow
-          };
-        }
-      } catch (yahooError) {
-        console.log('Yahoo Finance quote failed, trying Alpha Vantage...', yahooError.message);
-      }
-      
-      // Fallback to Alpha Vantage
-      const response = await axios.get(this.baseUrl, {
-        params: {
-          function: 'GLOBAL_QUOTE',
-          symbol: symbol,
-          apikey: this.apiKey
-        },
-        timeout: 10000
-      });
-
-      if (response.data['Error Message']) {
-        throw new Error(`Alpha Vantage API Error: ${response.data['Error Message']}`);
-      }
-
-      const quote = response.data['Global Quote'];
-      if (!quote || !quote['05. price']) {
-        throw new Error('No quote data received');
-      }
-
-      return {
-        symbol: quote['01. symbol'],
-        price: parseFloat(quote['05. price']),
-        change: parseFloat(quote['09. change']),
-        changePercent: quote['10. change percent'],
-        volume: parseInt(quote['06. volume']),
-        latestTradingDay: quote['07. latest trading day'],
-        previousClose: parseFloat(quote['08. previous close']),
-        open: parseFloat(quote['02. open']),
-        high: parseFloat(quote['03. high']),
-        low: parseFloat(quote['04. low'])
-      };
+      return await this.fetchFromProviders('fetchQuote', symbol);
     } catch (error) {
       console.error('Error fetching quote:', error.message);
       throw error;
@@ -189,24 +76,24 @@ class MarketDataService {
   }
 
   /**
-   * Parse Alpha Vantage data format
+   * Result of the first provider, in MARKET_DATA_PROVIDERS order, that
+   * serves the request; throws with every provider's error when none does
    */
-  parseAlphaVantageData(timeSeries, symbol) {
-    const data = [];
+  async fetchFromProviders(method, symbol, ...args) {
+    const errors = [];
     
-    for (const [timestamp, values] of Object.entries(timeSeries)) {
-      data.push({
-        symbol: symbol,
-        timestamp: new Date(timestamp),
-        open: parseFloat(values['1. open']),
-        high: parseFloat(values['2. high']),
-        low: parseFloat(values['3. low']),
-        close: parseFloat(values['4. close'] || values['5. adjusted close']),
-        volume: parseInt(values['5. volume'] || values['6. volume'])
-      });
+    for (const provider of this.providers) {
+      try {
+        const result = await provider[method](symbol, ...args);
+        console.log(`Fetched ${symbol} from ${provider.name}`);
+        return result;
+      } catch (error) {
+        console.log(`${provider.name} ${method} failed for ${symbol}:`, error.message);
+        errors.push(`${provider.name}: ${error.message}`);
+      }
     }
-
-    return data.sort((a, b) => a.timestamp - b.timestamp);
+    
+    throw new Error(errors.join('; '));
   }
 
   /**
@@ -283,11 +170,35 @@ class MarketDataService {
   }
 
   /**
-   * Save market data to database (simplified with proper upsert)
+   * Validate daily bars and upsert the ones that pass
+   * Bars failing DataQuality checks go to market_data_quarantine with the
+   * reason instead. Returns the stored count, quarantine counts by reason
+   * and outlier returns, which are flagged but still stored.
    */
   async saveMarketData(data) {
     if (!data || data.length === 0) {
-      return { success: true, count: 0 };
+      return { success: true, count: 0, quarantined: { total: 0, reasons: {} }, outliers: [] };
+    }
+    
+    // Latest stored bar per symbol, to tell which of the bars are new
+    const latestResult = await pool.query(`
+      SELECT symbol, MAX(timestamp) AS timestamp
+      FROM market_data
+      WHERE symbol = ANY($1)
+      GROUP BY symbol
+    `, [[...new Set(data.map(item => item.symbol))]]);
+    const previousLatest = new Map(latestResult.rows.map(row => [row.symbol, new Date(row.timestamp)]));
+    
+    const accepted = [];
+    const quarantined = [];
+    const outliers = [];
+    for (const symbol of new Set(data.map(item => item.symbol))) {
+      const bars = data.filter(item => item.symbol === symbol);
+      const stored = await this.getQualityContext(symbol, bars);
+      const result = DataQuality.validateDailyBars(symbol, bars, stored);
+      accepted.push(...result.accepted);
+      quarantined.push(...result.quarantined);
+      outliers.push(...result.outliers);
     }
     
     const client = await pool.connect();
@@ -297,7 +208,7 @@ class MarketDataService {
       await client.query('BEGIN');
       
       // Use simple upsert for each record
-      for (const item of data) {
+      for (const item of accepted) {
         await client.query(`
           INSERT INTO market_data (symbol, timestamp, open, high, low, close, volume)
           VALUES ($1, $2, $3, $4, $5, $6, $7)
@@ -311,9 +222,36 @@ class MarketDataService {
         savedCount++;
       }
       
+      // A bar rejected on every fetch keeps one row per reason
+      for (const { bar, reason, details } of quarantined) {
+        const value = field => (Number.isFinite(bar[field]) ? bar[field] : null);
+        await client.query(`
+          INSERT INTO market_data_quarantine (
+            symbol, timestamp, open, high, low, close, volume, reason, details
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          ON CONFLICT (symbol, timestamp, reason) DO UPDATE
+          SET open = EXCLUDED.open,
+              high = EXCLUDED.high,
+              low = EXCLUDED.low,
+              close = EXCLUDED.close,
+              volume = EXCLUDED.volume,
+              details = EXCLUDED.details,
+              last_seen_at = CURRENT_TIMESTAMP
+        `, [
+          bar.symbol,
+          isNaN(bar.timestamp) ? null : bar.timestamp,
+          value('open'),
+          value('high'),
+          value('low'),
+          value('close'),
+          value('volume'),
+          reason,
+          details
+        ]);
+      }
+      
       await client.query('COMMIT');
       console.log(`Successfully saved ${savedCount} market data records`);
-      return { success: true, count: savedCount };
     } catch (error) {
       await client.query('ROLLBACK');
       console.error('Error saving market data:', error.message);
@@ -321,6 +259,169 @@ class MarketDataService {
     } finally {
       client.release();
     }
+    
+    const reasons = {};
+    for (const { reason } of quarantined) {
+      reasons[reason] = (reasons[reason] || 0) + 1;
+    }
+    if (quarantined.length > 0) {
+      console.warn(`Quarantined ${quarantined.length} market data records:`, reasons);
+    }
+    for (const outlier of outliers) {
+      console.warn(`Outlier return for ${outlier.symbol} on ${outlier.date}: ${(outlier.return * 100).toFixed(2)}% (robust z ${outlier.z_score.toFixed(1)})`);
+    }
+    
+    // The bars are saved either way; a failed broadcast only costs subscribers the update
+    try {
+      await this.streamService.publishBars(accepted, previousLatest);
+    } catch (error) {
+      console.error('Error publishing new bars:', error);
+    }
+    
+    return {
+      success: true,
+      count: savedCount,
+      quarantined: { total: quarantined.length, reasons },
+      outliers
+    };
+  }
+
+  /**
+   * Stored daily bars from QUALITY_CONTEXT_DAYS before the earliest bar on,
+   * oldest first
+   */
+  async getQualityContext(symbol, bars) {
+    const timestamps = bars.map(bar => new Date(bar.timestamp)).filter(timestamp => !isNaN(timestamp));
+    if (timestamps.length === 0) return [];
+    
+    const start = new Date(Math.min(...timestamps));
+    start.setDate(start.getDate() - QUALITY_CONTEXT_DAYS);
+    
+    const result = await pool.query(`
+      SELECT * FROM market_data
+      WHERE symbol = $1 AND timestamp >= $2
+      ORDER BY timestamp ASC
+    `, [symbol, start]);
+    return result.rows;
+  }
+
+  /**
+   * Save intraday bars to database
+   */
+  async saveIntradayData(data, interval = '5min') {
+    if (!data || data.length === 0) {
+      return { success: true, count: 0 };
+    }
+    
+    const client = await pool.connect();
+    let savedCount = 0;
+    
+    try {
+      await client.query('BEGIN');
+      
+      for (const item of data) {
+        await client.query(`
+          INSERT INTO intraday_data (symbol, timestamp, interval, open, high, low, close, volume)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (symbol, timestamp, interval) DO UPDATE
+          SET open = EXCLUDED.open,
+              high = EXCLUDED.high,
+              low = EXCLUDED.low,
+              close = EXCLUDED.close,
+              volume = EXCLUDED.volume
+        `, [item.symbol, item.timestamp, interval, item.open, item.high, item.low, item.close, item.volume]);
+        savedCount++;
+      }
+      
+      await client.query('COMMIT');
+      console.log(`Successfully saved ${savedCount} intraday records`);
+      return { success: true, count: savedCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error saving intraday data:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Fetch and store the latest intraday bars
+   * Failures are logged rather than thrown: realized variance falls back to
+   * range-based estimators on days without intraday data.
+   */
+  async refreshIntradayData(symbol = '^GSPC', interval = '5min') {
+    try {
+      const intradayData = await this.fetchIntradayData(symbol, interval);
+      return await this.saveIntradayData(intradayData, interval);
+    } catch (error) {
+      console.error(`Intraday refresh failed for ${symbol}:`, error.message);
+      return { success: false, count: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch and store daily closes for every VIX term structure index
+   * Like the intraday refresh this never throws: VIX-based indicators are
+   * left empty when no VIX history is stored, and one failing index does not
+   * stop the others.
+   */
+  async refreshVIXData(days = 100) {
+    let count = 0;
+    const quarantined = { total: 0, reasons: {} };
+    const errors = [];
+    
+    for (const symbol of Object.values(VIX_TERM_STRUCTURE_SYMBOLS)) {
+      try {
+        const vixData = await this.fetchFromProviders('fetchDaily', symbol, { days });
+        const saved = await this.saveMarketData(vixData);
+        count += saved.count;
+        quarantined.total += saved.quarantined.total;
+        for (const [reason, n] of Object.entries(saved.quarantined.reasons)) {
+          quarantined.reasons[reason] = (quarantined.reasons[reason] || 0) + n;
+        }
+      } catch (error) {
+        console.error(`VIX refresh failed for ${symbol}:`, error.message);
+        errors.push(`${symbol}: ${error.message}`);
+      }
+    }
+    
+    return errors.length === 0
+      ? { success: true, count, quarantined }
+      : { success: false, count, quarantined, error: errors.join('; ') };
+  }
+
+  /**
+   * Quarantined bars, most recently seen first
+   */
+  async getQuarantinedData(symbol, { reason, limit = 100 } = {}) {
+    const params = [symbol, limit];
+    if (reason) params.push(reason);
+    
+    const result = await pool.query(`
+      SELECT * FROM market_data_quarantine
+      WHERE symbol = $1 ${reason ? 'AND reason = $3' : ''}
+      ORDER BY last_seen_at DESC, id DESC
+      LIMIT $2
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Get intraday bars from database
+   */
+  async getIntradayData(symbol, startDate, endDate, interval = '5min') {
+    const query = `
+      SELECT * FROM intraday_data
+      WHERE symbol = $1
+        AND interval = $2
+        AND timestamp >= $3
+        AND timestamp <= $4
+      ORDER BY timestamp ASC
+    `;
+    
+    const result = await pool.query(query, [symbol, interval, startDate, endDate]);
+    return result.rows;
   }
 
   /**
@@ -353,6 +454,34 @@ class MarketDataService {
     const result = await pool.query(query, [symbol, limit]);
     return result.rows.reverse();
   }
+
+  /**
+   * Get the latest stored daily VIX bars
+   */
+  async getLatestVIXData(limit = 252) {
+    return this.getLatestData(VIX_SYMBOL, limit);
+  }
+
+  /**
+   * Daily VIX term structure levels from stored closes, oldest first
+   * Each day has a field per index; indices without a close that day are null.
+   */
+  async getVIXTermStructureData(limit = 252) {
+    const days = new Map();
+    
+    for (const [field, symbol] of Object.entries(VIX_TERM_STRUCTURE_SYMBOLS)) {
+      const bars = await this.getLatestData(symbol, limit);
+      for (const bar of bars) {
+        const date = VolatilityModels.tradingDateKey(bar.timestamp);
+        if (!days.has(date)) {
+          days.set(date, { date, vix9d: null, vix: null, vix3m: null, vix6m: null });
+        }
+        days.get(date)[field] = parseFloat(bar.close);
+      }
+    }
+    
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
 }
 
 module.exports = MarketDataService;
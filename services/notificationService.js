@@ -0,0 +1,40 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Give up on a webhook that has not answered within this time
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+class NotificationService {
+  constructor() {
+    // Defaults suit a local relay; SMTP_USER/SMTP_PASS enable authentication
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '25'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    this.emailFrom = process.env.ALERT_EMAIL_FROM || 'sp500-tracker@localhost';
+  }
+
+  /**
+   * Send one notification; throws when the channel rejects it
+   */
+  async send(channel, target, { subject, message, payload }) {
+    if (channel === 'webhook') {
+      await axios.post(target, { subject, message, ...payload }, { timeout: WEBHOOK_TIMEOUT_MS });
+    } else if (channel === 'email') {
+      await this.transporter.sendMail({
+        from: this.emailFrom,
+        to: target,
+        subject,
+        text: `${message}\n\n${JSON.stringify(payload, null, 2)}`
+      });
+    } else {
+      throw new Error(`Unknown notification channel '${channel}'`);
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,143 @@
+const VolatilityModels = require('../models/volatilityModels');
+const OptionPricing = require('../models/optionPricing');
+const MarketDataService = require('./marketDataService');
+const VolatilityAnalysisService = require('./volatilityAnalysisService');
+
+// Volatility inputs the pricer can take from the tracker's own models
+const VOLATILITY_SOURCES = ['har', 'garch', 'parkinson', 'garman_klass'];
+
+class OptionPricingService {
+  constructor() {
+    this.marketDataService = new MarketDataService();
+    this.volatilityAnalysisService = new VolatilityAnalysisService();
+  }
+
+  /**
+   * Price a call, put and straddle with the volatility from one of the models
+   * HAR and GARCH forecast the variance over the trading days to expiry;
+   * the range estimators use the last year of bars. options.volatility
+   * overrides the model with an annualized value. options.marketPrice, a
+   * quoted straddle price, is compared with the model-fair price.
+   */
+  async priceOptions(symbol, options = {}) {
+    const {
+      strike,
+      days = 30,
+      volatilitySource = 'har',
+      volatility: volatilityOverride,
+      rate = 0,
+      dividendYield = 0,
+      marketPrice
+    } = options;
+
+    // Bad inputs are reported together, with status 400, before any data is read
+    const errors = [];
+    if (volatilityOverride === undefined && !VOLATILITY_SOURCES.includes(volatilitySource)) {
+      errors.push(`Unknown volatility source '${volatilitySource}'. Expected one of: ${VOLATILITY_SOURCES.join(', ')}`);
+    }
+    if (!(days > 0)) {
+      errors.push(`Days to expiry must be positive, got ${days}`);
+    }
+    if (volatilityOverride !== undefined && !(volatilityOverride > 0)) {
+      errors.push(`Volatility must be positive, got ${volatilityOverride}`);
+    }
+    if (strike !== undefined && !(strike > 0)) {
+      errors.push(`Strike must be positive, got ${strike}`);
+    }
+    if (!Number.isFinite(rate) || !Number.isFinite(dividendYield)) {
+      errors.push(`Rate and dividend yield must be numbers, got ${rate} and ${dividendYield}`);
+    }
+    if (marketPrice !== undefined && !(marketPrice > 0)) {
+      errors.push(`Market price must be positive, got ${marketPrice}`);
+    }
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { status: 400 });
+    }
+
+    const marketData = await this.marketDataService.getLatestData(symbol, 253);
+    if (marketData.length < 30) {
+      throw new Error('Insufficient data for option pricing');
+    }
+
+    const spot = parseFloat(marketData[marketData.length - 1].close);
+    const optionStrike = strike === undefined ? spot : strike;
+
+    const timeToExpiry = days / 365;
+    const tradingDays = Math.max(1, Math.round(days * 252 / 365));
+    const volatility = volatilityOverride !== undefined
+      ? volatilityOverride
+      : await this.modelVolatility(volatilitySource, symbol, marketData, tradingDays, timeToExpiry);
+
+    const params = { spot, strike: optionStrike, timeToExpiry, volatility, rate, dividendYield };
+    const { call, put, straddle } = OptionPricing.price(params);
+
+    let market = null;
+    if (marketPrice !== undefined) {
+      market = {
+        straddle_price: marketPrice,
+        implied_volatility: OptionPricing.impliedVolatility(marketPrice, params, 'straddle'),
+        edge: straddle.price - marketPrice
+      };
+    }
+
+    return {
+      symbol,
+      date: VolatilityModels.tradingDateKey(marketData[marketData.length - 1].timestamp),
+      spot,
+      strike: optionStrike,
+      days_to_expiry: days,
+      trading_days: tradingDays,
+      time_to_expiry: timeToExpiry,
+      rate,
+      dividend_yield: dividendYield,
+      volatility_source: volatilityOverride !== undefined ? 'custom' : volatilitySource,
+      volatility,
+      call,
+      put,
+      straddle,
+      expected_move: OptionPricing.expectedMove(spot, volatility, timeToExpiry),
+      market
+    };
+  }
+
+  /**
+   * Annualized volatility whose variance over timeToExpiry matches the
+   * model's forecast variance over the trading days to expiry
+   */
+  async modelVolatility(source, symbol, marketData, tradingDays, timeToExpiry) {
+    const closes = marketData.map(d => parseFloat(d.close));
+    let totalVariance;
+
+    if (source === 'har') {
+      const realizedVariance = await this.volatilityAnalysisService.buildRealizedVarianceSeries(symbol, marketData);
+      const rvSeries = realizedVariance.map(d => d.realizedVariance);
+      const path = VolatilityModels.forecastHARPath(VolatilityModels.fitHARModel(rvSeries), rvSeries, tradingDays);
+      if (!path) {
+        throw new Error('Unable to fit HAR model for option pricing');
+      }
+      totalVariance = path.reduce((sum, v) => sum + Math.max(v, 0), 0);
+    } else if (source === 'garch') {
+      const returns = VolatilityModels.calculateReturns(closes, 'log');
+      const fits = ['normal', 't'].map(distribution => VolatilityModels.fitGARCH(returns, distribution)).filter(Boolean);
+      if (fits.length === 0) {
+        throw new Error('Unable to fit GARCH model for option pricing');
+      }
+      const model = fits.reduce((best, fit) => (fit.aic < best.aic ? fit : best));
+      totalVariance = VolatilityModels.forecastGARCH(model, [tradingDays])[0].cumulativeVariance;
+    } else {
+      const annualized = source === 'parkinson'
+        ? VolatilityModels.calculateParkinsonVolatility(
+          marketData.map(d => parseFloat(d.high)), marketData.map(d => parseFloat(d.low))
+        )
+        : VolatilityModels.calculateGarmanKlassVolatility(
+          marketData.map(d => parseFloat(d.open)), marketData.map(d => parseFloat(d.high)),
+          marketData.map(d => parseFloat(d.low)), closes
+        );
+      totalVariance = annualized * annualized * tradingDays / 252;
+    }
+
+    return Math.sqrt(totalVariance / timeToExpiry);
+  }
+}
+
+module.exports = OptionPricingService;
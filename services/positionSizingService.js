@@ -0,0 +1,170 @@
+const VolatilityModels = require('../models/volatilityModels');
+const BacktestMetrics = require('../models/backtestMetrics');
+const MarketDataService = require('./marketDataService');
+const RiskService = require('./riskService');
+
+class PositionSizingService {
+  constructor() {
+    this.marketDataService = new MarketDataService();
+    this.riskService = new RiskService();
+  }
+
+  /**
+   * Volatility-targeting exposure: leverage = target vol / forecast vol,
+   * capped at maxLeverage
+   * The recommendation uses the next-day forecast of the chosen model. The
+   * history replays the same rule walk-forward, each day sized with the
+   * forecast made the day before from the trailing `window` returns only.
+   */
+  async calculatePositionSize(symbol, options = {}) {
+    const {
+      targetVolatility = 0.1,
+      equity = 100000,
+      maxLeverage = 1.5,
+      volatilityModel = 'har',
+      window = 250,
+      lookback = 1000,
+      refitEvery = 20,
+      history = true
+    } = options;
+
+    this.riskService.checkVolatilityModel(volatilityModel);
+    const errors = this.riskService.walkForwardErrors({ window, lookback, refitEvery });
+    if (!(targetVolatility > 0)) {
+      errors.push(`target volatility must be positive, got ${targetVolatility}`);
+    }
+    if (!(equity > 0)) {
+      errors.push(`equity must be positive, got ${equity}`);
+    }
+    if (!(maxLeverage > 0)) {
+      errors.push(`maximum leverage must be positive, got ${maxLeverage}`);
+    }
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { status: 400 });
+    }
+
+    const marketData = await this.marketDataService.getLatestData(symbol, lookback + 1);
+    if (marketData.length < 100) {
+      throw new Error('Insufficient data for position sizing');
+    }
+
+    const returns = VolatilityModels.calculateReturns(marketData.map(d => d.close), 'log');
+    const price = parseFloat(marketData[marketData.length - 1].close);
+
+    const volatility = volatilityModel === 'har'
+      ? await this.riskService.harVolatility(symbol, marketData, [1])
+      : this.riskService.garchVolatility(volatilityModel, returns, [1]);
+    const forecastVolatility = Math.sqrt(Math.max(volatility.forecastVariance[1], 0) * 252);
+    const leverage = this.targetLeverage(targetVolatility, forecastVolatility, maxLeverage);
+
+    const sizing = {
+      symbol,
+      date: VolatilityModels.tradingDateKey(marketData[marketData.length - 1].timestamp),
+      volatility_model: volatilityModel,
+      target_volatility: targetVolatility,
+      equity,
+      max_leverage: maxLeverage,
+      price,
+      forecast_volatility: forecastVolatility,
+      leverage,
+      exposure: leverage * equity,
+      shares: Math.floor(leverage * equity / price)
+    };
+
+    if (history) {
+      Object.assign(sizing, await this.sizingHistory(symbol, marketData, returns, {
+        targetVolatility, equity, maxLeverage, volatilityModel, window, refitEvery
+      }));
+    }
+
+    return sizing;
+  }
+
+  /**
+   * Walk-forward vol-targeted allocation against buy-and-hold, both starting
+   * from `equity`. Uses the VaR backtest forecasters so each day's size only
+   * depends on earlier data.
+   */
+  async sizingHistory(symbol, marketData, returns, { targetVolatility, equity, maxLeverage, volatilityModel, window, refitEvery }) {
+    if (returns.length <= window + 20) {
+      throw new Error(`Insufficient data for sizing history: need more than ${window + 21} days, have ${marketData.length}`);
+    }
+
+    const dates = marketData.slice(1).map(d => VolatilityModels.tradingDateKey(d.timestamp));
+    const forecaster = volatilityModel === 'har'
+      ? await this.riskService.harBacktestForecaster(symbol, marketData, dates, window)
+      : this.riskService.garchBacktestForecaster(volatilityModel, returns, window);
+
+    const timeline = [];
+    const strategyReturns = [];
+    const benchmarkReturns = [];
+    let strategyEquity = equity;
+    let benchmarkEquity = equity;
+    let model = null;
+
+    for (let t = window; t < returns.length; t++) {
+      if ((t - window) % refitEvery === 0) model = forecaster.fit(t);
+
+      const forecast = forecaster.predict(model, t);
+      if (!forecast || !(forecast.forecastVariance > 0)) continue;
+
+      const forecastVolatility = Math.sqrt(forecast.forecastVariance * 252);
+      const leverage = this.targetLeverage(targetVolatility, forecastVolatility, maxLeverage);
+      const simpleReturn = Math.exp(returns[t]) - 1;
+      const exposure = leverage * strategyEquity;
+
+      strategyReturns.push(leverage * simpleReturn);
+      benchmarkReturns.push(simpleReturn);
+      strategyEquity *= 1 + leverage * simpleReturn;
+      benchmarkEquity *= 1 + simpleReturn;
+
+      timeline.push({
+        date: dates[t],
+        forecast_volatility: forecastVolatility,
+        leverage,
+        exposure,
+        return: simpleReturn,
+        equity: strategyEquity,
+        buy_and_hold_equity: benchmarkEquity
+      });
+    }
+
+    return {
+      history: timeline,
+      performance: {
+        observations: timeline.length,
+        start_date: timeline.length > 0 ? timeline[0].date : null,
+        end_date: timeline.length > 0 ? timeline[timeline.length - 1].date : null,
+        average_leverage: timeline.length > 0
+          ? timeline.reduce((sum, d) => sum + d.leverage, 0) / timeline.length
+          : null,
+        vol_target: this.performanceStats(strategyReturns, timeline.map(d => d.equity)),
+        buy_and_hold: this.performanceStats(benchmarkReturns, timeline.map(d => d.buy_and_hold_equity))
+      }
+    };
+  }
+
+  targetLeverage(targetVolatility, forecastVolatility, maxLeverage) {
+    if (!(forecastVolatility > 0)) return maxLeverage;
+    return Math.min(targetVolatility / forecastVolatility, maxLeverage);
+  }
+
+  /**
+   * Annualized return and volatility and maximum drawdown of a daily return series
+   */
+  performanceStats(dailyReturns, equityCurve) {
+    if (dailyReturns.length < 2) {
+      return { annualized_return: null, annualized_volatility: null, max_drawdown: null };
+    }
+
+    const growth = dailyReturns.reduce((total, r) => total * (1 + r), 1);
+
+    return {
+      annualized_return: Math.pow(growth, 252 / dailyReturns.length) - 1,
+      annualized_volatility: VolatilityModels.calculateRealizedVolatility(dailyReturns),
+      max_drawdown: BacktestMetrics.maxDrawdown(equityCurve)
+    };
+  }
+}
+
+module.exports = PositionSizingService;
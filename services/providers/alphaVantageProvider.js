@@ -0,0 +1,104 @@
+const axios = require('axios');
+const MarketDataProvider = require('./marketDataProvider');
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// A compact response holds the last 100 trading days
+const COMPACT_DAYS = 100;
+
+class AlphaVantageProvider extends MarketDataProvider {
+  constructor() {
+    super('alphavantage');
+    this.apiKey = process.env.ALPHA_VANTAGE_API_KEY || 'demo';
+  }
+
+  async fetchDaily(symbol, { days = 100 } = {}) {
+    const data = await this.request({
+      function: 'TIME_SERIES_DAILY',
+      symbol,
+      outputsize: days > COMPACT_DAYS ? 'full' : 'compact'
+    });
+
+    const timeSeries = data['Time Series (Daily)'];
+    if (!timeSeries) {
+      throw new Error('No time series data received from Alpha Vantage');
+    }
+    return this.parseTimeSeries(timeSeries, symbol);
+  }
+
+  async fetchIntraday(symbol, interval = '5min') {
+    const data = await this.request({
+      function: 'TIME_SERIES_INTRADAY',
+      symbol,
+      interval,
+      outputsize: 'full'
+    });
+
+    const timeSeries = data[`Time Series (${interval})`];
+    if (!timeSeries) {
+      throw new Error('No intraday data received from Alpha Vantage');
+    }
+    return this.parseTimeSeries(timeSeries, symbol);
+  }
+
+  async fetchQuote(symbol) {
+    const data = await this.request({ function: 'GLOBAL_QUOTE', symbol });
+
+    const quote = data['Global Quote'];
+    if (!quote || !quote['05. price']) {
+      throw new Error('No quote data received');
+    }
+
+    return {
+      symbol: quote['01. symbol'],
+      price: parseFloat(quote['05. price']),
+      change: parseFloat(quote['09. change']),
+      changePercent: quote['10. change percent'],
+      volume: parseInt(quote['06. volume']),
+      latestTradingDay: quote['07. latest trading day'],
+      previousClose: parseFloat(quote['08. previous close']),
+      open: parseFloat(quote['02. open']),
+      high: parseFloat(quote['03. high']),
+      low: parseFloat(quote['04. low'])
+    };
+  }
+
+  /**
+   * Call the API; error and rate-limit responses come back as 200s
+   */
+  async request(params) {
+    const response = await axios.get(BASE_URL, {
+      params: { ...params, apikey: this.apiKey },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    if (response.data['Error Message']) {
+      throw new Error(`Alpha Vantage API Error: ${response.data['Error Message']}`);
+    }
+    if (response.data['Note']) {
+      throw new Error('Alpha Vantage API call frequency limit reached');
+    }
+    return response.data;
+  }
+
+  parseTimeSeries(timeSeries, symbol) {
+    const data = [];
+    
+    for (const [timestamp, values] of Object.entries(timeSeries)) {
+      data.push({
+        symbol: symbol,
+        timestamp: new Date(timestamp),
+        open: parseFloat(values['1. open']),
+        high: parseFloat(values['2. high']),
+        low: parseFloat(values['3. low']),
+        close: parseFloat(values['4. close'] || values['5. adjusted close']),
+        volume: parseInt(values['5. volume'] || values['6. volume'])
+      });
+    }
+
+    return data.sort((a, b) => a.timestamp - b.timestamp);
+  }
+}
+
+module.exports = AlphaVantageProvider;
@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+const MarketDataProvider = require('./marketDataProvider');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data', 'market');
+const FILE_EXTENSIONS = ['.csv', '.json'];
+
+/**
+ * Bars read from files in a local directory, for running without network
+ * access. Daily bars for SPY are in SPY.csv or SPY.json, intraday bars in
+ * SPY_5min.csv; characters other than letters, digits, '.', '_' and '-' are
+ * dropped from the symbol, so ^VIX reads VIX.csv. CSV files need a header
+ * row with date (or timestamp), open, high, low, close and volume columns, in
+ * any order and case; JSON files hold an array of objects with those fields.
+ */
+class CsvProvider extends MarketDataProvider {
+  constructor(dataDir = process.env.MARKET_DATA_DIR || DEFAULT_DATA_DIR) {
+    super('csv');
+    this.dataDir = dataDir;
+  }
+
+  /**
+   * The file's bars for `days` calendar days up to its latest bar
+   * Counting back from the file rather than from today keeps old
+   * snapshots usable.
+   */
+  async fetchDaily(symbol, { days = 100 } = {}) {
+    const bars = await this.readBars(symbol, this.fileStem(symbol));
+    const start = new Date(bars[bars.length - 1].timestamp);
+    start.setDate(start.getDate() - days);
+    return bars.filter(bar => bar.timestamp > start);
+  }
+
+  async fetchIntraday(symbol, interval = '5min') {
+    return this.readBars(symbol, `${this.fileStem(symbol)}_${interval}`);
+  }
+
+  /**
+   * Quote from the last two daily bars
+   */
+  async fetchQuote(symbol) {
+    const bars = await this.readBars(symbol, this.fileStem(symbol));
+    const latest = bars[bars.length - 1];
+    const previousClose = bars.length > 1 ? bars[bars.length - 2].close : latest.open;
+    const change = latest.close - previousClose;
+
+    return {
+      symbol,
+      price: latest.close,
+      change,
+      changePercent: `${(change / previousClose * 100).toFixed(2)}%`,
+      volume: latest.volume,
+      latestTradingDay: latest.timestamp.toISOString().split('T')[0],
+      previousClose,
+      open: latest.open,
+      high: latest.high,
+      low: latest.low
+    };
+  }
+
+  fileStem(symbol) {
+    return symbol.replace(/[^A-Za-z0-9._-]/g, '');
+  }
+
+  /**
+   * Bars from <stem>.csv or <stem>.json, oldest first
+   * Rows without a valid date or close are skipped.
+   */
+  async readBars(symbol, stem) {
+    for (const extension of FILE_EXTENSIONS) {
+      const file = path.join(this.dataDir, `${stem}${extension}`);
+      let text;
+      try {
+        text = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const rows = extension === '.json' ? JSON.parse(text) : this.parseCsv(text);
+      const bars = rows
+        .map(row => this.toBar(symbol, row))
+        .filter(bar => !isNaN(bar.timestamp) && Number.isFinite(bar.close))
+        .sort((a, b) => a.timestamp - b.timestamp);
+      if (bars.length === 0) {
+        throw new Error(`No bars in ${file}`);
+      }
+      return bars;
+    }
+
+    throw new Error(`No ${stem}.csv or ${stem}.json in ${this.dataDir}`);
+  }
+
+  /**
+   * Rows of a CSV file keyed by lowercased header
+   */
+  parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const split = line => line.split(',').map(value => value.trim().replace(/^"(.*)"$/, '$1'));
+    const headers = split(lines[0] || '').map(header => header.toLowerCase());
+
+    return lines.slice(1).map(line => {
+      const values = split(line);
+      return Object.fromEntries(headers.map((header, i) => [header, values[i]]));
+    });
+  }
+
+  toBar(symbol, row) {
+    const fields = Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value]));
+    const close = parseFloat(fields.close !== undefined ? fields.close : fields['adj close']);
+
+    return {
+      symbol,
+      timestamp: new Date(fields.timestamp || fields.date || fields.datetime),
+      open: parseFloat(fields.open),
+      high: parseFloat(fields.high),
+      low: parseFloat(fields.low),
+      close,
+      volume: parseInt(fields.volume)
+    };
+  }
+}
+
+module.exports = CsvProvider;
@@ -0,0 +1,32 @@
+const YahooProvider = require('./yahooProvider');
+const AlphaVantageProvider = require('./alphaVantageProvider');
+const CsvProvider = require('./csvProvider');
+
+const PROVIDERS = {
+  yahoo: YahooProvider,
+  alphavantage: AlphaVantageProvider,
+  csv: CsvProvider
+};
+
+// Yahoo first: the Alpha Vantage demo key does not cover SPY
+const DEFAULT_PROVIDER_ORDER = 'yahoo,alphavantage';
+
+/**
+ * Providers in the order given, as a comma-separated list of names
+ */
+function createProviders(order = process.env.MARKET_DATA_PROVIDERS || DEFAULT_PROVIDER_ORDER) {
+  const names = order.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (names.length === 0) {
+    throw new Error('No market data providers configured');
+  }
+
+  return names.map(name => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown market data provider '${name}'. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider();
+  });
+}
+
+module.exports = { createProviders };
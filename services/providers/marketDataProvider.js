@@ -0,0 +1,36 @@
+/**
+ * Base class for market data sources
+ * Bars are { symbol, timestamp, open, high, low, close, volume }, oldest
+ * first. A provider that cannot serve a request throws, and MarketDataService
+ * moves on to the next provider in MARKET_DATA_PROVIDERS.
+ */
+class MarketDataProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Daily bars for about the last `days` calendar days
+   * With includeQuote, a provider that has a live quote appends the current
+   * session as the latest bar.
+   */
+  async fetchDaily(symbol, { days = 100, includeQuote = false } = {}) {
+    throw new Error(`${this.name} does not provide daily bars`);
+  }
+
+  /**
+   * Recent intraday bars at an Alpha Vantage style interval ('5min')
+   */
+  async fetchIntraday(symbol, interval = '5min') {
+    throw new Error(`${this.name} does not provide intraday bars`);
+  }
+
+  /**
+   * Latest price with the day's change, open, high and low
+   */
+  async fetchQuote(symbol) {
+    throw new Error(`${this.name} does not provide quotes`);
+  }
+}
+
+module.exports = MarketDataProvider;
@@ -0,0 +1,81 @@
+const yahooFinance = require('yahoo-finance2').default;
+const MarketDataProvider = require('./marketDataProvider');
+const YahooFinanceService = require('../yahooFinanceService');
+
+// Yahoo chart intervals by the interval names used for intraday_data
+const CHART_INTERVALS = {
+  '1min': '1m',
+  '5min': '5m',
+  '15min': '15m',
+  '30min': '30m',
+  '60min': '60m'
+};
+
+// Yahoo keeps 5-minute bars for about 60 days; the refresh only needs the last few sessions
+const INTRADAY_LOOKBACK_DAYS = 7;
+
+class YahooProvider extends MarketDataProvider {
+  constructor() {
+    super('yahoo');
+    this.yahooService = new YahooFinanceService();
+  }
+
+  async fetchDaily(symbol, { days = 100, includeQuote = false } = {}) {
+    const bars = includeQuote
+      ? await this.yahooService.fetchRealSP500Data(symbol)
+      : await this.yahooService.fetchDailyHistory(symbol, days);
+    if (bars.length === 0) {
+      throw new Error(`No daily data for ${symbol}`);
+    }
+    return bars;
+  }
+
+  async fetchIntraday(symbol, interval = '5min') {
+    const chartInterval = CHART_INTERVALS[interval];
+    if (!chartInterval) {
+      throw new Error(`Unknown interval '${interval}'. Expected one of: ${Object.keys(CHART_INTERVALS).join(', ')}`);
+    }
+
+    const period1 = new Date();
+    period1.setDate(period1.getDate() - INTRADAY_LOOKBACK_DAYS);
+    const chart = await yahooFinance.chart(symbol, { period1, interval: chartInterval });
+
+    const bars = chart.quotes
+      .filter(bar => bar.close !== null && bar.open !== null)
+      .map(bar => ({
+        symbol,
+        timestamp: bar.date,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume || 0
+      }));
+    if (bars.length === 0) {
+      throw new Error(`No intraday data for ${symbol}`);
+    }
+    return bars;
+  }
+
+  async fetchQuote(symbol) {
+    const quote = await yahooFinance.quote(symbol);
+    if (!quote || !quote.regularMarketPrice) {
+      throw new Error(`No quote for ${symbol}`);
+    }
+
+    return {
+      symbol: quote.symbol,
+      price: quote.regularMarketPrice,
+      change: quote.regularMarketChange,
+      changePercent: `${quote.regularMarketChangePercent?.toFixed(2)}%`,
+      volume: quote.regularMarketVolume,
+      latestTradingDay: new Date().toISOString().split('T')[0],
+      previousClose: quote.regularMarketPreviousClose,
+      open: quote.regularMarketOpen,
+      high: quote.regularMarketDayHigh,
+      low: quote.regularMarketDayLow
+    };
+  }
+}
+
+module.exports = YahooProvider;
@@ -0,0 +1,173 @@
+const { pool } = require('../db/database');
+const VolatilityModels = require('../models/volatilityModels');
+const RegimeModels = require('../models/regimeModels');
+const MarketDataService = require('./marketDataService');
+const VolatilityAnalysisService = require('./volatilityAnalysisService');
+
+class RegimeHistoryService {
+  constructor() {
+    this.marketDataService = new MarketDataService();
+  }
+
+  /**
+   * Rebuild daily regime labels from stored market data
+   * 'quantile' labels are point-in-time. 'hmm' labels are the Viterbi path of
+   * a single fit over the whole lookback, so they are revised on every rebuild.
+   * With appendOnly, days that already have a label keep it: the early days
+   * of a short lookback have less history behind them than the stored labels.
+   */
+  async rebuildRegimeHistory(symbol, { method = 'quantile', lookback = 1000, hmmStates, appendOnly = false } = {}) {
+    VolatilityAnalysisService.checkRegimeMethod(method, hmmStates);
+
+    const marketData = await this.marketDataService.getLatestData(symbol, lookback);
+    const days = this.dailyCloses(marketData);
+    if (days.length < 100) {
+      throw new Error('Insufficient data to build regime history');
+    }
+
+    const returns = days.slice(1).map((d, i) => Math.log(d.close / days[i].close));
+    const labels = method === 'hmm'
+      ? this.hmmLabels(returns, hmmStates)
+      : RegimeModels.classifyQuantileRegimes(returns);
+
+    const rows = [];
+    labels.forEach((label, i) => {
+      if (label.regime === null) return;
+      rows.push({ ...days[i + 1], ...label });
+    });
+
+    const saved = await this.saveRegimeHistory(symbol, method, rows, { appendOnly });
+    console.log(`Saved ${saved} of ${rows.length} days of ${method} regime history for ${symbol}`);
+
+    return {
+      symbol,
+      method,
+      days: rows.length,
+      saved,
+      start_date: rows.length > 0 ? rows[0].date : null,
+      end_date: rows.length > 0 ? rows[rows.length - 1].date : null
+    };
+  }
+
+  /**
+   * Regime timeline with run lengths, transition matrix and forward returns
+   * Statistics use the full stored history; the timeline covers the last
+   * `days` labels. An empty history is rebuilt on first request.
+   */
+  async getRegimeHistory(symbol, { method = 'quantile', days = 252, horizons = [1, 5, 21] } = {}) {
+    VolatilityAnalysisService.checkRegimeMethod(method);
+    let history = await this.loadRegimeHistory(symbol, method);
+    if (history.length === 0) {
+      await this.rebuildRegimeHistory(symbol, { method });
+      history = await this.loadRegimeHistory(symbol, method);
+    }
+
+    const labels = history.map(d => d.regime);
+    const dates = history.map(d => d.date);
+    const runs = RegimeModels.regimeRuns(labels, dates);
+    const currentRun = runs[runs.length - 1];
+
+    return {
+      symbol,
+      method,
+      current: currentRun ? {
+        regime: currentRun.regime,
+        since: currentRun.start,
+        length: currentRun.length
+      } : null,
+      timeline: history.slice(-days).map(d => ({
+        date: d.date,
+        regime: d.regime,
+        volatility: d.volatility,
+        probability: d.probability
+      })),
+      runs: runs.filter(r => r.end >= dates[Math.max(0, dates.length - days)]),
+      run_lengths: RegimeModels.runLengthStats(runs),
+      transition_matrix: RegimeModels.empiricalTransitionMatrix(labels),
+      forward_returns: RegimeModels.forwardReturnStats(labels, history.map(d => d.close), horizons)
+    };
+  }
+
+  /**
+   * Label each return with its HMM Viterbi state and that state's volatility
+   */
+  hmmLabels(returns, hmmStates) {
+    const hmm = hmmStates
+      ? RegimeModels.fitGaussianHMM(returns, hmmStates)
+      : RegimeModels.selectGaussianHMM(returns);
+    if (!hmm) {
+      throw new Error('Insufficient data to fit HMM regimes');
+    }
+
+    return hmm.viterbiPath.map((state, t) => ({
+      regime: hmm.states[state].label,
+      volatility: hmm.states[state].volatility,
+      probability: hmm.smoothedProbabilities[t][state]
+    }));
+  }
+
+  /**
+   * One close per trading date, oldest first
+   */
+  dailyCloses(marketData) {
+    const days = [];
+    for (const bar of marketData) {
+      const date = VolatilityModels.tradingDateKey(bar.timestamp);
+      const close = parseFloat(bar.close);
+      if (days.length > 0 && days[days.length - 1].date === date) {
+        days[days.length - 1].close = close;
+      } else {
+        days.push({ date, close });
+      }
+    }
+    return days;
+  }
+
+  /**
+   * Save daily regime labels, replacing stored ones unless appendOnly
+   * Returns the number of rows written.
+   */
+  async saveRegimeHistory(symbol, method, rows, { appendOnly = false } = {}) {
+    const onConflict = appendOnly ? 'DO NOTHING' : `DO UPDATE SET
+        regime = $4,
+        volatility = $5,
+        probability = $6,
+        close = $7,
+        updated_at = CURRENT_TIMESTAMP`;
+    const query = `
+      INSERT INTO regime_history (
+        symbol, date, method, regime, volatility, probability, close
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (symbol, date, method) ${onConflict}
+    `;
+
+    let saved = 0;
+    for (const row of rows) {
+      const result = await pool.query(query, [
+        symbol,
+        row.date,
+        method,
+        row.regime,
+        row.volatility,
+        row.probability === undefined ? null : row.probability,
+        row.close
+      ]);
+      saved += result.rowCount;
+    }
+    return saved;
+  }
+
+  async loadRegimeHistory(symbol, method) {
+    const query = `
+      SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, regime, volatility, probability, close
+      FROM regime_history
+      WHERE symbol = $1 AND method = $2
+      ORDER BY date ASC
+    `;
+
+    const result = await pool.query(query, [symbol, method]);
+    return result.rows;
+  }
+}
+
+module.exports = RegimeHistoryService;
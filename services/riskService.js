@@ -0,0 +1,463 @@
+const { pool } = require('../db/database');
+const VolatilityModels = require('../models/volatilityModels');
+const RiskModels = require('../models/riskModels');
+const MarketDataService = require('./marketDataService');
+const VolatilityAnalysisService = require('./volatilityAnalysisService');
+
+// Bounds on the VaR options: a return window long enough for the tails and
+// horizons up to a month
+const MIN_WINDOW = 100;
+const MAX_WINDOW = 2000;
+const MAX_HORIZON = 22;
+
+// Bounds on the VaR backtest, which re-fits the model every refitEvery days
+const MAX_BACKTEST_WINDOW = 1000;
+const MAX_BACKTEST_LOOKBACK = 2500;
+const MAX_REFIT_EVERY = 250;
+
+class RiskService {
+  constructor() {
+    this.marketDataService = new MarketDataService();
+    this.volatilityAnalysisService = new VolatilityAnalysisService();
+  }
+
+  /**
+   * Volatility models accepted by the risk endpoints: 'har' or a GARCH-family model
+   * An unknown model throws with status 400.
+   */
+  checkVolatilityModel(volatilityModel) {
+    const models = ['har', ...VolatilityAnalysisService.garchModels];
+    if (!models.includes(volatilityModel)) {
+      throw Object.assign(
+        new Error(`Unknown volatility model '${volatilityModel}'. Expected one of: ${models.join(', ')}`),
+        { status: 400 }
+      );
+    }
+  }
+
+  /**
+   * Check the calculateRisk options; one error with status 400 lists every problem
+   */
+  checkRiskOptions({ confidenceLevels, horizons, volatilityModel, window }) {
+    this.checkVolatilityModel(volatilityModel);
+
+    const errors = [];
+    const badLevels = confidenceLevels.filter(c => !(c > 0.5 && c < 1));
+    if (confidenceLevels.length === 0 || badLevels.length > 0) {
+      errors.push(`confidence levels must be between 0.5 and 1, got ${confidenceLevels.join(', ') || 'none'}`);
+    }
+    const badHorizons = horizons.filter(h => !(Number.isInteger(h) && h >= 1 && h <= MAX_HORIZON));
+    if (horizons.length === 0 || badHorizons.length > 0) {
+      errors.push(`horizons must be integers between 1 and ${MAX_HORIZON} days, got ${horizons.join(', ') || 'none'}`);
+    }
+    if (!(Number.isInteger(window) && window >= MIN_WINDOW && window <= MAX_WINDOW)) {
+      errors.push(`window must be an integer between ${MIN_WINDOW} and ${MAX_WINDOW}, got ${window}`);
+    }
+
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { status: 400 });
+    }
+  }
+
+  /**
+   * Check the backtestVaR options; one error with status 400 lists every problem
+   */
+  checkBacktestOptions({ confidence, volatilityModel, window, lookback, refitEvery }) {
+    this.checkVolatilityModel(volatilityModel);
+
+    const errors = this.walkForwardErrors({ window, lookback, refitEvery });
+    if (!(confidence > 0.5 && confidence < 1)) {
+      errors.push(`confidence must be between 0.5 and 1, got ${confidence}`);
+    }
+
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { status: 400 });
+    }
+  }
+
+  /**
+   * Problems with the walk-forward options shared by the VaR backtest and
+   * the position sizing history
+   */
+  walkForwardErrors({ window, lookback, refitEvery }) {
+    const errors = [];
+    if (!(Number.isInteger(window) && window >= MIN_WINDOW && window <= MAX_BACKTEST_WINDOW)) {
+      errors.push(`window must be an integer between ${MIN_WINDOW} and ${MAX_BACKTEST_WINDOW}, got ${window}`);
+    }
+    if (!(Number.isInteger(lookback) && lookback > window && lookback <= MAX_BACKTEST_LOOKBACK)) {
+      errors.push(`lookback must be an integer above window and at most ${MAX_BACKTEST_LOOKBACK}, got ${lookback}`);
+    }
+    if (!(Number.isInteger(refitEvery) && refitEvery >= 1 && refitEvery <= MAX_REFIT_EVERY)) {
+      errors.push(`refitEvery must be an integer between 1 and ${MAX_REFIT_EVERY}, got ${refitEvery}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Value-at-Risk and Expected Shortfall per method, confidence level and horizon
+   * options.volatilityModel picks the variance forecast behind the parametric
+   * and filtered methods: a GARCH-family model ('garch', 'gjr', 'egarch') or 'har'.
+   */
+  async calculateRisk(symbol, options = {}) {
+    const {
+      confidenceLevels = [0.95, 0.99],
+      horizons = [1, 10],
+      volatilityModel = 'garch',
+      window = 500,
+      save = true
+    } = options;
+
+    this.checkRiskOptions({ confidenceLevels, horizons, volatilityModel, window });
+
+    const marketData = await this.marketDataService.getLatestData(symbol, window + 1);
+    if (marketData.length < 100) {
+      throw new Error('Insufficient data for risk calculation');
+    }
+
+    const returns = VolatilityModels.calculateReturns(marketData.map(d => d.close), 'log');
+    const volatility = volatilityModel === 'har'
+      ? await this.harVolatility(symbol, marketData, horizons)
+      : this.garchVolatility(volatilityModel, returns, horizons);
+
+    // Student-t tail from the standardized shocks unless the GARCH-t fit estimated it
+    const shocks = RiskModels.standardizedShocks(returns, volatility.conditionalVariances);
+    const nu = volatility.nu || RiskModels.estimateStudentTDof(shocks);
+
+    const results = [];
+    for (const horizon of horizons) {
+      const forecastVariance = Math.max(volatility.forecastVariance[horizon], 0);
+
+      for (const confidence of confidenceLevels) {
+        const estimates = this.estimateRisk(
+          { returns, conditionalVariances: volatility.conditionalVariances, forecastVariance, nu },
+          confidence,
+          horizon
+        );
+
+        for (const method of RiskModels.methods) {
+          results.push({
+            method,
+            confidence,
+            horizon,
+            var: estimates[method].var,
+            es: estimates[method].es
+          });
+        }
+      }
+    }
+
+    const risk = {
+      symbol,
+      date: VolatilityModels.tradingDateKey(marketData[marketData.length - 1].timestamp),
+      volatility_model: volatilityModel,
+      window: returns.length,
+      student_t_dof: nu,
+      forecast_variance: volatility.forecastVariance,
+      results
+    };
+
+    if (save) {
+      await this.saveRiskMetrics(risk);
+    }
+
+    return risk;
+  }
+
+  /**
+   * VaR and ES from every method for one confidence level and horizon
+   */
+  estimateRisk({ returns, conditionalVariances, forecastVariance, nu }, confidence, horizon) {
+    return {
+      historical: RiskModels.historicalVaR(returns, confidence, horizon),
+      normal: RiskModels.normalVaR(forecastVariance, confidence),
+      student_t: RiskModels.studentTVaR(forecastVariance, confidence, nu),
+      filtered_historical: RiskModels.filteredHistoricalVaR(returns, conditionalVariances, forecastVariance, confidence)
+    };
+  }
+
+  /**
+   * Walk-forward backtest of 1-day VaR over the stored price history
+   * At each day the VaR is estimated from the trailing `window` returns only;
+   * the volatility model is re-fitted every `refitEvery` days and its
+   * variance recursion updated daily in between. A breach is a loss larger
+   * than that day's VaR.
+   */
+  async backtestVaR(symbol, options = {}) {
+    const {
+      confidence = 0.99,
+      volatilityModel = 'garch',
+      window = 250,
+      lookback = 1000,
+      refitEvery = 20,
+      save = true
+    } = options;
+
+    this.checkBacktestOptions({ confidence, volatilityModel, window, lookback, refitEvery });
+
+    const marketData = await this.marketDataService.getLatestData(symbol, lookback + 1);
+    if (marketData.length < window + 31) {
+      throw new Error(`Insufficient data for VaR backtest: need at least ${window + 31} days, have ${marketData.length}`);
+    }
+
+    const returns = VolatilityModels.calculateReturns(marketData.map(d => d.close), 'log');
+    const dates = marketData.slice(1).map(d => VolatilityModels.tradingDateKey(d.timestamp));
+    const forecaster = volatilityModel === 'har'
+      ? await this.harBacktestForecaster(symbol, marketData, dates, window)
+      : this.garchBacktestForecaster(volatilityModel, returns, window);
+
+    const records = [];
+    let model = null;
+    for (let t = window; t < returns.length; t++) {
+      if ((t - window) % refitEvery === 0) model = forecaster.fit(t);
+
+      const windowReturns = returns.slice(t - window, t);
+      const volatility = forecaster.predict(model, t);
+      const estimates = volatility && volatility.forecastVariance > 0
+        ? this.estimateRisk({
+          returns: windowReturns,
+          conditionalVariances: volatility.conditionalVariances,
+          forecastVariance: volatility.forecastVariance,
+          nu: volatility.nu || RiskModels.estimateStudentTDof(
+            RiskModels.standardizedShocks(windowReturns, volatility.conditionalVariances)
+          )
+        }, confidence, 1)
+        : { historical: RiskModels.historicalVaR(windowReturns, confidence, 1) };
+
+      const valueAtRisk = {};
+      for (const method of RiskModels.methods) {
+        valueAtRisk[method] = estimates[method] ? estimates[method].var : null;
+      }
+      records.push({ date: dates[t], return: returns[t], valueAtRisk });
+    }
+
+    const summary = {};
+    const breaches = [];
+    for (const method of RiskModels.methods) {
+      const scored = records.filter(r => r.valueAtRisk[method] !== null);
+      if (scored.length === 0) continue;
+
+      const hits = scored.map(r => -r.return > r.valueAtRisk[method]);
+      const recent = hits.slice(-250);
+      const christoffersen = RiskModels.christoffersenTest(hits, confidence);
+
+      summary[method] = {
+        observations: hits.length,
+        breaches: hits.filter(Boolean).length,
+        expected_breaches: hits.length * (1 - confidence),
+        breach_rate: hits.filter(Boolean).length / hits.length,
+        kupiec: RiskModels.kupiecTest(hits, confidence),
+        independence: christoffersen.independence,
+        conditional_coverage: christoffersen.conditionalCoverage,
+        traffic_light: RiskModels.baselTrafficLight(recent.filter(Boolean).length, recent.length, confidence)
+      };
+
+      scored.forEach((r, i) => {
+        if (hits[i]) {
+          breaches.push({ date: r.date, method, return: r.return, value_at_risk: r.valueAtRisk[method] });
+        }
+      });
+    }
+
+    const backtest = {
+      symbol,
+      confidence,
+      volatility_model: volatilityModel,
+      window,
+      refit_every: refitEvery,
+      start_date: records[0].date,
+      end_date: records[records.length - 1].date,
+      methods: summary,
+      breaches: breaches.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+    };
+
+    if (save) {
+      await this.saveVaRBreaches(backtest);
+    }
+
+    return backtest;
+  }
+
+  /**
+   * GARCH-family forecaster for the backtest: fits on the trailing window and
+   * replays the variance recursion to get the next day's variance
+   */
+  garchBacktestForecaster(modelType, returns, window) {
+    const estimator = VolatilityAnalysisService.garchEstimator(modelType);
+    return {
+      fit: (t) => {
+        const fits = ['normal', 't']
+          .map(distribution => VolatilityModels[estimator](returns.slice(t - window, t), distribution))
+          .filter(Boolean);
+        return fits.length > 0 ? fits.reduce((best, fit) => (fit.aic < best.aic ? fit : best)) : null;
+      },
+      predict: (model, t) => {
+        if (!model) return null;
+        const variances = VolatilityModels.garchConditionalVariances(model, returns.slice(t - window, t));
+        return {
+          forecastVariance: variances[window],
+          conditionalVariances: variances.slice(0, window),
+          nu: model.distribution === 't' ? model.nu : null
+        };
+      }
+    };
+  }
+
+  /**
+   * HAR-RV forecaster for the backtest: each day's variance is the one-step
+   * forecast from realized variance up to the previous day
+   */
+  async harBacktestForecaster(symbol, marketData, dates, window) {
+    const realizedVariance = await this.volatilityAnalysisService.buildRealizedVarianceSeries(symbol, marketData);
+    const rvSeries = realizedVariance.map(d => d.realizedVariance);
+    const indexByDate = new Map(realizedVariance.map((d, i) => [d.date, i]));
+
+    const oneStep = (model, date) => {
+      const i = indexByDate.get(date);
+      if (i === undefined || i < 22) return null;
+      return VolatilityModels.forecastHAR(model, rvSeries.slice(i - 22, i));
+    };
+
+    return {
+      fit: (t) => {
+        const i = indexByDate.get(dates[t]);
+        return i === undefined ? null : VolatilityModels.fitHARModel(rvSeries.slice(Math.max(0, i - window), i));
+      },
+      predict: (model, t) => {
+        if (!model) return null;
+        return {
+          forecastVariance: oneStep(model, dates[t]),
+          conditionalVariances: dates.slice(t - window, t).map(date => oneStep(model, date)),
+          nu: null
+        };
+      }
+    };
+  }
+
+  /**
+   * GARCH-family variance forecasts and in-sample conditional variances
+   * Gaussian and Student-t fits are compared by AIC as in the volatility analysis.
+   */
+  garchVolatility(modelType, returns, horizons) {
+    const estimator = VolatilityAnalysisService.garchEstimator(modelType);
+    const fits = ['normal', 't']
+      .map(distribution => VolatilityModels[estimator](returns, distribution))
+      .filter(Boolean);
+    if (fits.length === 0) {
+      throw new Error('Unable to fit GARCH model for risk calculation');
+    }
+
+    const model = fits.reduce((best, fit) => (fit.aic < best.aic ? fit : best));
+    const forecasts = VolatilityModels.forecastGARCH(model, horizons);
+
+    return {
+      forecastVariance: Object.fromEntries(forecasts.map(f => [f.horizon, f.cumulativeVariance])),
+      conditionalVariances: VolatilityModels.garchConditionalVariances(model, returns),
+      nu: model.distribution === 't' ? model.nu : null
+    };
+  }
+
+  /**
+   * HAR-RV variance forecasts; each return's conditional variance is the
+   * one-step HAR forecast made the day before
+   */
+  async harVolatility(symbol, marketData, horizons) {
+    const realizedVariance = await this.volatilityAnalysisService.buildRealizedVarianceSeries(symbol, marketData);
+    const rvSeries = realizedVariance.map(d => d.realizedVariance);
+    const model = VolatilityModels.fitHARModel(rvSeries);
+    const curve = VolatilityModels.forecastHARCurve(model, rvSeries, Math.max(...horizons));
+    if (!curve) {
+      throw new Error('Unable to fit HAR model for risk calculation');
+    }
+
+    const fittedByDate = new Map();
+    for (let i = 22; i < rvSeries.length; i++) {
+      fittedByDate.set(realizedVariance[i].date, VolatilityModels.forecastHAR(model, rvSeries.slice(0, i)));
+    }
+
+    return {
+      forecastVariance: Object.fromEntries(horizons.map(h => [h, curve[h - 1].cumulativeVariance])),
+      conditionalVariances: marketData.slice(1).map(d => {
+        const fitted = fittedByDate.get(VolatilityModels.tradingDateKey(d.timestamp));
+        return fitted === undefined ? null : fitted;
+      }),
+      nu: null
+    };
+  }
+
+  /**
+   * Save one day's VaR and ES per method, confidence level and horizon
+   */
+  async saveRiskMetrics(risk) {
+    const query = `
+      INSERT INTO risk_metrics (
+        symbol, date, volatility_model, method, confidence, horizon,
+        value_at_risk, expected_shortfall, forecast_variance, window_size
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (symbol, date, volatility_model, method, confidence, horizon) DO UPDATE SET
+        value_at_risk = $7,
+        expected_shortfall = $8,
+        forecast_variance = $9,
+        window_size = $10,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    for (const result of risk.results) {
+      await pool.query(query, [
+        risk.symbol,
+        risk.date,
+        risk.volatility_model,
+        result.method,
+        result.confidence,
+        result.horizon,
+        result.var,
+        result.es,
+        risk.forecast_variance[result.horizon],
+        risk.window
+      ]);
+    }
+  }
+
+  /**
+   * Save backtest breaches
+   */
+  async saveVaRBreaches(backtest) {
+    const query = `
+      INSERT INTO var_breaches (
+        symbol, date, volatility_model, method, confidence, realized_return, value_at_risk
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (symbol, date, volatility_model, method, confidence) DO UPDATE SET
+        realized_return = $6,
+        value_at_risk = $7
+    `;
+
+    for (const breach of backtest.breaches) {
+      await pool.query(query, [
+        backtest.symbol,
+        breach.date,
+        backtest.volatility_model,
+        breach.method,
+        backtest.confidence,
+        breach.return,
+        breach.value_at_risk
+      ]);
+    }
+  }
+
+  /**
+   * Get stored risk metrics
+   */
+  async getRiskHistory(symbol, { days = 30, volatilityModel = 'garch' } = {}) {
+    const query = `
+      SELECT * FROM risk_metrics
+      WHERE symbol = $1
+        AND volatility_model = $2
+        AND date > CURRENT_DATE - $3::integer
+      ORDER BY date DESC, method, confidence, horizon
+    `;
+
+    const result = await pool.query(query, [symbol, volatilityModel, days]);
+    return result.rows;
+  }
+}
+
+module.exports = RiskService;
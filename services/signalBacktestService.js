@@ -0,0 +1,150 @@
+const VolatilityModels = require('../models/volatilityModels');
+const BacktestMetrics = require('../models/backtestMetrics');
+const MarketDataService = require('./marketDataService');
+const VolatilityAnalysisService = require('./volatilityAnalysisService');
+const SignalRuleService = require('./signalRuleService');
+
+// Position taken for the next day on each signal action; hedge is a short
+const ACTION_POSITIONS = {
+  buy: 1,
+  prepare_to_buy: 1,
+  sell: -1,
+  prepare_to_sell: -1,
+  hedge: -1,
+  reduce_exposure: -0.5,
+  hold: 0,
+  wait: 0
+};
+
+class SignalBacktestService {
+  constructor() {
+    this.marketDataService = new MarketDataService();
+    this.volatilityAnalysisService = new VolatilityAnalysisService();
+    this.signalRuleService = new SignalRuleService();
+  }
+
+  /**
+   * Walk-forward backtest of the trading signals, one strategy per signal type
+   * Every day the analysis is re-run with the current signal rules on the
+   * trailing `window` bars ending that day. A signal's action sets the position over the next `holdingPeriod`
+   * days; 'combined' sums all types' positions, capped at +/-1. Costs and
+   * slippage are charged in basis points of notional traded.
+   */
+  async backtestSignals(symbol, options = {}) {
+    const {
+      lookback = 750,
+      window = 252,
+      holdingPeriod = 1,
+      costBps = 1,
+      slippageBps = 2,
+      garchModel = 'garch',
+      regimeMethod = 'quantile',
+      hmmStates,
+      actionPositions = {}
+    } = options;
+
+    const garchEstimator = VolatilityAnalysisService.garchEstimator(garchModel);
+    VolatilityAnalysisService.checkRegimeMethod(regimeMethod, hmmStates);
+    if (!(holdingPeriod >= 1)) {
+      throw new Error(`Holding period must be at least 1 day, got ${holdingPeriod}`);
+    }
+    const positionsByAction = { ...ACTION_POSITIONS, ...actionPositions };
+
+    const marketData = await this.marketDataService.getLatestData(symbol, lookback + window);
+    if (marketData.length < window + 21) {
+      throw new Error(`Insufficient data for signal backtest: need at least ${window + 21} days, have ${marketData.length}`);
+    }
+
+    const dates = marketData.map(d => VolatilityModels.tradingDateKey(d.timestamp));
+    const realizedVariance = await this.volatilityAnalysisService.buildRealizedVarianceSeries(symbol, marketData);
+    const vixData = await this.marketDataService.getLatestVIXData(marketData.length);
+    const termStructure = (await this.marketDataService.getVIXTermStructureData(marketData.length))
+      .map(day => ({ ...day, ...VolatilityModels.calculateVIXTermStructure(day) }))
+      .filter(point => point.ratio !== null);
+    const rules = await this.signalRuleService.getActiveRules();
+
+    // Signals emitted at each close, from data up to that close only. Each
+    // day's analysis runs synchronously, so the event loop gets a turn
+    // between days to keep other requests, cron jobs and streams moving.
+    const signalDays = [];
+    for (let t = window - 1; t < marketData.length - 1; t++) {
+      await new Promise(resolve => setImmediate(resolve));
+      const date = dates[t];
+      const start = dates[t - window + 1];
+      const { analysis } = this.volatilityAnalysisService.computeAnalysis(symbol, {
+        marketData: marketData.slice(t - window + 1, t + 1),
+        realizedVariance: realizedVariance.filter(d => d.date >= start && d.date <= date),
+        vixData: vixData.filter(bar => VolatilityModels.tradingDateKey(bar.timestamp) <= date),
+        termStructure: termStructure.filter(point => point.date <= date),
+        rules
+      }, { garchEstimator, regimeMethod, hmmStates });
+      signalDays.push({ t, signals: analysis.signals });
+    }
+
+    // Position for day t + 1 from signals up to `holdingPeriod` closes before it
+    const types = [...new Set(signalDays.flatMap(d => d.signals.map(s => s.type)))].sort();
+    const positions = Object.fromEntries(types.map(type => [type, []]));
+    const signalCounts = Object.fromEntries(types.map(type => [type, 0]));
+    const assetReturns = [];
+    const returnDates = [];
+
+    signalDays.forEach((day, i) => {
+      for (const signal of day.signals) signalCounts[signal.type]++;
+
+      for (const type of types) {
+        let position = 0;
+        for (let k = i; k >= 0 && k > i - holdingPeriod; k--) {
+          const signal = signalDays[k].signals.find(s => s.type === type);
+          if (signal) {
+            position = positionsByAction[signal.action] || 0;
+            break;
+          }
+        }
+        positions[type].push(position);
+      }
+
+      const close = parseFloat(marketData[day.t].close);
+      assetReturns.push(parseFloat(marketData[day.t + 1].close) / close - 1);
+      returnDates.push(dates[day.t + 1]);
+    });
+
+    const combined = assetReturns.map((_, t) =>
+      Math.max(-1, Math.min(1, types.reduce((sum, type) => sum + positions[type][t], 0)))
+    );
+    const costRate = (costBps + slippageBps) / 10000;
+    const strategies = {};
+    for (const type of types) {
+      strategies[type] = {
+        signals: signalCounts[type],
+        ...BacktestMetrics.summarize(
+          returnDates,
+          BacktestMetrics.strategyReturns(assetReturns, positions[type], costRate),
+          positions[type]
+        )
+      };
+    }
+    strategies.combined = {
+      signals: Object.values(signalCounts).reduce((sum, n) => sum + n, 0),
+      ...BacktestMetrics.summarize(
+        returnDates,
+        BacktestMetrics.strategyReturns(assetReturns, combined, costRate),
+        combined
+      )
+    };
+
+    return {
+      symbol,
+      start_date: returnDates[0],
+      end_date: returnDates[returnDates.length - 1],
+      window,
+      holding_period: holdingPeriod,
+      cost_bps: costBps,
+      slippage_bps: slippageBps,
+      action_positions: positionsByAction,
+      strategies,
+      buy_and_hold: BacktestMetrics.summarize(returnDates, assetReturns, assetReturns.map(() => 1))
+    };
+  }
+}
+
+module.exports = SignalBacktestService;
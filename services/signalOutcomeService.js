@@ -0,0 +1,187 @@
+const { pool } = require('../db/database');
+
+// Trading days after a signal at which its outcome is measured
+const OUTCOME_HORIZONS = [1, 5, 21];
+
+// Direction each action bets on; hold and wait signals have no hit or miss
+const ACTION_DIRECTIONS = {
+  buy: 1,
+  prepare_to_buy: 1,
+  sell: -1,
+  prepare_to_sell: -1,
+  hedge: -1,
+  reduce_exposure: -1
+};
+
+// Groupings for the outcome statistics; strength is stored as 0-100
+const OUTCOME_GROUPS = {
+  signal_type: 's.signal_type',
+  regime: 's.volatility_regime',
+  strength: `CASE
+    WHEN s.signal_strength >= 80 THEN 'strong'
+    WHEN s.signal_strength >= 60 THEN 'moderate'
+    WHEN s.signal_strength >= 40 THEN 'weak'
+    ELSE 'minimal'
+  END`
+};
+
+class SignalOutcomeService {
+  /**
+   * Record forward returns and realized volatility for stored signals
+   * A signal's base is the latest close on or before the day it was issued
+   * (signals from weekend updates use Friday's close). Its outcome at
+   * each horizon is recorded once that many closes, and days of realized
+   * variance, exist after the base date, so recent signals stay pending.
+   */
+  async recordOutcomes(symbol) {
+    const pending = await pool.query(`
+      SELECT s.id, s.recommended_action, TO_CHAR(s.timestamp, 'YYYY-MM-DD') AS base_date, h.horizon
+      FROM trading_signals s
+      CROSS JOIN UNNEST($2::integer[]) AS h(horizon)
+      LEFT JOIN signal_outcomes o ON o.signal_id = s.id AND o.horizon = h.horizon
+      WHERE s.symbol = $1 AND o.id IS NULL
+      ORDER BY s.timestamp ASC
+    `, [symbol, OUTCOME_HORIZONS]);
+
+    if (pending.rows.length === 0) {
+      return { pending: 0, recorded: 0 };
+    }
+
+    const firstDate = pending.rows[0].base_date;
+    const bars = await pool.query(`
+      SELECT TO_CHAR(timestamp, 'YYYY-MM-DD') AS date, close
+      FROM market_data
+      WHERE symbol = $1 AND timestamp >= $2::date - 7
+      ORDER BY timestamp ASC
+    `, [symbol, firstDate]);
+    const realized = await pool.query(`
+      SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, realized_variance
+      FROM realized_variance
+      WHERE symbol = $1 AND date > $2::date
+      ORDER BY date ASC
+    `, [symbol, firstDate]);
+
+    const dates = bars.rows.map(row => row.date);
+    const closes = bars.rows.map(row => parseFloat(row.close));
+    const realizedVariance = new Map(realized.rows.map(row => [row.date, row.realized_variance]));
+
+    const query = `
+      INSERT INTO signal_outcomes (
+        signal_id, horizon, base_date, target_date, base_close, target_close,
+        forward_return, forward_volatility, direction, hit, recorded_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (signal_id, horizon) DO NOTHING
+    `;
+
+    let recorded = 0;
+    for (const row of pending.rows) {
+      let base = -1;
+      while (base + 1 < dates.length && dates[base + 1] <= row.base_date) base++;
+      if (base < 0 || base + row.horizon >= dates.length) continue;
+
+      const forwardDates = dates.slice(base + 1, base + row.horizon + 1);
+      if (!forwardDates.every(date => realizedVariance.has(date))) continue;
+
+      const forwardVariance = forwardDates.reduce((sum, date) => sum + realizedVariance.get(date), 0);
+      const target = base + row.horizon;
+      const forwardReturn = closes[target] / closes[base] - 1;
+      const direction = ACTION_DIRECTIONS[row.recommended_action] || null;
+
+      await pool.query(query, [
+        row.id,
+        row.horizon,
+        dates[base],
+        dates[target],
+        closes[base],
+        closes[target],
+        forwardReturn,
+        Math.sqrt(forwardVariance * 252 / row.horizon),
+        direction,
+        direction ? direction * forwardReturn > 0 : null,
+        new Date()
+      ]);
+      recorded++;
+    }
+
+    console.log(`Recorded ${recorded} of ${pending.rows.length} pending signal outcomes for ${symbol}`);
+    return { pending: pending.rows.length, recorded };
+  }
+
+  /**
+   * Outcome statistics per signal type, regime and strength bucket
+   * Hit rate is the share of directional signals whose forward return had
+   * the sign the action bet on; average_edge is the mean forward return in
+   * that direction.
+   */
+  async getOutcomeStats(symbol, { days = 756 } = {}) {
+    const stats = {};
+    for (const [group, expression] of Object.entries(OUTCOME_GROUPS)) {
+      const result = await pool.query(`
+        SELECT ${expression} AS grouping,
+               o.horizon,
+               COUNT(*) AS signal_count,
+               COUNT(o.hit) AS directional_count,
+               AVG(o.hit::integer) AS hit_rate,
+               AVG(o.forward_return) AS average_return,
+               AVG(o.direction * o.forward_return) AS average_edge,
+               AVG(o.forward_volatility) AS average_forward_volatility
+        FROM signal_outcomes o
+        JOIN trading_signals s ON s.id = o.signal_id
+        WHERE s.symbol = $1 AND o.base_date > CURRENT_DATE - $2::integer
+        GROUP BY 1, o.horizon
+        ORDER BY 1, o.horizon
+      `, [symbol, days]);
+
+      stats[group] = result.rows.map(row => ({
+        [group]: row.grouping,
+        horizon: row.horizon,
+        signal_count: parseInt(row.signal_count),
+        directional_count: parseInt(row.directional_count),
+        hit_rate: row.hit_rate === null ? null : parseFloat(row.hit_rate),
+        average_return: row.average_return === null ? null : parseFloat(row.average_return),
+        average_edge: row.average_edge === null ? null : parseFloat(row.average_edge),
+        average_forward_volatility: row.average_forward_volatility === null
+          ? null
+          : parseFloat(row.average_forward_volatility)
+      }));
+    }
+
+    return {
+      symbol,
+      horizons: OUTCOME_HORIZONS,
+      ...stats
+    };
+  }
+
+  /**
+   * Recorded outcomes with the signals they belong to, newest first
+   */
+  async getOutcomes(symbol, { signalType, limit = 100 } = {}) {
+    const params = [symbol, limit];
+    let typeFilter = '';
+    if (signalType) {
+      params.push(signalType);
+      typeFilter = 'AND s.signal_type = $3';
+    }
+
+    const result = await pool.query(`
+      SELECT o.signal_id, s.signal_type, s.recommended_action, s.volatility_regime, s.signal_strength,
+             TO_CHAR(o.base_date, 'YYYY-MM-DD') AS base_date,
+             TO_CHAR(o.target_date, 'YYYY-MM-DD') AS target_date,
+             o.horizon, o.base_close, o.target_close, o.forward_return, o.forward_volatility,
+             o.direction, o.hit
+      FROM signal_outcomes o
+      JOIN trading_signals s ON s.id = o.signal_id
+      WHERE s.symbol = $1 ${typeFilter}
+      ORDER BY o.base_date DESC, o.signal_id DESC, o.horizon
+      LIMIT $2
+    `, params);
+
+    return result.rows.map(row => ({
+      ...row,
+      signal_strength: row.signal_strength === null ? null : parseFloat(row.signal_strength) / 100
+    }));
+  }
+}
+
+module.exports = SignalOutcomeService;
@@ -0,0 +1,168 @@
+const { pool } = require('../db/database');
+const SignalRules = require('../models/signalRules');
+
+class SignalRuleService {
+  /**
+   * Enabled current rules, in the form generateVolatilitySignals takes
+   * The built-in rules are stored on first use, so an empty table means
+   * nothing has been set up yet rather than that every rule was deleted.
+   */
+  async getActiveRules() {
+    const count = await pool.query('SELECT COUNT(*) AS count FROM signal_rules');
+    if (parseInt(count.rows[0].count) === 0) {
+      await this.seedDefaultRules();
+    }
+
+    const rules = await this.listRules();
+    return rules.filter(rule => rule.enabled);
+  }
+
+  /**
+   * Current version of every rule that has not been deleted
+   */
+  async listRules() {
+    const result = await pool.query(`
+      SELECT * FROM signal_rules
+      WHERE retired_at IS NULL
+      ORDER BY name
+    `);
+    return result.rows.map(row => this.formatRule(row));
+  }
+
+  /**
+   * Current version of a rule with every earlier version, newest first
+   */
+  async getRule(name) {
+    const result = await pool.query(`
+      SELECT * FROM signal_rules
+      WHERE name = $1
+      ORDER BY version DESC
+    `, [name]);
+
+    const versions = result.rows.map(row => this.formatRule(row));
+    const current = versions.find(version => version.retired_at === null);
+    if (!current) {
+      throw Object.assign(new Error(`Signal rule '${name}' not found`), { status: 404 });
+    }
+
+    return { ...current, versions };
+  }
+
+  /**
+   * Add a rule; a name used by a deleted rule continues its version numbers
+   */
+  async createRule(definition) {
+    const rule = SignalRules.validateRule(definition);
+
+    const existing = await pool.query(`
+      SELECT MAX(version) AS version,
+             COUNT(*) FILTER (WHERE retired_at IS NULL) AS current_count
+      FROM signal_rules
+      WHERE name = $1
+    `, [rule.name]);
+    if (parseInt(existing.rows[0].current_count) > 0) {
+      throw Object.assign(new Error(`Signal rule '${rule.name}' already exists`), { status: 409 });
+    }
+
+    return this.insertVersion(pool, rule, (existing.rows[0].version || 0) + 1);
+  }
+
+  /**
+   * Save changes to a rule as a new version and retire the current one
+   * Fields left out of `changes` keep their current values.
+   */
+  async updateRule(name, changes) {
+    const current = await this.getRule(name);
+    const rule = SignalRules.validateRule({
+      name,
+      description: current.description,
+      condition: current.condition,
+      action: current.action,
+      strength: current.strength,
+      reason: current.reason,
+      enabled: current.enabled,
+      ...changes
+    });
+    if (rule.name !== name) {
+      throw Object.assign(new Error('Signal rules cannot be renamed; create a new rule instead'), { status: 400 });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        UPDATE signal_rules SET retired_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [current.id]);
+      const saved = await this.insertVersion(client, rule, current.version + 1);
+      await client.query('COMMIT');
+      return saved;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Retire a rule's current version; its history stays queryable
+   */
+  async deleteRule(name) {
+    const result = await pool.query(`
+      UPDATE signal_rules SET retired_at = CURRENT_TIMESTAMP
+      WHERE name = $1 AND retired_at IS NULL
+      RETURNING name, version
+    `, [name]);
+
+    if (result.rows.length === 0) {
+      throw Object.assign(new Error(`Signal rule '${name}' not found`), { status: 404 });
+    }
+    return result.rows[0];
+  }
+
+  async seedDefaultRules() {
+    for (const definition of SignalRules.defaultRules()) {
+      await this.insertVersion(pool, SignalRules.validateRule(definition), 1);
+    }
+    console.log('Stored the built-in signal rules');
+  }
+
+  async insertVersion(db, rule, version) {
+    const result = await db.query(`
+      INSERT INTO signal_rules (
+        name, version, description, condition, action, strength, reason, enabled
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      rule.name,
+      version,
+      rule.description,
+      JSON.stringify(rule.condition),
+      rule.action,
+      JSON.stringify(rule.strength),
+      rule.reason,
+      rule.enabled
+    ]);
+
+    return this.formatRule(result.rows[0]);
+  }
+
+  formatRule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      version: row.version,
+      description: row.description,
+      condition: row.condition,
+      action: row.action,
+      strength: row.strength,
+      reason: row.reason,
+      enabled: row.enabled,
+      created_at: row.created_at,
+      retired_at: row.retired_at
+    };
+  }
+}
+
+module.exports = SignalRuleService;
@@ -0,0 +1,189 @@
+const { EventEmitter } = require('events');
+const { pool } = require('../db/database');
+
+const STREAM_EVENT_TYPES = ['bar', 'analysis', 'regime_change', 'signal'];
+
+// Events a reconnecting client can miss before it has to reload instead
+const REPLAY_LIMIT = 1000;
+const STREAM_RETENTION_DAYS = 7;
+
+// Shared by every StreamService instance so events published from any
+// service reach the subscribers held by the server
+const broadcaster = new EventEmitter();
+broadcaster.setMaxListeners(0);
+
+class StreamService {
+  /**
+   * Store an event and push it to live subscribers of its symbol
+   * The row id is the event id clients resume from.
+   */
+  async publish(symbol, type, data) {
+    if (!STREAM_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown stream event '${type}'. Expected one of: ${STREAM_EVENT_TYPES.join(', ')}`);
+    }
+
+    const result = await pool.query(`
+      INSERT INTO stream_events (symbol, event_type, data)
+      VALUES ($1, $2, $3)
+      RETURNING id, symbol, event_type, data, created_at
+    `, [symbol, type, JSON.stringify(data)]);
+
+    const event = this.formatEvent(result.rows[0]);
+    broadcaster.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Publish a fresh analysis with the regime change and newly opened
+   * signals it contains, judged against the previous analysis event
+   */
+  async publishAnalysis(symbol, analysis) {
+    const previousResult = await pool.query(`
+      SELECT data FROM stream_events
+      WHERE symbol = $1 AND event_type = 'analysis'
+      ORDER BY id DESC
+      LIMIT 1
+    `, [symbol]);
+    const previous = previousResult.rows.length > 0 ? previousResult.rows[0].data : null;
+
+    if (previous && previous.volatility_regime !== analysis.volatility_regime) {
+      await this.publish(symbol, 'regime_change', {
+        previous_regime: previous.volatility_regime,
+        regime: analysis.volatility_regime,
+        realized_volatility: analysis.volatility_indicators.realized_volatility
+      });
+    }
+
+    const previousIds = new Set(previous ? previous.signals.map(signal => signal.id) : []);
+    for (const signal of analysis.signals) {
+      if (!previousIds.has(signal.id)) {
+        await this.publish(symbol, 'signal', signal);
+      }
+    }
+
+    return this.publish(symbol, 'analysis', analysis);
+  }
+
+  /**
+   * Publish bars newer than the latest bar stored before a save
+   * Nothing is published for a symbol without earlier bars, so the first
+   * backfill does not flood subscribers.
+   */
+  async publishBars(bars, previousLatest) {
+    for (const bar of bars) {
+      const latest = previousLatest.get(bar.symbol);
+      if (!latest || new Date(bar.timestamp) <= latest) continue;
+
+      await this.publish(bar.symbol, 'bar', {
+        timestamp: new Date(bar.timestamp).toISOString(),
+        open: parseFloat(bar.open),
+        high: parseFloat(bar.high),
+        low: parseFloat(bar.low),
+        close: parseFloat(bar.close),
+        volume: parseInt(bar.volume)
+      });
+    }
+  }
+
+  /**
+   * Send stored events after lastEventId, then live events, to a listener
+   * Live events that arrive while the backlog is read are held back and
+   * sent after it, so nothing is lost or sent twice. A client more than
+   * REPLAY_LIMIT events behind gets a single 'reset' event instead of the
+   * backlog and should reload everything. Returns a function that ends
+   * the subscription.
+   */
+  async subscribe(symbols, lastEventId, listener) {
+    const pending = [];
+    let replaying = true;
+    let sentId = lastEventId || 0;
+
+    const onEvent = (event) => {
+      if (!symbols.includes(event.symbol)) return;
+      if (replaying) {
+        pending.push(event);
+      } else if (event.id > sentId) {
+        sentId = event.id;
+        listener(event);
+      }
+    };
+    broadcaster.on('event', onEvent);
+    const unsubscribe = () => broadcaster.off('event', onEvent);
+
+    try {
+      if (lastEventId) {
+        const backlog = await this.getEventsSince(symbols, lastEventId, REPLAY_LIMIT + 1);
+        if (backlog.length > REPLAY_LIMIT) {
+          sentId = await this.getLatestEventId(symbols);
+          listener({
+            id: sentId,
+            symbol: null,
+            type: 'reset',
+            data: { reason: 'replay_truncated', symbols },
+            created_at: new Date()
+          });
+        } else {
+          for (const event of backlog) {
+            sentId = event.id;
+            listener(event);
+          }
+        }
+      }
+    } catch (error) {
+      unsubscribe();
+      throw error;
+    }
+
+    replaying = false;
+    for (const event of pending) {
+      if (event.id > sentId) {
+        sentId = event.id;
+        listener(event);
+      }
+    }
+
+    return unsubscribe;
+  }
+
+  async getEventsSince(symbols, lastEventId, limit = REPLAY_LIMIT) {
+    const result = await pool.query(`
+      SELECT id, symbol, event_type, data, created_at
+      FROM stream_events
+      WHERE id > $1 AND symbol = ANY($2)
+      ORDER BY id ASC
+      LIMIT $3
+    `, [lastEventId, symbols, limit]);
+    return result.rows.map(row => this.formatEvent(row));
+  }
+
+  async getLatestEventId(symbols) {
+    const result = await pool.query(`
+      SELECT MAX(id) AS id FROM stream_events
+      WHERE symbol = ANY($1)
+    `, [symbols]);
+    return parseInt(result.rows[0].id) || 0;
+  }
+
+  /**
+   * Delete events older than the retention window
+   */
+  async pruneEvents(days = STREAM_RETENTION_DAYS) {
+    const result = await pool.query(`
+      DELETE FROM stream_events
+      WHERE created_at < NOW() - INTERVAL '${parseInt(days)} days'
+    `);
+    return { deleted: result.rowCount };
+  }
+
+  formatEvent(row) {
+    return {
+      id: parseInt(row.id),
+      symbol: row.symbol,
+      type: row.event_type,
+      data: row.data,
+      created_at: row.created_at
+    };
+  }
+}
+
+module.exports = StreamService;
@@ -0,0 +1,100 @@
+const { pool } = require('../db/database');
+const VolatilityModels = require('../models/volatilityModels');
+const RegimeModels = require('../models/regimeModels');
+const MarketDataService = require('./marketDataService');
+
+class VIXTermStructureService {
+  constructor() {
+    this.marketDataService = new MarketDataService();
+  }
+
+  /**
+   * Recompute and store the daily term structure for the last `days` VIX closes
+   * Days without both VIX and VIX3M are skipped.
+   */
+  async updateTermStructure(days = 10) {
+    const levels = await this.marketDataService.getVIXTermStructureData(days);
+    const points = levels
+      .map(day => ({ ...day, ...VolatilityModels.calculateVIXTermStructure(day) }))
+      .filter(point => point.ratio !== null);
+
+    await this.saveTermStructure(points);
+    return points;
+  }
+
+  /**
+   * Term structure history with contango/backwardation runs
+   * An empty table is filled from stored VIX closes on first request.
+   */
+  async getTermStructure({ days = 252 } = {}) {
+    let history = await this.loadTermStructure(days);
+    if (history.length === 0) {
+      await this.updateTermStructure(days);
+      history = await this.loadTermStructure(days);
+    }
+
+    const runs = RegimeModels.regimeRuns(history.map(d => d.state), history.map(d => d.date));
+    const backwardationRuns = runs.filter(r => r.regime === 'backwardation');
+
+    return {
+      current: history.length > 0 ? history[history.length - 1] : null,
+      history,
+      runs,
+      backwardation_days: backwardationRuns.reduce((sum, r) => sum + r.length, 0),
+      last_inversion: backwardationRuns.length > 0 ? backwardationRuns[backwardationRuns.length - 1].start : null
+    };
+  }
+
+  /**
+   * Save daily term structure points
+   */
+  async saveTermStructure(points) {
+    const query = `
+      INSERT INTO vix_term_structure (
+        date, vix9d, vix, vix3m, vix6m, slope, curvature, ratio, state
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (date) DO UPDATE SET
+        vix9d = $2,
+        vix = $3,
+        vix3m = $4,
+        vix6m = $5,
+        slope = $6,
+        curvature = $7,
+        ratio = $8,
+        state = $9,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    for (const point of points) {
+      await pool.query(query, [
+        point.date,
+        point.vix9d,
+        point.vix,
+        point.vix3m,
+        point.vix6m,
+        point.slope,
+        point.curvature,
+        point.ratio,
+        point.state
+      ]);
+    }
+  }
+
+  /**
+   * Load stored term structure points for the last `days` calendar days, oldest first
+   */
+  async loadTermStructure(days) {
+    const query = `
+      SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, vix9d, vix, vix3m, vix6m,
+             slope, curvature, ratio, state
+      FROM vix_term_structure
+      WHERE date > CURRENT_DATE - $1::integer
+      ORDER BY date ASC
+    `;
+
+    const result = await pool.query(query, [days]);
+    return result.rows;
+  }
+}
+
+module.exports = VIXTermStructureService;
@@ -1,16 +1,91 @@
 const { pool } = require('../db/database');
 const VolatilityModels = require('../models/volatilityModels');
+const RegimeModels = require('../models/regimeModels');
 const MarketDataService = require('./marketDataService');
+const ForecastLedgerService = require('./forecastLedgerService');
+const VIXTermStructureService = require('./vixTermStructureService');
+const SignalRuleService = require('./signalRuleService');
+const AlertService = require('./alertService');
+const StreamService = require('./streamService');
+
+// GARCH-family estimators selectable through analyzeVolatility options
+const GARCH_ESTIMATORS = {
+  garch: 'fitGARCH',
+  gjr: 'fitGJRGARCH',
+  egarch: 'fitEGARCH'
+};
+
+const REGIME_METHODS = ['quantile', 'hmm'];
+const HMM_STATES = [2, 3, 4];
+
+// Trailing window for the SPY return / VIX change correlation
+const VIX_CORRELATION_WINDOW = 21;
+
+// An active signal no analysis run has seen for this long (a weekend plus a
+// holiday) is closed as expired rather than carried forward
+const SIGNAL_EXPIRY_HOURS = 96;
+
+const SIGNAL_STATES = ['active', 'closed'];
 
 class VolatilityAnalysisService {
   constructor() {
     this.marketDataService = new MarketDataService();
+    this.forecastLedgerService = new ForecastLedgerService();
+    this.vixTermStructureService = new VIXTermStructureService();
+    this.signalRuleService = new SignalRuleService();
+    this.alertService = new AlertService();
+    this.streamService = new StreamService();
+  }
+
+  static get garchModels() {
+    return Object.keys(GARCH_ESTIMATORS);
+  }
+
+  /**
+   * VolatilityModels method fitting a GARCH-family model ('garch', 'gjr' or 'egarch')
+   * An unknown model throws with status 400.
+   */
+  static garchEstimator(model) {
+    const estimator = GARCH_ESTIMATORS[model];
+    if (!estimator) {
+      throw Object.assign(
+        new Error(`Unknown GARCH model '${model}'. Expected one of: ${this.garchModels.join(', ')}`),
+        { status: 400 }
+      );
+    }
+    return estimator;
+  }
+
+  /**
+   * Check a regime method and optional HMM state count; errors carry status 400
+   */
+  static checkRegimeMethod(method, hmmStates) {
+    if (!REGIME_METHODS.includes(method)) {
+      throw Object.assign(
+        new Error(`Unknown regime method '${method}'. Expected one of: ${REGIME_METHODS.join(', ')}`),
+        { status: 400 }
+      );
+    }
+    if (hmmStates !== undefined && !HMM_STATES.includes(hmmStates)) {
+      throw Object.assign(new Error(`HMM supports 2 to 4 states, got ${hmmStates}`), { status: 400 });
+    }
   }
 
   /**
    * Perform comprehensive volatility analysis
+   * options.garchModel selects the conditional variance model: 'garch', 'gjr' or 'egarch'
+   * options.regimeMethod selects regime detection: 'quantile' or 'hmm'
+   * options.hmmStates fixes the number of HMM states (2-4); chosen by BIC when omitted
    */
-  async analyzeVolatility(symbol = '^GSPC') {
+  async analyzeVolatility(symbol = '^GSPC', options = {}) {
+    const {
+      garchModel: garchModelType = 'garch',
+      regimeMethod = 'quantile',
+      hmmStates
+    } = options;
+    const garchEstimator = VolatilityAnalysisService.garchEstimator(garchModelType);
+    VolatilityAnalysisService.checkRegimeMethod(regimeMethod, hmmStates);
+
     try {
       // Get market data
       const marketData = await this.marketDataService.getLatestData(symbol, 252);
@@ -18,121 +93,417 @@ class VolatilityAnalysisService {
       if (marketData.length < 30) {
         throw new Error('Insufficient data for volatility analysis');
       }
-
-      // Extract price arrays
-      const closes = marketData.map(d => d.close);
-      const highs = marketData.map(d => d.high);
-      const lows = marketData.map(d => d.low);
-      const opens = marketData.map(d => d.open);
-      
-      // Calculate returns
-      const returns = VolatilityModels.calculateReturns(closes, 'log');
       
-      // Calculate various volatility measures
-      const realizedVol = VolatilityModels.calculateRealizedVolatility(returns);
-      const parkinsonVol = VolatilityModels.calculateParkinsonVolatility(highs, lows);
-      const garmanKlassVol = VolatilityModels.calculateGarmanKlassVolatility(opens, highs, lows, closes);
-      const atr = VolatilityModels.calculateATR(highs, lows, closes);
-      const bollingerWidth = VolatilityModels.calculateBollingerBandWidth(closes);
+      // Daily realized variance: 5-minute returns where stored, range-based otherwise
+      const realizedVariance = await this.buildRealizedVarianceSeries(symbol, marketData);
+      const vixData = await this.marketDataService.getLatestVIXData(marketData.length);
+      // Stores the last few days of the VIX curve as a side effect
+      const termStructure = await this.vixTermStructureService.updateTermStructure();
+      const rules = await this.signalRuleService.getActiveRules();
       
-      // Calculate rolling volatilities for HAR model
-      const rollingVols = this.calculateRollingVolatilities(returns, 20);
+      const {
+        analysis,
+        harModel,
+        harCJModel,
+        harCJForecast,
+        garchFits,
+        garchModel,
+        garchForecasts
+      } = this.computeAnalysis(symbol, { marketData, realizedVariance, vixData, termStructure, rules }, {
+        garchEstimator,
+        regimeMethod,
+        hmmStates
+      });
       
-      // Fit HAR model
-      const harModel = VolatilityModels.fitHARModel(rollingVols);
-      
-      // Generate forecasts
-      let harForecastDaily = null;
-      let harForecastWeekly = null;
-      let harForecastMonthly = null;
+      // Save to database
+      await this.saveRealizedVariance(symbol, realizedVariance);
+      await this.saveVolatilityIndicators(analysis);
+      await this.saveHARModel(symbol, harModel);
+      await this.saveHARCJModel(symbol, harCJModel);
+      await this.saveGARCHModels(symbol, garchFits);
+      await this.saveVarianceRiskPremium(symbol, analysis.variance_risk_premium);
       
-      if (harModel && rollingVols.length >= 22) {
-        harForecastDaily = VolatilityModels.forecastHAR(harModel, rollingVols);
-        
-        // Weekly forecast (5 days ahead)
-        harForecastWeekly = harForecastDaily * Math.sqrt(5);
-        
-        // Monthly forecast (22 days ahead)
-        harForecastMonthly = harForecastDaily * Math.sqrt(22);
+      // Record forecasts in the ledger so they can be scored once realized
+      await this.forecastLedgerService.recordForecasts(
+        symbol,
+        realizedVariance[realizedVariance.length - 1].date,
+        this.collectLedgerForecasts(analysis.har_forecast_curve, harCJForecast, garchModel, garchForecasts)
+      );
+      const savedSignals = await this.saveTradingSignals(symbol, analysis.signals, analysis.volatility_regime);
+      for (const signal of analysis.signals) {
+        const saved = savedSignals.get(signal.type);
+        signal.id = saved.id;
+        signal.opened_at = saved.opened_at;
       }
       
-      // GARCH forecast
-      const garchForecast = VolatilityModels.forecastGARCH(returns, realizedVol);
-      
-      // Identify volatility regime
-      const regime = VolatilityModels.identifyVolatilityRegime(realizedVol, rollingVols);
+      // A failing alert or delivery must not fail the analysis
+      try {
+        await this.alertService.checkAlerts(symbol, analysis);
+      } catch (error) {
+        console.error('Error checking alerts:', error);
+      }
       
-      // Calculate trend
-      const trend = this.calculateTrend(closes);
+      try {
+        await this.streamService.publishAnalysis(symbol, analysis);
+      } catch (error) {
+        console.error('Error publishing analysis:', error);
+      }
       
-      // Generate trading signals
-      const volatilityData = {
+      return analysis;
+    } catch (error) {
+      console.error('Error analyzing volatility:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Analysis of one window of daily bars without database access
+   * Takes the bars (oldest first) with the realized variance, VIX bars and
+   * VIX term structure points covering them, and the signal rules to apply
+   * (the built-in defaults when omitted). Nothing else is read, so a
+   * backtest can replay it on any past window without lookahead.
+   */
+  computeAnalysis(symbol, inputs, options = {}) {
+    const { marketData, realizedVariance, vixData = [], termStructure = [], rules } = inputs;
+    const { garchEstimator = 'fitGARCH', regimeMethod = 'quantile', hmmStates } = options;
+    
+    // Extract price arrays; stored bars carry DECIMAL prices as strings
+    const closes = marketData.map(d => parseFloat(d.close));
+    const highs = marketData.map(d => parseFloat(d.high));
+    const lows = marketData.map(d => parseFloat(d.low));
+    const opens = marketData.map(d => parseFloat(d.open));
+    
+    // Calculate returns
+    const returns = VolatilityModels.calculateReturns(closes, 'log');
+    
+    // Calculate various volatility measures
+    const realizedVol = VolatilityModels.calculateRealizedVolatility(returns);
+    const parkinsonVol = VolatilityModels.calculateParkinsonVolatility(highs, lows);
+    const garmanKlassVol = VolatilityModels.calculateGarmanKlassVolatility(opens, highs, lows, closes);
+    const atr = VolatilityModels.calculateATR(highs, lows, closes);
+    const bollingerWidth = VolatilityModels.calculateBollingerBandWidth(closes);
+    
+    const rvSeries = realizedVariance.map(d => d.realizedVariance);
+    
+    // Fit HAR-RV model
+    const harModel = VolatilityModels.fitHARModel(rvSeries);
+    
+    // Iterated HAR forecast curve for 1-22 days with 90% prediction intervals
+    const harForecastCurve = VolatilityModels.forecastHARCurve(harModel, rvSeries, 22);
+    
+    // Daily volatility for tomorrow; weekly and monthly are the volatility
+    // accumulated over the next 5 and 22 days
+    let harForecastDaily = null;
+    let harForecastWeekly = null;
+    let harForecastMonthly = null;
+    
+    if (harForecastCurve) {
+      harForecastDaily = harForecastCurve[0].volatility;
+      harForecastWeekly = Math.sqrt(harForecastCurve[4].cumulativeVariance);
+      harForecastMonthly = Math.sqrt(harForecastCurve[21].cumulativeVariance);
+    }
+    
+    // HAR-CJ: continuous and jump components as separate regressors
+    const harCJModel = VolatilityModels.fitHARCJModel(realizedVariance);
+    const harCJForecast = VolatilityModels.forecastHARCJ(harCJModel, realizedVariance);
+    
+    // Selected GARCH family by Gaussian and Student-t QML, forecasting from the better AIC
+    const garchFits = ['normal', 't']
+      .map(distribution => VolatilityModels[garchEstimator](returns, distribution))
+      .filter(Boolean);
+    const garchModel = garchFits.length > 0
+      ? garchFits.reduce((best, fit) => (fit.aic < best.aic ? fit : best))
+      : null;
+    const garchForecasts = VolatilityModels.forecastGARCH(garchModel);
+    const garchForecast = garchForecasts ? garchForecasts[0].volatility : null;
+    
+    // VIX correlation and variance risk premium from stored VIX closes
+    const { vixCorrelation, varianceRiskPremium } = this.calculateVIXIndicators(marketData, vixData, harForecastCurve);
+    const currentTermStructure = this.latestTermStructure(marketData, termStructure);
+    
+    // Identify volatility regime
+    const { regime, regimeModel } = this.identifyRegime(regimeMethod, { returns, hmmStates });
+    
+    // Calculate trend
+    const trend = this.calculateTrend(closes);
+    
+    // Generate trading signals; these are the fields signal rules can read.
+    // har_forecast is a one-day volatility; har_forecast_annualized is on
+    // the same scale as realized_volatility.
+    const volatilityData = {
+      realized_volatility: realizedVol,
+      har_forecast: harForecastDaily,
+      har_forecast_annualized: harForecastDaily === null ? null : harForecastDaily * Math.sqrt(252),
+      har_forecast_weekly: harForecastWeekly,
+      har_forecast_monthly: harForecastMonthly,
+      garch_forecast: garchForecast,
+      parkinson_volatility: parkinsonVol,
+      garman_klass_volatility: garmanKlassVol,
+      atr_14: atr,
+      regime: regime,
+      bollinger_width: bollingerWidth,
+      historical_avg_width: 0.1, // Placeholder
+      vix_correlation: vixCorrelation,
+      variance_risk_premium: varianceRiskPremium,
+      term_structure: currentTermStructure
+    };
+    
+    const priceData = {
+      trend: trend,
+      current_price: closes[closes.length - 1],
+      change_1d: ((closes[closes.length - 1] - closes[closes.length - 2]) / closes[closes.length - 2]) * 100
+    };
+    
+    const signals = VolatilityModels.generateVolatilitySignals(volatilityData, priceData, rules);
+    
+    // Prepare result
+    const analysis = {
+      symbol,
+      timestamp: new Date(),
+      volatility_indicators: {
         realized_volatility: realizedVol,
-        har_forecast: harForecastDaily,
-        regime: regime,
-        bollinger_width: bollingerWidth,
-        historical_avg_width: 0.1 // Placeholder
-      };
-      
-      const priceData = {
-        trend: trend,
-        current_price: closes[closes.length - 1]
+        har_forecast_daily: harForecastDaily,
+        har_forecast_weekly: harForecastWeekly,
+        har_forecast_monthly: harForecastMonthly,
+        garch_forecast: garchForecast,
+        vix_correlation: vixCorrelation,
+        atr_14: atr,
+        bollinger_band_width: bollingerWidth,
+        parkinson_volatility: parkinsonVol,
+        garman_klass_volatility: garmanKlassVol
+      },
+      har_model: harModel,
+      har_forecast_curve: harForecastCurve,
+      har_cj_model: harCJModel ? {
+        ...harCJModel,
+        forecast_variance: harCJForecast,
+        forecast_daily: Math.sqrt(Math.max(harCJForecast, 0))
+      } : null,
+      realized_variance: {
+        latest: rvSeries[rvSeries.length - 1],
+        source: realizedVariance[realizedVariance.length - 1].source,
+        intraday_days: realizedVariance.filter(d => d.source === 'intraday').length,
+        range_days: realizedVariance.filter(d => d.source !== 'intraday').length,
+        jump_days: realizedVariance.filter(d => d.isJump).length
+      },
+      garch_model: garchModel ? { ...garchModel, forecasts: garchForecasts } : null,
+      variance_risk_premium: varianceRiskPremium,
+      vix_term_structure: currentTermStructure,
+      volatility_regime: regime,
+      regime_model: regimeModel,
+      trend: trend,
+      signals: signals,
+      market_summary: {
+        last_close: marketData[marketData.length - 1].close,
+        change_1d: ((closes[closes.length - 1] - closes[closes.length - 2]) / closes[closes.length - 2]) * 100,
+        change_5d: closes.length >= 5 ? ((closes[closes.length - 1] - closes[closes.length - 6]) / closes[closes.length - 6]) * 100 : null,
+        volume: marketData[marketData.length - 1].volume
+      }
+    };
+    
+    return {
+      analysis,
+      harModel,
+      harCJModel,
+      harCJForecast,
+      garchFits,
+      garchModel,
+      garchForecasts
+    };
+  }
+
+  /**
+   * Classify the current volatility regime
+   * 'quantile' labels the last day the way regime_history does, ranking its
+   * annualized 20-day volatility against the preceding rolling vols (with
+   * whatever history the window holds); 'hmm' decodes a Gaussian HMM fitted
+   * on the return history and falls back to quantiles when there are too
+   * few returns to fit it.
+   */
+  identifyRegime(method, { returns, hmmStates }) {
+    const quantileRegime = () => {
+      const labels = RegimeModels.classifyQuantileRegimes(returns, { minHistory: 1 });
+      const current = labels[labels.length - 1];
+      return {
+        regime: current.regime || 'normal',
+        regimeModel: { method: 'quantile', rolling_volatility: current.volatility }
       };
+    };
+
+    if (method !== 'hmm') return quantileRegime();
+
+    const hmm = hmmStates
+      ? RegimeModels.fitGaussianHMM(returns, hmmStates)
+      : RegimeModels.selectGaussianHMM(returns);
+    if (!hmm) return quantileRegime();
+
+    return {
+      regime: hmm.currentRegime,
+      regimeModel: {
+        method: 'hmm',
+        num_states: hmm.numStates,
+        states: hmm.states,
+        transition_matrix: hmm.transitionMatrix,
+        state_probabilities: Object.fromEntries(
+          hmm.states.map((state, k) => [state.label, hmm.currentProbabilities[k]])
+        ),
+        expected_remaining_duration: hmm.expectedRemainingDuration,
+        viterbi_regime: hmm.states[hmm.viterbiPath[hmm.viterbiPath.length - 1]].label,
+        log_likelihood: hmm.logLikelihood,
+        bic: hmm.bic,
+        converged: hmm.converged
+      }
+    };
+  }
+
+  /**
+   * Cumulative variance forecasts per model and horizon for the forecast ledger
+   */
+  collectLedgerForecasts(harForecastCurve, harCJForecast, garchModel, garchForecasts) {
+    const forecasts = [];
+    
+    if (harForecastCurve) {
+      for (const horizon of [1, 5, 22]) {
+        forecasts.push({ model: 'har', horizon, variance: harForecastCurve[horizon - 1].cumulativeVariance });
+      }
+    }
+    
+    if (harCJForecast !== null) {
+      forecasts.push({ model: 'har_cj', horizon: 1, variance: Math.max(harCJForecast, 0) });
+    }
+    
+    if (garchForecasts) {
+      for (const forecast of garchForecasts) {
+        forecasts.push({ model: garchModel.model, horizon: forecast.horizon, variance: forecast.cumulativeVariance });
+      }
+    }
+    
+    return forecasts;
+  }
+
+  /**
+   * Build the daily realized variance series for the given daily bars
+   * Uses 5-minute intraday returns where stored and falls back to a
+   * range-based estimator on days without intraday data. Intraday days are
+   * split into continuous and jump variance with the bipower jump test.
+   * Nothing is stored: analyzeVolatility and updateRealizedVariance do that.
+   */
+  async buildRealizedVarianceSeries(symbol, marketData) {
+    const startDate = new Date(marketData[0].timestamp);
+    const endDate = new Date(marketData[marketData.length - 1].timestamp);
+    endDate.setUTCDate(endDate.getUTCDate() + 1);
+    
+    const intradayBars = await this.marketDataService.getIntradayData(symbol, startDate, endDate);
+    const intradayVariance = new Map(
+      VolatilityModels.calculateDailyRealizedVariance(intradayBars).map(d => [d.date, d])
+    );
+    
+    const series = new Map();
+    for (const bar of marketData) {
+      const date = VolatilityModels.tradingDateKey(bar.timestamp);
+      const intraday = intradayVariance.get(date);
       
-      const signals = VolatilityModels.generateVolatilitySignals(volatilityData, priceData);
-      
-      // Prepare result
-      const analysis = {
-        symbol,
-        timestamp: new Date(),
-        volatility_indicators: {
-          realized_volatility: realizedVol,
-          har_forecast_daily: harForecastDaily,
-          har_forecast_weekly: harForecastWeekly,
-          har_forecast_monthly: harForecastMonthly,
-          garch_forecast: garchForecast,
-          atr_14: atr,
-          bollinger_band_width: bollingerWidth,
-          parkinson_volatility: parkinsonVol,
-          garman_klass_volatility: garmanKlassVol
-        },
-        har_model: harModel,
-        volatility_regime: regime,
-        trend: trend,
-        signals: signals,
-        market_summary: {
-          last_close: closes[closes.length - 1],
-          change_1d: ((closes[closes.length - 1] - closes[closes.length - 2]) / closes[closes.length - 2]) * 100,
-          change_5d: closes.length >= 5 ? ((closes[closes.length - 1] - closes[closes.length - 6]) / closes[closes.length - 6]) * 100 : null,
-          volume: marketData[marketData.length - 1].volume
-        }
-      };
+      if (intraday) {
+        series.set(date, { ...intraday, source: 'intraday' });
+        continue;
+      }
       
-      // Save to database
-      await this.saveVolatilityIndicators(analysis);
-      await this.saveHARModel(symbol, harModel);
-      await this.saveTradingSignals(symbol, signals, regime);
+      const open = parseFloat(bar.open);
+      const close = parseFloat(bar.close);
+      const rangeVariance = VolatilityModels.calculateRangeVariance(
+        open, parseFloat(bar.high), parseFloat(bar.low), close
+      );
+      if (!Number.isFinite(rangeVariance)) continue;
       
-      return analysis;
-    } catch (error) {
-      console.error('Error analyzing volatility:', error);
-      throw error;
+      series.set(date, {
+        date,
+        realizedVariance: rangeVariance,
+        bipowerVariation: null,
+        jumpStatistic: null,
+        observations: null,
+        source: open && close ? 'garman_klass' : 'parkinson'
+      });
     }
+    
+    return VolatilityModels.decomposeJumps([...series.values()]);
   }
 
   /**
-   * Calculate rolling volatilities for HAR model
+   * Rebuild and store realized variance for the latest daily bars
    */
-  calculateRollingVolatilities(returns, window = 20) {
-    const volatilities = [];
+  async updateRealizedVariance(symbol, days = 252) {
+    const marketData = await this.marketDataService.getLatestData(symbol, days);
+    if (marketData.length === 0) {
+      return { count: 0 };
+    }
+    
+    const series = await this.buildRealizedVarianceSeries(symbol, marketData);
+    await this.saveRealizedVariance(symbol, series);
+    return { count: series.length };
+  }
+
+  /**
+   * SPY-VIX indicators from the stored daily VIX closes
+   * The correlation pairs log returns with VIX log changes on dates present
+   * in both series. The variance risk premium needs the VIX close for the
+   * latest bar, compared with the 22-day HAR forecast. Either is null when
+   * the VIX history does not cover it.
+   */
+  calculateVIXIndicators(marketData, vixData, harForecastCurve) {
+    const vixCloses = new Map(
+      vixData.map(bar => [VolatilityModels.tradingDateKey(bar.timestamp), parseFloat(bar.close)])
+    );
+    
+    const aligned = marketData
+      .map(bar => {
+        const date = VolatilityModels.tradingDateKey(bar.timestamp);
+        return { date, close: parseFloat(bar.close), vix: vixCloses.get(date) };
+      })
+      .filter(d => d.vix > 0);
+    
+    const correlations = VolatilityModels.calculateRollingCorrelation(
+      VolatilityModels.calculateReturns(aligned.map(d => d.close), 'log'),
+      VolatilityModels.calculateReturns(aligned.map(d => d.vix), 'log'),
+      VIX_CORRELATION_WINDOW
+    );
+    const latestCorrelation = correlations[correlations.length - 1];
+    const vixCorrelation = Number.isFinite(latestCorrelation) ? latestCorrelation : null;
     
-    for (let i = window - 1; i < returns.length; i++) {
-      const windowReturns = returns.slice(i - window + 1, i + 1);
-      const vol = VolatilityModels.calculateRealizedVolatility(windowReturns, 1);
-      volatilities.push(vol);
+    const latestDate = VolatilityModels.tradingDateKey(marketData[marketData.length - 1].timestamp);
+    const vix = vixCloses.get(latestDate);
+    let varianceRiskPremium = null;
+    
+    if (vix > 0 && harForecastCurve) {
+      const premium = VolatilityModels.calculateVarianceRiskPremium(
+        vix, harForecastCurve[harForecastCurve.length - 1].cumulativeVariance, harForecastCurve.length
+      );
+      varianceRiskPremium = {
+        date: latestDate,
+        vix,
+        implied_variance: premium.impliedVariance,
+        forecast_variance: premium.forecastVariance,
+        premium: premium.premium,
+        volatility_spread: premium.volatilitySpread
+      };
     }
     
-    return volatilities;
+    return { vixCorrelation, varianceRiskPremium };
+  }
+
+  /**
+   * The latest bar's VIX term structure point with the previous day's
+   * VIX/VIX3M ratio. Null when the points do not cover the latest bar.
+   */
+  latestTermStructure(marketData, points) {
+    const latestDate = VolatilityModels.tradingDateKey(marketData[marketData.length - 1].timestamp);
+    const current = points[points.length - 1];
+    if (!current || current.date !== latestDate) return null;
+    
+    const previous = points[points.length - 2];
+    return {
+      ...current,
+      previous_ratio: previous ? previous.ratio : null
+    };
   }
 
   /**
@@ -157,19 +528,20 @@ class VolatilityAnalysisService {
     const query = `
       INSERT INTO volatility_indicators (
         symbol, timestamp, realized_volatility, har_forecast_daily,
-        har_forecast_weekly, har_forecast_monthly, garch_forecast,
+        har_forecast_weekly, har_forecast_monthly, garch_forecast, vix_correlation,
         atr_14, bollinger_band_width, parkinson_volatility, garman_klass_volatility
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
       ON CONFLICT (symbol, timestamp) DO UPDATE SET
         realized_volatility = $3,
         har_forecast_daily = $4,
         har_forecast_weekly = $5,
         har_forecast_monthly = $6,
         garch_forecast = $7,
-        atr_14 = $8,
-        bollinger_band_width = $9,
-        parkinson_volatility = $10,
-        garman_klass_volatility = $11
+        vix_correlation = $8,
+        atr_14 = $9,
+        bollinger_band_width = $10,
+        parkinson_volatility = $11,
+        garman_klass_volatility = $12
     `;
     
     const values = [
@@ -180,6 +552,7 @@ class VolatilityAnalysisService {
       analysis.volatility_indicators.har_forecast_weekly,
       analysis.volatility_indicators.har_forecast_monthly,
       analysis.volatility_indicators.garch_forecast,
+      analysis.volatility_indicators.vix_correlation,
       analysis.volatility_indicators.atr_14,
       analysis.volatility_indicators.bollinger_band_width,
       analysis.volatility_indicators.parkinson_volatility,
@@ -189,6 +562,42 @@ class VolatilityAnalysisService {
     await pool.query(query, values);
   }
 
+  /**
+   * Save daily realized variance
+   */
+  async saveRealizedVariance(symbol, series) {
+    const query = `
+      INSERT INTO realized_variance (
+        symbol, date, realized_variance, source, observations, bipower_variation,
+        jump_statistic, continuous_variance, jump_variance, is_jump
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (symbol, date) DO UPDATE SET
+        realized_variance = $3,
+        source = $4,
+        observations = $5,
+        bipower_variation = $6,
+        jump_statistic = $7,
+        continuous_variance = $8,
+        jump_variance = $9,
+        is_jump = $10
+    `;
+    
+    for (const day of series) {
+      await pool.query(query, [
+        symbol,
+        day.date,
+        day.realizedVariance,
+        day.source,
+        day.observations,
+        day.bipowerVariation,
+        day.jumpStatistic,
+        day.continuousVariance,
+        day.jumpVariance,
+        day.isJump
+      ]);
+    }
+  }
+
   /**
    * Save HAR model parameters
    */
@@ -198,15 +607,27 @@ class VolatilityAnalysisService {
     const query = `
       INSERT INTO har_model_params (
         symbol, updated_at, daily_coef, weekly_coef, 
-        monthly_coef, intercept, r_squared, mse
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        monthly_coef, intercept, r_squared, mse, adj_r_squared, aic, bic,
+        condition_number, near_singular, newey_west_lags, coefficient_stats,
+        ljung_box_stat, ljung_box_p_value, observations
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
       ON CONFLICT (symbol, updated_at) DO UPDATE SET
         daily_coef = $3,
         weekly_coef = $4,
         monthly_coef = $5,
         intercept = $6,
         r_squared = $7,
-        mse = $8
+        mse = $8,
+        adj_r_squared = $9,
+        aic = $10,
+        bic = $11,
+        condition_number = $12,
+        near_singular = $13,
+        newey_west_lags = $14,
+        coefficient_stats = $15,
+        ljung_box_stat = $16,
+        ljung_box_p_value = $17,
+        observations = $18
     `;
     
     await pool.query(query, [
@@ -217,38 +638,259 @@ class VolatilityAnalysisService {
       model.monthlyCoef,
       model.intercept,
       model.rSquared,
-      model.mse
+      model.mse,
+      model.adjRSquared,
+      model.aic,
+      model.bic,
+      model.conditionNumber,
+      model.nearSingular,
+      model.neweyWestLags,
+      JSON.stringify(model.coefficientStats),
+      model.ljungBox.statistic,
+      model.ljungBox.pValue,
+      model.observations
     ]);
   }
 
   /**
-   * Save trading signals
+   * Save HAR-CJ model parameters
    */
-  async saveTradingSignals(symbol, signals, regime) {
-    for (const signal of signals) {
+  async saveHARCJModel(symbol, model) {
+    if (!model) return;
+    
+    const query = `
+      INSERT INTO har_cj_model_params (
+        symbol, updated_at, intercept, continuous_daily_coef, continuous_weekly_coef,
+        continuous_monthly_coef, jump_daily_coef, jump_weekly_coef, jump_monthly_coef,
+        r_squared, mse, jump_days, jump_contribution
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (symbol, updated_at) DO UPDATE SET
+        intercept = $3,
+        continuous_daily_coef = $4,
+        continuous_weekly_coef = $5,
+        continuous_monthly_coef = $6,
+        jump_daily_coef = $7,
+        jump_weekly_coef = $8,
+        jump_monthly_coef = $9,
+        r_squared = $10,
+        mse = $11,
+        jump_days = $12,
+        jump_contribution = $13
+    `;
+    
+    await pool.query(query, [
+      symbol,
+      new Date(),
+      model.intercept,
+      model.continuousDailyCoef,
+      model.continuousWeeklyCoef,
+      model.continuousMonthlyCoef,
+      model.jumpDailyCoef,
+      model.jumpWeeklyCoef,
+      model.jumpMonthlyCoef,
+      model.rSquared,
+      model.mse,
+      model.jumpDays,
+      model.jumpContribution
+    ]);
+  }
+
+  /**
+   * Get detected jump days
+   */
+  async getJumpDays(symbol, limit = 50) {
+    const query = `
+      SELECT date, realized_variance, bipower_variation, jump_statistic,
+             continuous_variance, jump_variance
+      FROM realized_variance
+      WHERE symbol = $1 AND is_jump
+      ORDER BY date DESC
+      LIMIT $2
+    `;
+    
+    const result = await pool.query(query, [symbol, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Save fitted GARCH model parameters
+   */
+  async saveGARCHModels(symbol, models) {
+    const updatedAt = new Date();
+    
+    for (const model of models) {
       const query = `
-        INSERT INTO trading_signals (
-          symbol, timestamp, signal_type, signal_strength,
-          volatility_regime, recommended_action, confidence_level, risk_score
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        INSERT INTO garch_model_params (
+          symbol, updated_at, model_type, distribution, omega, alpha, beta, nu,
+          persistence, half_life, unconditional_variance, log_likelihood, aic, bic, observations, gamma
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        ON CONFLICT (symbol, updated_at, model_type, distribution) DO UPDATE SET
+          omega = $5,
+          alpha = $6,
+          beta = $7,
+          nu = $8,
+          persistence = $9,
+          half_life = $10,
+          unconditional_variance = $11,
+          log_likelihood = $12,
+          aic = $13,
+          bic = $14,
+          observations = $15,
+          gamma = $16
       `;
       
-      const confidence = signal.strength * 100;
-      const riskScore = regime === 'extreme' ? 90 : 
-                        regime === 'elevated' ? 70 :
-                        regime === 'normal' ? 50 : 30;
-      
       await pool.query(query, [
         symbol,
-        new Date(),
+        updatedAt,
+        model.model,
+        model.distribution,
+        model.omega,
+        model.alpha,
+        model.beta,
+        model.nu,
+        model.persistence,
+        model.halfLife,
+        model.unconditionalVariance,
+        model.logLikelihood,
+        model.aic,
+        model.bic,
+        model.observations,
+        model.gamma
+      ]);
+    }
+  }
+
+  /**
+   * Save the day's variance risk premium
+   */
+  async saveVarianceRiskPremium(symbol, vrp) {
+    if (!vrp) return;
+    
+    await pool.query(`
+      INSERT INTO variance_risk_premium (
+        symbol, date, vix, implied_variance, forecast_variance, premium, volatility_spread
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (symbol, date) DO UPDATE SET
+        vix = $3,
+        implied_variance = $4,
+        forecast_variance = $5,
+        premium = $6,
+        volatility_spread = $7,
+        updated_at = CURRENT_TIMESTAMP
+    `, [symbol, vrp.date, vrp.vix, vrp.implied_variance, vrp.forecast_variance, vrp.premium, vrp.volatility_spread]);
+  }
+
+  /**
+   * Reconcile this run's signals with the symbol's active signals
+   * A type emitted again with the same action stays open and is refreshed;
+   * a different action closes it as superseded and opens a new signal.
+   * Active signals no longer emitted close as cleared, or as expired (at
+   * their last sighting) when no run has seen them for SIGNAL_EXPIRY_HOURS.
+   * Returns the active rows keyed by signal type.
+   */
+  async saveTradingSignals(symbol, signals, regime) {
+    const now = new Date();
+    const riskScore = regime === 'extreme' ? 90 : 
+                      regime === 'elevated' ? 70 :
+                      regime === 'normal' ? 50 : 30;
+    
+    const activeResult = await pool.query(`
+      SELECT id, signal_type, recommended_action, last_seen_at
+      FROM trading_signals
+      WHERE symbol = $1 AND state = 'active'
+    `, [symbol]);
+    const active = new Map(activeResult.rows.map(row => [row.signal_type, row]));
+    const saved = new Map();
+    
+    for (const signal of signals) {
+      const current = active.get(signal.type);
+      active.delete(signal.type);
+      const expired = current && this.isSignalExpired(current, now);
+      
+      if (current && !expired && current.recommended_action === signal.action) {
+        const result = await pool.query(`
+          UPDATE trading_signals SET
+            last_seen_at = $2,
+            signal_strength = $3,
+            confidence_level = $3,
+            volatility_regime = $4,
+            risk_score = $5,
+            reason = $6
+          WHERE id = $1
+          RETURNING id, opened_at
+        `, [current.id, now, signal.strength * 100, regime, riskScore, signal.reason]);
+        saved.set(signal.type, result.rows[0]);
+        continue;
+      }
+      
+      if (current) {
+        await this.closeTradingSignal(current, expired ? 'expired' : 'superseded', now);
+      }
+      
+      const result = await pool.query(`
+        INSERT INTO trading_signals (
+          symbol, timestamp, signal_type, signal_strength,
+          volatility_regime, recommended_action, confidence_level, risk_score,
+          reason, state, opened_at, last_seen_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active', $2, $2)
+        RETURNING id, opened_at
+      `, [
+        symbol,
+        now,
         signal.type,
         signal.strength * 100,
         regime,
         signal.action,
-        confidence,
-        riskScore
+        signal.strength * 100,
+        riskScore,
+        signal.reason
       ]);
+      saved.set(signal.type, result.rows[0]);
     }
+    
+    for (const current of active.values()) {
+      await this.closeTradingSignal(current, this.isSignalExpired(current, now) ? 'expired' : 'cleared', now);
+    }
+    
+    return saved;
+  }
+
+  /**
+   * Close an active signal; expired signals end at their last sighting
+   */
+  async closeTradingSignal(signal, closeReason, now) {
+    await pool.query(`
+      UPDATE trading_signals SET
+        state = 'closed',
+        closed_at = $2,
+        close_reason = $3
+      WHERE id = $1
+    `, [signal.id, closeReason === 'expired' ? signal.last_seen_at : now, closeReason]);
+  }
+
+  isSignalExpired(signal, now) {
+    return !signal.last_seen_at ||
+      now - new Date(signal.last_seen_at) > SIGNAL_EXPIRY_HOURS * 3600 * 1000;
+  }
+
+  /**
+   * Volatility cone from stored daily closes (5 years by default)
+   */
+  async getVolatilityCone(symbol, { lookback = 1260, windows } = {}) {
+    const marketData = await this.marketDataService.getLatestData(symbol, lookback + 1);
+    if (marketData.length < 30) {
+      throw new Error('Insufficient data for volatility cone');
+    }
+
+    const returns = VolatilityModels.calculateReturns(marketData.map(d => d.close), 'log');
+
+    return {
+      symbol,
+      start_date: VolatilityModels.tradingDateKey(marketData[0].timestamp),
+      end_date: VolatilityModels.tradingDateKey(marketData[marketData.length - 1].timestamp),
+      observations: returns.length,
+      cone: VolatilityModels.calculateVolatilityCone(returns, windows)
+    };
   }
 
   /**
@@ -267,17 +909,52 @@ class VolatilityAnalysisService {
   }
 
   /**
-   * Get latest signals
+   * Get daily variance risk premium history, oldest first
    */
-  async getLatestSignals(symbol, limit = 10) {
+  async getVarianceRiskPremiumHistory(symbol, days = 252) {
     const query = `
-      SELECT * FROM trading_signals
+      SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, vix, implied_variance, forecast_variance,
+             premium, volatility_spread
+      FROM variance_risk_premium
       WHERE symbol = $1
+        AND date > CURRENT_DATE - $2::integer
+      ORDER BY date ASC
+    `;
+    
+    const result = await pool.query(query, [symbol, days]);
+    return result.rows;
+  }
+
+  /**
+   * Get latest signals, newest opened first, optionally by state and type
+   */
+  async getLatestSignals(symbol, limit = 10, { state, type } = {}) {
+    if (state && !SIGNAL_STATES.includes(state)) {
+      throw Object.assign(
+        new Error(`Unknown signal state '${state}'. Expected one of: ${SIGNAL_STATES.join(', ')}`),
+        { status: 400 }
+      );
+    }
+    
+    const params = [symbol, limit];
+    const filters = [];
+    if (state) {
+      params.push(state);
+      filters.push(`AND state = $${params.length}`);
+    }
+    if (type) {
+      params.push(type);
+      filters.push(`AND signal_type = $${params.length}`);
+    }
+    
+    const query = `
+      SELECT * FROM trading_signals
+      WHERE symbol = $1 ${filters.join(' ')}
       ORDER BY timestamp DESC
       LIMIT $2
     `;
     
-    const result = await pool.query(query, [symbol, limit]);
+    const result = await pool.query(query, params);
     return result.rows;
   }
 }
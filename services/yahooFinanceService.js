@@ -28,28 +28,7 @@ class YahooFinanceService {
       });
       
       // Get historical data for the last 100 days
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - 100);
-      
-      const historical = await yahooFinance.historical(symbol, {
-        period1: startDate,
-        period2: endDate,
-        interval: '1d'
-      });
-      
-      console.log(`Fetched ${historical.length} days of historical data`);
-      
-      // Format data for our database
-      const formattedData = historical.map(day => ({
-        symbol: symbol,
-        timestamp: day.date,
-        open: day.open,
-        high: day.high,
-        low: day.low,
-        close: day.close,
-        volume: day.volume
-      }));
+      const formattedData = await this.fetchDailyHistory(symbol, 100);
       
       // Add current quote as the most recent data point
       formattedData.push({
@@ -69,6 +48,33 @@ class YahooFinanceService {
     }
   }
 
+  /**
+   * Fetch daily bars for the last `days` calendar days, formatted for market_data
+   */
+  async fetchDailyHistory(symbol, days = 100) {
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    
+    const historical = await yahooFinance.historical(symbol, {
+      period1: startDate,
+      period2: endDate,
+      interval: '1d'
+    });
+    
+    console.log(`Fetched ${historical.length} days of historical data for ${symbol}`);
+    
+    return historical.map(day => ({
+      symbol: symbol,
+      timestamp: day.date,
+      open: day.open,
+      high: day.high,
+      low: day.low,
+      close: day.close,
+      volume: day.volume
+    }));
+  }
+
   /**
    * Get real-time quote
    */
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataQuality = require('../models/dataQuality');
+
+// Daily bars at the 4pm New York close, on consecutive calendar days for simplicity
+function bar(day, close, overrides = {}) {
+  return {
+    timestamp: new Date(Date.UTC(2024, 0, 1 + day, 21)),
+    open: close,
+    high: close * 1.005,
+    low: close * 0.995,
+    close,
+    volume: 1000000,
+    ...overrides
+  };
+}
+
+// Stored days with deterministic daily moves of up to +/-1% around 400
+function history(days = 40) {
+  let state = 42;
+  let close = 400;
+  return Array.from({ length: days }, (_, day) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    close *= 1 + 0.02 * (state / 2147483648 - 0.5);
+    return bar(day, close);
+  });
+}
+
+function reasons(result) {
+  return result.quarantined.map(q => q.reason);
+}
+
+test('checkBar names the first problem with a bar', () => {
+  const cases = [
+    [{ timestamp: 'not a date' }, 'invalid_timestamp'],
+    [{ high: NaN }, 'missing_price'],
+    [{ low: 0 }, 'non_positive_price'],
+    [{ volume: -1 }, 'missing_volume'],
+    [{ high: 390, low: 395, open: 392, close: 392 }, 'high_below_low'],
+    [{ open: 420 }, 'open_outside_range'],
+    [{ close: 380, open: 400 }, 'close_outside_range']
+  ];
+
+  for (const [overrides, reason] of cases) {
+    const candidate = { ...bar(0, 400), ...overrides };
+    const result = DataQuality.validateDailyBars('SPY', [candidate]);
+    assert.deepEqual(reasons(result), [reason], reason);
+    assert.equal(result.accepted.length, 0);
+  }
+});
+
+test('a clean batch is accepted, with string prices parsed', () => {
+  const bars = history(5).map(b => ({ ...b, close: b.close.toFixed(2), open: b.close.toFixed(2) }));
+  const result = DataQuality.validateDailyBars('SPY', bars);
+
+  assert.equal(result.accepted.length, 5);
+  assert.deepEqual(result.quarantined, []);
+  assert.equal(typeof result.accepted[0].close, 'number');
+});
+
+test('the last bar of a trading day wins and the earlier one is quarantined', () => {
+  const early = bar(0, 400, { timestamp: new Date(Date.UTC(2024, 0, 1, 15)) });
+  const late = bar(0, 401);
+  const result = DataQuality.validateDailyBars('SPY', [early, late]);
+
+  assert.deepEqual(reasons(result), ['duplicate_session']);
+  assert.equal(result.quarantined[0].bar.close, 400);
+  assert.deepEqual(result.accepted.map(b => b.close), [401]);
+});
+
+test('a stored day keeps its stored timestamp', () => {
+  const stored = history();
+  const refetched = { ...stored[39], timestamp: new Date(Date.UTC(2024, 0, 40, 20)) };
+  const result = DataQuality.validateDailyBars('SPY', [refetched], stored);
+
+  assert.equal(result.accepted.length, 1);
+  assert.equal(result.accepted[0].timestamp.getTime(), stored[39].timestamp.getTime());
+});
+
+test('a changed close for a completed stored day is an adjustment break', () => {
+  const stored = history();
+  const adjusted = { ...stored[10], close: stored[10].close * 0.98, open: stored[10].close * 0.98, low: stored[10].close * 0.97 };
+  const result = DataQuality.validateDailyBars('SPY', [adjusted], stored);
+
+  assert.deepEqual(reasons(result), ['adjustment_break']);
+});
+
+test('a move close to a split ratio is quarantined as a split break', () => {
+  const stored = history();
+  const result = DataQuality.validateDailyBars('SPY', [bar(40, stored[39].close / 2)], stored);
+
+  assert.deepEqual(reasons(result), ['split_break']);
+  assert.equal(result.accepted.length, 0);
+  assert.match(result.quarantined[0].details, /0\.500x/);
+});
+
+test('indices are not checked for splits but the move is flagged as an outlier', () => {
+  const stored = history();
+  const result = DataQuality.validateDailyBars('^VIX', [bar(40, stored[39].close / 2)], stored);
+
+  assert.deepEqual(result.quarantined, []);
+  assert.equal(result.accepted.length, 1);
+  assert.equal(result.outliers.length, 1);
+  assert.equal(result.outliers[0].symbol, '^VIX');
+});
+
+test('a large move that is not a split ratio is stored and flagged', () => {
+  const stored = history();
+  const result = DataQuality.validateDailyBars('SPY', [bar(40, stored[39].close * 0.85)], stored);
+
+  assert.deepEqual(result.quarantined, []);
+  assert.equal(result.accepted.length, 1);
+  assert.equal(result.outliers.length, 1);
+  assert.ok(result.outliers[0].z_score < -6);
+});
+
+test('an ordinary move is neither quarantined nor flagged', () => {
+  const stored = history();
+  const result = DataQuality.validateDailyBars('SPY', [bar(40, stored[39].close * 1.003)], stored);
+
+  assert.equal(result.accepted.length, 1);
+  assert.deepEqual(result.quarantined, []);
+  assert.deepEqual(result.outliers, []);
+});
+
+test('robustZScore needs enough history with some dispersion', () => {
+  assert.equal(DataQuality.robustZScore(0.1, Array(10).fill(0.01)), null);
+  assert.equal(DataQuality.robustZScore(0.1, Array(30).fill(0.01)), null);
+});
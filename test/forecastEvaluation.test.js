@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ForecastEvaluation = require('../models/forecastEvaluation');
+
+// Deterministic noise in (-0.5, 0.5) so the results do not depend on Math.random
+function noise(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+}
+
+function series(n) {
+  const next = noise(7);
+  const realizedVariance = Array.from({ length: n }, (_, i) => 1e-4 * (1 + 0.5 * Math.sin(i / 10) + 0.2 * next()));
+  return {
+    returns: realizedVariance.map(v => Math.sqrt(v) * 2 * next()),
+    realizedVariance,
+    dates: realizedVariance.map((_, i) => `day-${i}`)
+  };
+}
+
+function assertClientError(fn, pattern) {
+  assert.throws(fn, (error) => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('checkOptions accepts the defaults', () => {
+  assert.doesNotThrow(() => ForecastEvaluation.checkOptions({ models: ['har', 'random_walk'], window: 250, horizon: 1, step: 1 }));
+});
+
+test('checkOptions rejects a step that would never advance', () => {
+  assertClientError(() => ForecastEvaluation.checkOptions({ models: ['har'], window: 250, horizon: 1, step: 0 }), /step must be a positive integer, got 0/);
+});
+
+test('checkOptions rejects non-integer and out-of-range windows and horizons', () => {
+  assertClientError(() => ForecastEvaluation.checkOptions({ models: ['har'], window: NaN, horizon: 1, step: 1 }), /window must be an integer between 50 and 750/);
+  assertClientError(() => ForecastEvaluation.checkOptions({ models: ['har'], window: 10000, horizon: 1, step: 1 }), /window/);
+  assertClientError(() => ForecastEvaluation.checkOptions({ models: ['har'], window: 250, horizon: 1.5, step: 1 }), /horizon must be a positive integer/);
+});
+
+test('checkOptions names unknown models and an empty model list', () => {
+  assertClientError(() => ForecastEvaluation.checkOptions({ models: ['har', 'arima'], window: 250, horizon: 1, step: 1 }), /Unknown forecast model\(s\): arima/);
+  assertClientError(() => ForecastEvaluation.checkOptions({ models: [], window: 250, horizon: 1, step: 1 }), /No forecast models given/);
+});
+
+test('checkOptions lists every problem at once', () => {
+  assertClientError(() => ForecastEvaluation.checkOptions({ models: ['arima'], window: 1, horizon: 0, step: 0 }), /arima.*window.*horizon.*step/);
+});
+
+test('rollingForecasts throws on step 0 instead of looping', () => {
+  assertClientError(() => ForecastEvaluation.rollingForecasts(series(120), { models: ['random_walk'], window: 50, step: 0 }), /step/);
+});
+
+test('rollingForecasts scores each origin against the next horizon of realized variance', () => {
+  const data = series(120);
+  const records = ForecastEvaluation.rollingForecasts(data, { models: ['random_walk'], window: 50, horizon: 5, step: 10 });
+
+  // Origins 50, 60, ..., 110; 120 leaves no room for a 5-day horizon
+  assert.equal(records.length, 7);
+  const first = records[0];
+  assert.equal(first.date, 'day-49');
+  assert.ok(Math.abs(first.forecasts.random_walk - data.realizedVariance[49] * 5) < 1e-15);
+  const realized = data.realizedVariance.slice(50, 55).reduce((sum, v) => sum + v, 0);
+  assert.ok(Math.abs(first.realized - realized) < 1e-15);
+});
+
+test('losses are zero for a perfect forecast', () => {
+  assert.equal(ForecastEvaluation.squaredErrorLoss(2e-4, 2e-4), 0);
+  assert.equal(ForecastEvaluation.qlikeLoss(2e-4, 2e-4), 0);
+  assert.ok(ForecastEvaluation.qlikeLoss(2e-4, 1e-4) > 0);
+  assert.ok(ForecastEvaluation.qlikeLoss(1e-4, 2e-4) > 0);
+});
+
+test('qlikeLoss penalises under-prediction more than over-prediction', () => {
+  assert.ok(ForecastEvaluation.qlikeLoss(2e-4, 1e-4) > ForecastEvaluation.qlikeLoss(1e-4, 2e-4));
+});
+
+test('mincerZarnowitz recovers an unbiased forecast', () => {
+  const next = noise(11);
+  const forecasts = Array.from({ length: 200 }, (_, i) => 1e-4 * (1 + 0.5 * Math.sin(i / 7)));
+  const realized = forecasts.map(f => f + 1e-6 * next());
+  const result = ForecastEvaluation.mincerZarnowitz(realized, forecasts);
+
+  assert.ok(Math.abs(result.alpha) < 1e-6);
+  assert.ok(Math.abs(result.beta - 1) < 0.02);
+  assert.ok(result.rSquared > 0.99);
+  assert.ok(result.pValue > 0.01);
+});
+
+test('dieboldMariano favours the model with the smaller losses', () => {
+  const next = noise(3);
+  const lossB = Array.from({ length: 100 }, () => 1 + next());
+  const lossA = lossB.map(l => l - 0.2 + 0.1 * next());
+  const result = ForecastEvaluation.dieboldMariano(lossA, lossB);
+
+  assert.equal(result.better, 'A');
+  assert.ok(result.statistic < 0);
+  assert.ok(result.pValue < 0.01);
+});
+
+test('dieboldMariano gives no statistic for identical losses', () => {
+  const losses = [1, 2, 3, 4, 5];
+  const result = ForecastEvaluation.dieboldMariano(losses, losses);
+  assert.equal(result.statistic, null);
+  assert.equal(result.better, null);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OptionPricing = require('../models/optionPricing');
+
+function assertClose(actual, expected, tolerance = 1e-4) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+}
+
+const atTheMoney = { spot: 100, strike: 100, timeToExpiry: 1, volatility: 0.2, rate: 0.05 };
+
+test('price matches the textbook Black-Scholes values', () => {
+  const result = OptionPricing.price(atTheMoney);
+  assertClose(result.call.price, 10.450584);
+  assertClose(result.put.price, 5.573526);
+
+  // Hull's worked example: six months, in the money
+  const hull = OptionPricing.price({ spot: 42, strike: 40, timeToExpiry: 0.5, volatility: 0.2, rate: 0.1 });
+  assertClose(hull.call.price, 4.7594);
+  assertClose(hull.put.price, 0.8086);
+});
+
+test('call and put prices satisfy put-call parity with dividends', () => {
+  for (const params of [
+    atTheMoney,
+    { spot: 4500, strike: 4700, timeToExpiry: 30 / 365, volatility: 0.18, rate: 0.045, dividendYield: 0.015 },
+    { spot: 50, strike: 40, timeToExpiry: 2, volatility: 0.6, rate: 0, dividendYield: 0.03 }
+  ]) {
+    const { call, put } = OptionPricing.price(params);
+    const { spot, strike, timeToExpiry, rate = 0, dividendYield = 0 } = params;
+    const forward = spot * Math.exp(-dividendYield * timeToExpiry) - strike * Math.exp(-rate * timeToExpiry);
+
+    assertClose(call.price - put.price, forward, 1e-8);
+    assertClose(call.delta - put.delta, Math.exp(-dividendYield * timeToExpiry), 1e-10);
+  }
+});
+
+test('straddle is the sum of the call and the put', () => {
+  const { call, put, straddle } = OptionPricing.price(atTheMoney);
+  for (const greek of ['price', 'delta', 'gamma', 'vega', 'theta', 'rho']) {
+    assertClose(straddle[greek], call[greek] + put[greek], 1e-12);
+  }
+});
+
+test('delta, gamma and vega agree with finite differences', () => {
+  const bump = 1e-3;
+  const at = (changes) => OptionPricing.price({ ...atTheMoney, ...changes }).call;
+  const { delta, gamma, vega } = at({});
+
+  assertClose(delta, (at({ spot: 100 + bump }).price - at({ spot: 100 - bump }).price) / (2 * bump), 1e-6);
+  assertClose(gamma, (at({ spot: 100 + bump }).delta - at({ spot: 100 - bump }).delta) / (2 * bump), 1e-6);
+  // Vega is per volatility point
+  assertClose(vega, (at({ volatility: 0.2 + bump }).price - at({ volatility: 0.2 - bump }).price) / (2 * bump) / 100, 1e-6);
+});
+
+test('impliedVolatility recovers the volatility a price was made with', () => {
+  const params = { spot: 4500, strike: 4600, timeToExpiry: 45 / 365, rate: 0.04 };
+  for (const type of ['call', 'put', 'straddle']) {
+    const marketPrice = OptionPricing.price({ ...params, volatility: 0.23 })[type].price;
+    assertClose(OptionPricing.impliedVolatility(marketPrice, params, type), 0.23, 1e-5);
+  }
+});
+
+test('impliedVolatility is null for prices no volatility can produce', () => {
+  const params = { spot: 100, strike: 100, timeToExpiry: 0.25 };
+  assert.equal(OptionPricing.impliedVolatility(250, params), null);
+  assert.equal(OptionPricing.impliedVolatility(1e-9, params, 'call'), null);
+});
+
+test('expectedMove scales with the square root of time', () => {
+  const [one, two] = OptionPricing.expectedMove(100, 0.2, 0.25);
+
+  assertClose(one.move, 10, 1e-10);
+  assertClose(one.lower, 90, 1e-10);
+  assertClose(two.upper, 120, 1e-10);
+  assertClose(one.probability, 0.682689);
+  assertClose(two.probability, 0.954500);
+});
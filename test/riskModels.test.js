@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RiskModels = require('../models/riskModels');
+
+function assertClose(actual, expected, tolerance = 1e-4) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+}
+
+// Three breaches in 100 days, two of them on consecutive days
+function clusteredHits() {
+  return [
+    ...Array(20).fill(false), true, true,
+    ...Array(20).fill(false), true,
+    ...Array(57).fill(false)
+  ];
+}
+
+test('kupiecTest matches the textbook value for 5 breaches of 99% VaR in 250 days', () => {
+  const hits = Array.from({ length: 250 }, (_, i) => i % 50 === 0);
+  const result = RiskModels.kupiecTest(hits, 0.99);
+
+  assertClose(result.statistic, 1.956810);
+  assertClose(result.pValue, 0.161855);
+});
+
+test('kupiecTest is zero when breaches match the expected rate', () => {
+  const hits = Array.from({ length: 100 }, (_, i) => i % 20 === 0);
+  const result = RiskModels.kupiecTest(hits, 0.95);
+
+  assertClose(result.statistic, 0, 1e-10);
+  assertClose(result.pValue, 1, 1e-10);
+});
+
+test('kupiecTest stays finite without breaches', () => {
+  const result = RiskModels.kupiecTest(Array(250).fill(false), 0.99);
+
+  // -2 * 250 * ln(0.99)
+  assertClose(result.statistic, 5.025168);
+  assert.ok(result.pValue < 0.05);
+});
+
+test('christoffersenTest counts transitions and flags clustered breaches', () => {
+  const result = RiskModels.christoffersenTest(clusteredHits(), 0.95);
+
+  assert.deepEqual(result.transitions, { n00: 94, n01: 2, n10: 2, n11: 1 });
+  assertClose(result.independence.statistic, 3.625274);
+  assertClose(result.conditionalCoverage.statistic, 4.602133);
+  assertClose(result.conditionalCoverage.pValue, 0.100152);
+});
+
+test('christoffersenTest finds no dependence in evenly spaced breaches', () => {
+  const hits = Array.from({ length: 100 }, (_, i) => i % 20 === 10);
+  const result = RiskModels.christoffersenTest(hits, 0.95);
+
+  assert.equal(result.transitions.n11, 0);
+  assert.ok(result.independence.pValue > 0.05);
+});
+
+test('normalVaR gives the standard normal quantile and tail mean', () => {
+  const result = RiskModels.normalVaR(1, 0.99);
+  assertClose(result.var, 2.326348);
+  assertClose(result.es, 2.665214);
+
+  const scaled = RiskModels.normalVaR(0.0004, 0.95);
+  assertClose(scaled.var, 0.02 * 1.644854);
+  assertClose(scaled.es, 0.02 * 2.062713);
+});
+
+test('studentTVaR rescales the t distribution to the given variance', () => {
+  const result = RiskModels.studentTVaR(1, 0.99, 5);
+
+  // t(5) 99% quantile 3.364930 times sqrt(3 / 5)
+  assertClose(result.var, 2.606452);
+  assert.ok(result.es > result.var);
+  assert.ok(result.var > RiskModels.normalVaR(1, 0.99).var);
+});
+
+test('historicalVaR uses overlapping multi-day losses', () => {
+  const returns = Array.from({ length: 100 }, (_, i) => (i - 50) / 1000);
+
+  const daily = RiskModels.historicalVaR(returns, 0.95);
+  assertClose(daily.var, 0.0455);
+  assertClose(daily.es, 0.048);
+
+  const twoDay = RiskModels.historicalVaR(returns, 0.95, 2);
+  assert.ok(twoDay.var > daily.var);
+});
+
+test('empiricalTail returns nulls for no losses', () => {
+  assert.deepEqual(RiskModels.empiricalTail([], 0.99), { var: null, es: null });
+});
+
+test('filteredHistoricalVaR rescales standardized shocks to the forecast volatility', () => {
+  const returns = [0.01, -0.02, 0.03, -0.04];
+  const variances = [0.0001, 0.0004, 0, 0.0016];
+
+  assert.deepEqual(RiskModels.standardizedShocks(returns, variances), [1, -1, -1]);
+  const result = RiskModels.filteredHistoricalVaR(returns, variances, 0.0009, 0.5);
+  assertClose(result.var, 0.03);
+});
+
+test('baselTrafficLight zones for 99% VaR over 250 days', () => {
+  assert.equal(RiskModels.baselTrafficLight(4, 250, 0.99).zone, 'green');
+  assert.equal(RiskModels.baselTrafficLight(5, 250, 0.99).zone, 'yellow');
+  assert.equal(RiskModels.baselTrafficLight(9, 250, 0.99).zone, 'yellow');
+  assert.equal(RiskModels.baselTrafficLight(10, 250, 0.99).zone, 'red');
+});
+
+test('estimateStudentTDof falls back to 30 without excess kurtosis', () => {
+  const uniform = Array.from({ length: 100 }, (_, i) => (i % 10) / 100);
+  assert.equal(RiskModels.estimateStudentTDof(uniform), 30);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SignalRules = require('../models/signalRules');
+
+const validRule = {
+  name: 'high_vol_hedge',
+  condition: { gt: [{ var: 'realized_volatility' }, 0.3] },
+  action: 'hedge',
+  strength: 0.5,
+  reason: 'Realized volatility at {realized_volatility:2}'
+};
+
+function assertInvalid(rule, pattern) {
+  assert.throws(() => SignalRules.validateRule(rule), (error) => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('the built-in rules validate', () => {
+  for (const rule of SignalRules.defaultRules()) {
+    assert.doesNotThrow(() => SignalRules.validateRule(rule), rule.name);
+  }
+});
+
+test('validateRule returns the stored form with defaults filled in', () => {
+  assert.deepEqual(SignalRules.validateRule(validRule), {
+    ...validRule,
+    description: null,
+    enabled: true
+  });
+});
+
+test('validateRule rejects bad names, actions and strengths', () => {
+  assertInvalid({ ...validRule, name: 'High Vol' }, /name: lowercase letters/);
+  assertInvalid({ ...validRule, action: 'panic' }, /action: expected one of/);
+  assertInvalid({ ...validRule, strength: 1.5 }, /strength: expected a number between 0 and 1/);
+  assertInvalid({ ...validRule, strength: undefined }, /strength: required/);
+  assertInvalid({ ...validRule, enabled: 'yes' }, /enabled: expected true or false/);
+  assertInvalid(null, /expected an object/);
+});
+
+test('validateRule rejects unknown fields and operators with their path', () => {
+  assertInvalid({ ...validRule, condition: { gt: [{ var: 'vix_level' }, 30] } }, /condition\.gt\[0\]\.var: unknown field 'vix_level'/);
+  assertInvalid({ ...validRule, condition: { between: [1, 2] } }, /condition: unknown condition operator 'between'/);
+  assertInvalid({ ...validRule, condition: { all: [] } }, /condition\.all: expected a non-empty array of conditions/);
+  assertInvalid({ ...validRule, condition: { gt: [1] } }, /condition\.gt: expected two operands/);
+  assertInvalid({ ...validRule, condition: { gt: [1, 2], lt: [1, 2] } }, /exactly one operator/);
+  assertInvalid({ ...validRule, strength: { mul: [0.5] } }, /strength\.mul: expected at least two operands/);
+  assertInvalid({ ...validRule, reason: 'Premium {variance_risk_premium.level}' }, /reason: unknown field 'variance_risk_premium\.level'/);
+});
+
+test('validateRule reports every problem in one error', () => {
+  assertInvalid({ name: 'x', action: 'panic', reason: '' }, /action.*condition: required.*strength: required.*reason/);
+});
+
+test('evaluateRules fires matching rules with a rendered reason', () => {
+  const signals = SignalRules.evaluateRules([validRule], { realized_volatility: 0.35123 });
+  assert.deepEqual(signals, [{
+    type: 'high_vol_hedge',
+    action: 'hedge',
+    strength: 0.5,
+    reason: 'Realized volatility at 0.35'
+  }]);
+
+  assert.deepEqual(SignalRules.evaluateRules([validRule], { realized_volatility: 0.2 }), []);
+});
+
+test('evaluateRules clamps computed strength and skips non-numeric strength', () => {
+  const rule = { ...validRule, strength: { mul: [{ var: 'realized_volatility' }, 10] } };
+  assert.equal(SignalRules.evaluateRules([rule], { realized_volatility: 0.4 })[0].strength, 1);
+
+  const missing = { ...validRule, condition: { eq: [1, 1] }, strength: { var: 'har_forecast' } };
+  assert.deepEqual(SignalRules.evaluateRules([missing], {}), []);
+});
+
+test('comparisons with a missing value are false', () => {
+  assert.equal(SignalRules.evaluateCondition({ lt: [{ var: 'har_forecast' }, 1] }, {}), false);
+  assert.equal(SignalRules.evaluateCondition({ not: { lt: [{ var: 'har_forecast' }, 1] } }, {}), true);
+  assert.equal(SignalRules.evaluateExpression({ div: [1, 0] }, {}), null);
+  assert.equal(SignalRules.evaluateExpression({ abs: { sub: [1, 3] } }, {}), 2);
+});
+
+test('the default HAR rules compare annualized forecasts with realized volatility', () => {
+  const rules = SignalRules.defaultRules().filter(rule => rule.name === 'har_divergence');
+  const context = { realized_volatility: 0.2, har_forecast: 0.0002, har_forecast_annualized: Math.sqrt(0.0002 * 252) };
+
+  // A daily variance of 0.0002 is about 22% annualized: within 20% of 0.2, so no divergence
+  assert.deepEqual(SignalRules.evaluateRules(rules, context), []);
+  assert.equal(SignalRules.evaluateRules(rules, { ...context, har_forecast_annualized: 0.3 }).length, 1);
+});
+
+test('renderReason fills missing fields with n/a', () => {
+  assert.equal(SignalRules.renderReason('VIX/VIX3M {term_structure.ratio:2}', {}), 'VIX/VIX3M n/a');
+  assert.equal(SignalRules.renderReason('Regime {regime}', { regime: 'high' }), 'Regime high');
+});